@@ -109,18 +109,23 @@ function webGL_ContextRestored(context)
     console.log('Rendering context was restored.');
 }
 
-function webGL_CompileError(context, stage, sourceCode, log)
+function webGL_CompileError(context, stage, sourceCode, log, lineMap, diagnostics)
 {
     console.log('Error compiling shader program:');
-    console.log('Message: '+log);
-    console.log('Source:  '+sourceCode);
+    console.log(WebGL.formatDiagnostics(diagnostics));
 }
 
-function webGL_LinkerError(context, stage, sourceCode, log)
+function webGL_LinkerError(context, stage, sourceCode, log, lineMap, diagnostics)
 {
     console.log('Error linking shader program:');
-    console.log('Message: '+log);
-    console.log('Source:  '+sourceCode);
+    console.log(WebGL.formatDiagnostics(diagnostics));
+}
+
+function webGL_DebugError(context, info)
+{
+    console.log('WebGL debug error in '+info.call+'():');
+    console.log('Message: '+info.message);
+    console.log('Stack:   '+info.stack);
 }
 
 function mat4x4_2d(dst16, width, height)
@@ -245,13 +250,13 @@ function init()
     var dom               = document.getElementById('canvas');
     State.domElement      = dom;
     State.domImage        = null;
-    State.webglContext    = WebGL.createContext(dom, true, {
+    State.webglContext    = WebGL.createContext(dom, {
         alpha             : true,
         depth             : true,
         stencil           : true,
         antialias         : true,
         premultipliedAlpha: true
-    });
+    }, { debug: true });
 
     // create resource proxy objects. the GPU resources are created later.
     State.texture         = State.webglContext.createTextureProxy();
@@ -269,6 +274,7 @@ function init()
     State.webglContext.on('context:restored', webGL_ContextRestored);
     State.webglContext.on('compile:error',    webGL_CompileError);
     State.webglContext.on('linker:error',     webGL_LinkerError);
+    State.webglContext.on('debug:error',      webGL_DebugError);
 
     // load shader programs and create GPU resources.
     createResources();
@@ -16,10 +16,24 @@ var WebGL = (function (exports)
         /// Specifies that the error occurred while compiling a fragment shader,
         /// and the sourceCode field specifies the fragment shader source code.
         COMPILE_FS      : 1,
-        /// Specifies that the error occurred during the program linking stage.
+        /// Specifies that the error occurred during the program linking stage,
+        /// and the sourceCode field is an object with vertex and fragment
+        /// fields specifying the source code of each shader.
         LINK_PROGRAM    : 2,
     };
 
+    /// Defines the string values used to identify the type of a resource proxy
+    /// in the GLContext resource registry. See @a GLContext.dumpResources().
+    const ResourceType  = {
+        PROGRAM         : 'program',
+        TEXTURE         : 'texture',
+        BUFFER          : 'buffer',
+        FRAMEBUFFER     : 'framebuffer',
+        RENDERBUFFER    : 'renderbuffer',
+        VERTEX_ARRAY    : 'vertexarray',
+        UNIFORM_BUFFER  : 'uniformbuffer'
+    };
+
     /// An object duplicating the definition of the WebGLContext DataType
     /// enumeration values. This map is used when creating vertex attributes.
     /// See the WebGL specification for the constant values.
@@ -30,26 +44,49 @@ var WebGL = (function (exports)
         UNSIGNED_SHORT  : 0x1403,
         INT             : 0x1404,
         UNSIGNED_INT    : 0x1405,
-        FLOAT           : 0x1406
-    };
-
-    /// An array specifying the names of the texture slots that can be passed to
-    /// gl.activeTexture(). This table is used during uniform binding.
-    const TextureSlots  = [
-        'TEXTURE0',  'TEXTURE1',  'TEXTURE2',  'TEXTURE3',  'TEXTURE4',
-        'TEXTURE5',  'TEXTURE6',  'TEXTURE7',  'TEXTURE8',  'TEXTURE9',
-        'TEXTURE10', 'TEXTURE11', 'TEXTURE12', 'TEXTURE13', 'TEXTURE14',
-        'TEXTURE15', 'TEXTURE16', 'TEXTURE17', 'TEXTURE18', 'TEXTURE19',
-        'TEXTURE20', 'TEXTURE21', 'TEXTURE22', 'TEXTURE23', 'TEXTURE24',
-        'TEXTURE25', 'TEXTURE26', 'TEXTURE27', 'TEXTURE28', 'TEXTURE29',
-        'TEXTURE30', 'TEXTURE31'
-    ];
-
-    /// An array specifying all of the valid GLSL ES 1.0 type names. This table is
-    /// used during uniform binding.
+        FLOAT           : 0x1406,
+        HALF_FLOAT      : 0x140B  /* WebGL 2 only */
+    };
+
+    /// An object duplicating the definition of the WebGLContext primitive type
+    /// enumeration values. This map is used by the draw functions to convert
+    /// a primitive type name into a WebGL value.
+    const PrimitiveType = {
+        POINTS          : 0x0000,
+        LINES           : 0x0001,
+        LINE_LOOP       : 0x0002,
+        LINE_STRIP      : 0x0003,
+        TRIANGLES       : 0x0004,
+        TRIANGLE_STRIP  : 0x0005,
+        TRIANGLE_FAN    : 0x0006
+    };
+
+    /// The minimum values for implementation-dependent limits guaranteed by
+    /// the WebGL 1.0 specification. These values are reported if a limit
+    /// cannot be queried, for example, because the context has been lost.
+    const MinimumLimits = {
+        MAX_TEXTURE_SIZE                 : 64,
+        MAX_CUBE_MAP_TEXTURE_SIZE        : 16,
+        MAX_RENDERBUFFER_SIZE            : 1,
+        MAX_TEXTURE_IMAGE_UNITS          : 8,
+        MAX_VERTEX_TEXTURE_IMAGE_UNITS   : 0,
+        MAX_COMBINED_TEXTURE_IMAGE_UNITS : 8,
+        MAX_VERTEX_ATTRIBS               : 8,
+        MAX_VARYING_VECTORS              : 8,
+        MAX_VERTEX_UNIFORM_VECTORS       : 128,
+        MAX_FRAGMENT_UNIFORM_VECTORS     : 16,
+        MAX_3D_TEXTURE_SIZE              : 256, /* WebGL 2 */
+        MAX_ARRAY_TEXTURE_LAYERS         : 256, /* WebGL 2 */
+        MAX_UNIFORM_BUFFER_BINDINGS      : 24   /* WebGL 2 */
+    };
+
+    /// An array specifying all of the valid GLSL ES 1.00 type names, and the
+    /// additional GLSL ES 3.00 types available with WebGL 2. This table is used
+    /// during uniform binding.
     const TypeNames     = {
         BOOL            : 'bool',
         INT             : 'int',
+        UINT            : 'uint',
         FLOAT           : 'float',
         VEC2            : 'vec2',
         VEC3            : 'vec3',
@@ -60,11 +97,83 @@ var WebGL = (function (exports)
         IVEC2           : 'ivec2',
         IVEC3           : 'ivec3',
         IVEC4           : 'ivec4',
+        UVEC2           : 'uvec2',
+        UVEC3           : 'uvec3',
+        UVEC4           : 'uvec4',
         MAT2            : 'mat2',
         MAT3            : 'mat3',
         MAT4            : 'mat4',
+        MAT2X3          : 'mat2x3',
+        MAT2X4          : 'mat2x4',
+        MAT3X2          : 'mat3x2',
+        MAT3X4          : 'mat3x4',
+        MAT4X2          : 'mat4x2',
+        MAT4X3          : 'mat4x3',
         SAMPLER_2D      : 'sampler2D',
-        SAMPLER_CUBE    : 'samplerCube'
+        SAMPLER_CUBE    : 'samplerCube',
+        SAMPLER_3D      : 'sampler3D',
+        SAMPLER_2D_ARRAY: 'sampler2DArray'
+    };
+
+    /// Maps the type enumeration values returned by getActiveUniform() and
+    /// getActiveAttrib() to the corresponding entries in TypeNames. See the
+    /// WebGL specification for the constant values.
+    const ActiveTypes   = {
+        0x8B56          : TypeNames.BOOL,
+        0x1404          : TypeNames.INT,
+        0x1406          : TypeNames.FLOAT,
+        0x8B50          : TypeNames.VEC2,
+        0x8B51          : TypeNames.VEC3,
+        0x8B52          : TypeNames.VEC4,
+        0x8B57          : TypeNames.BVEC2,
+        0x8B58          : TypeNames.BVEC3,
+        0x8B59          : TypeNames.BVEC4,
+        0x8B53          : TypeNames.IVEC2,
+        0x8B54          : TypeNames.IVEC3,
+        0x8B55          : TypeNames.IVEC4,
+        0x8B5A          : TypeNames.MAT2,
+        0x8B5B          : TypeNames.MAT3,
+        0x8B5C          : TypeNames.MAT4,
+        0x8B5E          : TypeNames.SAMPLER_2D,
+        0x8B60          : TypeNames.SAMPLER_CUBE,
+        0x1405          : TypeNames.UINT,
+        0x8DC6          : TypeNames.UVEC2,
+        0x8DC7          : TypeNames.UVEC3,
+        0x8DC8          : TypeNames.UVEC4,
+        0x8B65          : TypeNames.MAT2X3,
+        0x8B66          : TypeNames.MAT2X4,
+        0x8B67          : TypeNames.MAT3X2,
+        0x8B68          : TypeNames.MAT3X4,
+        0x8B69          : TypeNames.MAT4X2,
+        0x8B6A          : TypeNames.MAT4X3,
+        0x8B5F          : TypeNames.SAMPLER_3D,
+        0x8DC1          : TypeNames.SAMPLER_2D_ARRAY
+    };
+
+    /// Defines the opcodes used to encode commands in a CommandBuffer. The
+    /// operands of each command are described with the CommandBuffer method
+    /// that records it.
+    const CommandOp     = {
+        APPLY_VIEWPORT            : 1,
+        APPLY_BLEND_STATE         : 2,
+        APPLY_DEPTH_STENCIL_STATE : 3,
+        APPLY_RASTER_STATE        : 4,
+        USE_PROGRAM               : 5,
+        USE_BUFFER                : 6,
+        USE_TEXTURE_UNIT          : 7,
+        USE_TEXTURE               : 8,
+        USE_VERTEX_ARRAY          : 9,
+        USE_FRAMEBUFFER           : 10,
+        ENABLE_ATTRIBUTES         : 11,
+        SET_UNIFORM_SCALAR        : 12,
+        SET_UNIFORM_FLOATS        : 13,
+        SET_UNIFORM_INTS          : 14,
+        SET_UNIFORM_TEXTURES      : 15,
+        UPLOAD_ARRAY_BUFFER       : 16,
+        UPLOAD_INDEX_BUFFER       : 17,
+        DRAW_PRIMITIVES           : 18,
+        DRAW_INDEXED              : 19,
+        SET_UNIFORM_INT           : 20
     };
 
     /// Constructor function for the core Emitter type, which provides a
@@ -232,20 +341,26 @@ var WebGL = (function (exports)
         }
         this.gl                      = gl;
         this.canvas                  = canvas;
-        this.activeTextures          = new Array(TextureSlots.length);
-        this.activeTextureIndex      = 0;
-        this.activeProgram           = null;
-        this.activeArrayBuffer       = null;
-        this.activeElementBuffer     = null;
-        this.activeViewport          = this.createViewport(canvas);
-        this.activeBlendState        = this.createBlendState();
-        this.activeDepthStencilState = this.createDepthStencilState();
-        this.activeRasterState       = this.createRasterState();
-        this.defaultViewport         = this.createViewport(canvas);
+        this.capabilities            = this.queryCapabilities();
+        this.shaderChunks            = {};
+        this.shaderCache             = {};
+        this.programCache            = {};
+        this.counters                = {
+            uniformUploads           : 0,
+            uniformSkips             : 0,
+            drawCalls                : 0,
+            primitives               : 0
+        };
+        this.liveResources           = {};
+        this.resourceTable           = {};
+        this.leakedResources         = [];
+        this.nextResourceId          = 1;
+        for (var type in ResourceType)
+            this.liveResources[ResourceType[type]] = [];
+        this.resetStateCache();
         // install handlers for context lost/restored events.
         canvas.addEventListener('webglcontextlost',     this.handleContextLost.bind(this),     false);
         canvas.addEventListener('webglcontextrestored', this.handleContextRestored.bind(this), false);
-        // @todo: extension querying
         return this;
     };  inherits(GLContext, Emitter);
 
@@ -259,18 +374,544 @@ var WebGL = (function (exports)
         this.emit('context:lost', this);
     };
 
-    /// Handler for the Canvas webglcontextrestored event. The handler emits a
-    /// 'context:restored' event on the GLContext.
+    /// Handler for the Canvas webglcontextrestored event. The handler resets
+    /// the cached render state, re-creates the WebGL resources for all live
+    /// resource proxies and then emits a 'context:restored' event on the
+    /// GLContext. Application-defined state, such as uniform values, clear
+    /// colors and custom viewports, must be re-applied by the application.
     /// @param event The DOM Event object.
     GLContext.prototype.handleContextRestored = function (event)
     {
+        // extension objects from the lost context are no longer valid.
+        this.capabilities = this.queryCapabilities();
+        this.resetStateCache();
+        this.restoreResources();
         this.emit('context:restored', this);
     };
 
+    /// Resets all cached render state to match the default state of a newly
+    /// created WebGLRenderingContext. This is performed when the GLContext
+    /// is created and when the rendering context is restored.
+    /// @return The GLContext.
+    GLContext.prototype.resetStateCache = function ()
+    {
+        var canvas                   = this.canvas;
+        this.activeTextures          = new Array(this.capabilities.maxCombinedTextureImageUnits);
+        this.activeTextureIndex      = 0;
+        this.activeProgram           = null;
+        this.activeArrayBuffer       = null;
+        this.activeElementBuffer     = null;
+        this.defaultElementBuffer    = null;
+        this.activeVertexArray       = null;
+        this.attributeDivisors       = new Array(this.capabilities.maxVertexAttribs);
+        this.enabledAttributeMask    = 0;
+        this.uniformBufferBindings   = [];
+        this.activeFramebuffer       = null;
+        this.activeRenderbuffer      = null;
+        this.activeViewport          = this.createViewport(canvas);
+        this.activeBlendState        = this.createBlendState();
+        this.activeDepthStencilState = this.createDepthStencilState();
+        this.activeRasterState       = this.createRasterState();
+        this.defaultViewport         = this.createViewport(canvas);
+        return this;
+    };
+
+    /// Re-creates the WebGL resources for every live resource proxy using the
+    /// arguments and source data retained when the resources were created.
+    /// Resources are restored in dependency order, so that textures and
+    /// renderbuffers exist before the framebuffers they are attached to, and
+    /// buffers and programs exist before the vertex arrays that use them.
+    /// This function is called when the rendering context is restored.
+    /// @return The GLContext.
+    GLContext.prototype.restoreResources = function ()
+    {
+        var gl   = this.gl;
+        var live = this.liveResources;
+        var list, proxy, i, n;
+
+        list = live[ResourceType.TEXTURE].slice();
+        for (i = 0, n = list.length; i < n; ++i)
+        {
+            proxy = list[i];
+            proxy.textureResource = null;
+            var uploads = proxy.sourceData;
+            if (this.createTextureResource(proxy, proxy.sourceArgs) && uploads)
+            {
+                // the texture is bound to the active unit; replay uploads.
+                for (var j = 0, m = uploads.length; j < m; ++j)
+                {
+                    var u = uploads[j];
+                    if (u.element) this.uploadTextureFromDOM(u.element);
+                    else if (u.region) this.uploadTextureRegion(u.x, u.y, u.level, u.region, 0, u.data);
+                    else this.uploadTexture(u.data);
+                }
+            }
+        }
+        this.unbindTexture();
+
+        list = live[ResourceType.RENDERBUFFER].slice();
+        for (i = 0, n = list.length; i < n; ++i)
+        {
+            proxy = list[i];
+            proxy.renderbufferResource = null;
+            this.createRenderbufferResource(proxy, proxy.sourceArgs);
+        }
+
+        list = live[ResourceType.BUFFER].slice();
+        for (i = 0, n = list.length; i < n; ++i)
+        {
+            proxy = list[i];
+            proxy.bufferResource = null;
+            if (this.createBufferResource(proxy, proxy.sourceArgs) && proxy.sourceData)
+            {
+                // the buffer is bound to its target; re-upload the contents.
+                gl.bufferData(proxy.bindTarget, proxy.sourceData, proxy.usageType);
+            }
+        }
+
+        // programs and shaders from the lost context can't be shared.
+        this.shaderCache  = {};
+        this.programCache = {};
+        list = live[ResourceType.PROGRAM].slice();
+        for (i = 0, n = list.length; i < n; ++i)
+        {
+            proxy = list[i];
+            proxy.programResource        = null;
+            proxy.vertexShaderResource   = null;
+            proxy.fragmentShaderResource = null;
+            proxy.programEntry           = null;
+            this.createProgramResource(proxy, proxy.vertexSource, proxy.fragmentSource, proxy.sourceOptions);
+        }
+
+        list = live[ResourceType.VERTEX_ARRAY].slice();
+        for (i = 0, n = list.length; i < n; ++i)
+        {
+            proxy = list[i];
+            proxy.vertexArrayResource = null;
+            this.createVertexArrayResource(proxy, proxy.sourceArgs);
+        }
+
+        list = live[ResourceType.UNIFORM_BUFFER].slice();
+        for (i = 0, n = list.length; i < n; ++i)
+        {
+            // the system memory copy is kept, so the contents are restored.
+            proxy = list[i];
+            proxy.bufferResource = null;
+            this.createUniformBufferResource(proxy, proxy.sourceArgs);
+        }
+
+        list = live[ResourceType.FRAMEBUFFER].slice();
+        for (i = 0, n = list.length; i < n; ++i)
+        {
+            proxy = list[i];
+            proxy.framebufferResource = null;
+            this.createFramebufferResource(proxy, proxy.sourceArgs);
+        }
+        return this;
+    };
+
+    /// Assigns a unique id to a newly created resource proxy and adds it to the
+    /// resource registry of a GLContext.
+    /// @param context The GLContext that owns the proxy.
+    /// @param type One of the @a ResourceType values.
+    /// @param proxy The new resource proxy object.
+    /// @return A reference to @a proxy.
+    function registerProxy(context, type, proxy)
+    {
+        proxy.id = context.nextResourceId++;
+        context.resourceTable[proxy.id] = {
+            type  : type,
+            proxy : proxy
+        };
+        return proxy;
+    }
+
+    /// Removes a resource proxy from the resource registry of a GLContext. If
+    /// the proxy still references a WebGL resource, the resource can no longer
+    /// be deleted; it is recorded as leaked and a 'resource:leaked' event is
+    /// emitted with the id and type of the proxy.
+    /// @param context The GLContext that owns the proxy.
+    /// @param proxy The resource proxy object being deleted.
+    /// @param resource The WebGL resource referenced by @a proxy, or null.
+    function unregisterProxy(context, proxy, resource)
+    {
+        var record = context.resourceTable[proxy.id];
+        if (record === undefined || record.proxy !== proxy)
+            return;
+
+        delete context.resourceTable[proxy.id];
+        if (resource)
+        {
+            untrackResource(context.liveResources[record.type], proxy);
+            context.leakedResources.push({
+                id       : proxy.id,
+                type     : record.type,
+                resource : resource
+            });
+            context.emit('resource:leaked', context, proxy.id, record.type);
+        }
+    }
+
+    /// Retrieves a resource proxy given its id. Resource ids can be used as
+    /// integer handles to refer to resources without holding a reference to
+    /// the proxy object itself, for example, in a command stream built on a
+    /// worker thread.
+    /// @param id The id of the resource proxy, as assigned by one of the
+    /// create*Proxy() functions.
+    /// @return The resource proxy object, or null if @a id does not identify
+    /// a proxy that is currently registered.
+    GLContext.prototype.lookupResource = function (id)
+    {
+        var record = this.resourceTable[id];
+        return record ? record.proxy : null;
+    };
+
+    /// Retrieves the type of a resource proxy given its id.
+    /// @param id The id of the resource proxy.
+    /// @return One of the @a ResourceType values, or null if @a id does not
+    /// identify a proxy that is currently registered.
+    GLContext.prototype.lookupResourceType = function (id)
+    {
+        var record = this.resourceTable[id];
+        return record ? record.type : null;
+    };
+
+    /// Retrieves all resource proxies of a given type whose WebGL resources
+    /// have been created and not yet deleted.
+    /// @param type One of the @a ResourceType values.
+    /// @return A new array of resource proxy objects, in creation order.
+    GLContext.prototype.enumerateResources = function (type)
+    {
+        var list = this.liveResources[type];
+        return list ? list.slice() : [];
+    };
+
+    /// Retrieves the resources whose proxies were deleted while still holding
+    /// WebGL resources. These resources are never released.
+    /// @return A new array of objects with id, type and resource fields.
+    GLContext.prototype.reportLeaks = function ()
+    {
+        return this.leakedResources.slice();
+    };
+
+    /// Generates a summary of a resource proxy for display in a debug console.
+    /// @param type One of the @a ResourceType values.
+    /// @param proxy The resource proxy object.
+    /// @return A string describing the resource.
+    function describeResource(type, proxy)
+    {
+        switch (type)
+        {
+            case ResourceType.PROGRAM:
+                return proxy.uniformNames.length+' uniforms, '+proxy.attributeNames.length+' attributes';
+            case ResourceType.TEXTURE:
+                var level0 = proxy.levels[0];
+                return (level0 ? level0.width+'x'+level0.height : '0x0')+', '+proxy.levels.length+' levels';
+            case ResourceType.BUFFER:
+                return proxy.elementCount+' x '+proxy.elementSize+' bytes';
+            case ResourceType.FRAMEBUFFER:
+            case ResourceType.RENDERBUFFER:
+                return proxy.width+'x'+proxy.height;
+            case ResourceType.VERTEX_ARRAY:
+                return proxy.attributes.length+' attributes'+(proxy.emulated ? ', emulated' : '');
+            case ResourceType.UNIFORM_BUFFER:
+                return proxy.blockName+', '+proxy.byteSize+' bytes'+(proxy.emulated ? ', emulated' : '');
+        }
+        return '';
+    }
+
+    /// Lists every registered resource proxy and every leaked resource. The
+    /// listing can be formatted for display with @a WebGL.formatResources().
+    /// @return An array of objects, one per resource, in id order.
+    /// obj.id The id of the resource proxy.
+    /// obj.type One of the @a ResourceType values.
+    /// obj.state One of 'live' (WebGL resources exist), 'proxy' (WebGL
+    /// resources have not been created or were deleted) or 'leaked'.
+    /// obj.summary A string describing the resource.
+    GLContext.prototype.dumpResources = function ()
+    {
+        var result = [];
+        for (var key in this.resourceTable)
+        {
+            var record = this.resourceTable[key];
+            var live   = this.liveResources[record.type].indexOf(record.proxy) >= 0;
+            result.push({
+                id      : record.proxy.id,
+                type    : record.type,
+                state   : live ? 'live' : 'proxy',
+                summary : describeResource(record.type, record.proxy)
+            });
+        }
+        for (var i = 0, n = this.leakedResources.length; i < n; ++i)
+        {
+            var leak   = this.leakedResources[i];
+            result.push({
+                id      : leak.id,
+                type    : leak.type,
+                state   : 'leaked',
+                summary : ''
+            });
+        }
+        result.sort(function (a, b) { return a.id - b.id; });
+        return result;
+    };
+
+    /// Adds a resource proxy to a list of live resources, if it isn't already
+    /// present in the list.
+    /// @param list One of the arrays of @a GLContext.liveResources.
+    /// @param proxy The resource proxy object.
+    function trackResource(list, proxy)
+    {
+        if (list.indexOf(proxy) < 0)
+            list.push(proxy);
+    }
+
+    /// Removes a resource proxy from a list of live resources.
+    /// @param list One of the arrays of @a GLContext.liveResources.
+    /// @param proxy The resource proxy object.
+    function untrackResource(list, proxy)
+    {
+        var index = list.indexOf(proxy);
+        if (index >= 0)
+            list.splice(index, 1);
+    }
+
+    /// Creates a Uint8Array containing a copy of a block of data.
+    /// @param data An ArrayBuffer or ArrayBufferView instance.
+    /// @return A new Uint8Array instance, or null if @a data is neither an
+    /// ArrayBuffer nor an ArrayBufferView (for example, a JavaScript array.)
+    function copyBytes(data)
+    {
+        if (data instanceof ArrayBuffer)
+            return new Uint8Array(data.slice(0));
+        if (data && data.buffer instanceof ArrayBuffer)
+            return new Uint8Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+        return null;
+    }
+
+    /// Queries a single implementation-dependent limit value, falling back to
+    /// the minimum value required by the specification if the query fails.
+    /// @param gl The WebGLRenderingContext to query.
+    /// @param name The name of the limit to query, for example,
+    /// 'MAX_TEXTURE_SIZE'. This value must be a key in @a MinimumLimits.
+    /// @return The value of the implementation-dependent limit.
+    function queryLimit(gl, name)
+    {
+        var value = gl.getParameter(gl[name]);
+        return (value !== null && value !== undefined) ? value : MinimumLimits[name];
+    }
+
+    /// Queries the range and precision of the floating-point and integer
+    /// types for a given shader stage.
+    /// @param gl The WebGLRenderingContext to query.
+    /// @param shaderType One of gl.VERTEX_SHADER or gl.FRAGMENT_SHADER.
+    /// @return An object with lowFloat, mediumFloat, highFloat, lowInt,
+    /// mediumInt and highInt fields. Each field is an object with rangeMin,
+    /// rangeMax and precision fields. A precision of zero indicates that the
+    /// corresponding precision qualifier is not supported.
+    function queryPrecision(gl, shaderType)
+    {
+        var types  = ['LOW_FLOAT', 'MEDIUM_FLOAT', 'HIGH_FLOAT', 'LOW_INT', 'MEDIUM_INT', 'HIGH_INT'];
+        var fields = ['lowFloat',  'mediumFloat',  'highFloat',  'lowInt',  'mediumInt',  'highInt'];
+        var result = {};
+        for (var i = 0, n = types.length; i < n; ++i)
+        {
+            var format = gl.getShaderPrecisionFormat(shaderType, gl[types[i]]);
+            result[fields[i]] = {
+                rangeMin  : format ? format.rangeMin  : 0,
+                rangeMax  : format ? format.rangeMax  : 0,
+                precision : format ? format.precision : 0
+            };
+        }
+        return result;
+    }
+
+    /// Queries the set of supported extensions and implementation-dependent
+    /// limits of the WebGL context. All supported extensions are loaded. This
+    /// function is called when the GLContext is created and again whenever
+    /// the context is restored; the result is stored in the field
+    /// @a GLContext.capabilities.
+    /// @return An object describing the capabilities of the context.
+    /// obj.version The WebGL version of the context, either 1 or 2.
+    /// obj.extensions An object mapping extension name to extension object.
+    /// With WebGL 2, the extensions promoted to core are also present and
+    /// forward to the core functions.
+    /// obj.extensionNames An array of the names of all loaded extensions.
+    /// obj.maxTextureSize The maximum width and height of a 2D texture.
+    /// obj.maxCubeMapTextureSize The maximum width and height of a cube map.
+    /// obj.max3DTextureSize The maximum size of a 3D texture, or 0 for WebGL 1.
+    /// obj.maxArrayTextureLayers The maximum number of layers in a 2D array
+    /// texture, or 0 for WebGL 1.
+    /// obj.maxRenderbufferSize The maximum width and height of a renderbuffer.
+    /// obj.maxTextureImageUnits The number of texture units available to the
+    /// fragment shader.
+    /// obj.maxVertexTextureImageUnits The number of texture units available
+    /// to the vertex shader. This value may be zero.
+    /// obj.maxCombinedTextureImageUnits The total number of texture units.
+    /// obj.maxVertexAttribs The number of vertex attribute slots.
+    /// obj.maxVaryingVectors The number of vec4 varying slots.
+    /// obj.maxVertexUniformVectors The number of vec4 vertex shader uniforms.
+    /// obj.maxFragmentUniformVectors The number of vec4 fragment shader
+    /// uniforms.
+    /// obj.maxUniformBufferBindings The number of uniform buffer binding
+    /// points, or 0 for WebGL 1, where uniform buffers are emulated.
+    /// obj.maxViewportDims A two-element array of the maximum viewport size.
+    /// obj.aliasedLineWidthRange A two-element array [min, max].
+    /// obj.aliasedPointSizeRange A two-element array [min, max].
+    /// obj.maxAnisotropy The maximum anisotropy level, or 1 if anisotropic
+    /// filtering is not supported.
+    /// obj.vertexPrecision The precision formats for the vertex shader.
+    /// obj.fragmentPrecision The precision formats for the fragment shader.
+    /// obj.fragmentHighPrecision true if highp is supported in fragment shaders.
+    /// obj.elementIndexUint true if 32-bit index buffers are supported.
+    /// obj.textureFloat true if FLOAT textures are supported.
+    /// obj.textureHalfFloat true if HALF_FLOAT_OES textures are supported.
+    /// obj.depthTexture true if DEPTH_COMPONENT textures are supported.
+    /// obj.vertexArrayObject true if vertex array objects are supported.
+    /// obj.instancing true if instanced drawing is supported.
+    GLContext.prototype.queryCapabilities = function ()
+    {
+        var gl    = this.gl;
+        var names = gl.getSupportedExtensions() || [];
+        var v2    = /^WebGL 2/.test(String(gl.getParameter(gl.VERSION)));
+        var caps  = {
+            version                      : v2 ? 2 : 1,
+            extensions                   : {},
+            extensionNames               : [],
+            maxTextureSize               : queryLimit(gl, 'MAX_TEXTURE_SIZE'),
+            maxCubeMapTextureSize        : queryLimit(gl, 'MAX_CUBE_MAP_TEXTURE_SIZE'),
+            max3DTextureSize             : v2 ? queryLimit(gl, 'MAX_3D_TEXTURE_SIZE')      : 0,
+            maxArrayTextureLayers        : v2 ? queryLimit(gl, 'MAX_ARRAY_TEXTURE_LAYERS') : 0,
+            maxRenderbufferSize          : queryLimit(gl, 'MAX_RENDERBUFFER_SIZE'),
+            maxTextureImageUnits         : queryLimit(gl, 'MAX_TEXTURE_IMAGE_UNITS'),
+            maxVertexTextureImageUnits   : queryLimit(gl, 'MAX_VERTEX_TEXTURE_IMAGE_UNITS'),
+            maxCombinedTextureImageUnits : queryLimit(gl, 'MAX_COMBINED_TEXTURE_IMAGE_UNITS'),
+            maxVertexAttribs             : queryLimit(gl, 'MAX_VERTEX_ATTRIBS'),
+            maxVaryingVectors            : queryLimit(gl, 'MAX_VARYING_VECTORS'),
+            maxVertexUniformVectors      : queryLimit(gl, 'MAX_VERTEX_UNIFORM_VECTORS'),
+            maxFragmentUniformVectors    : queryLimit(gl, 'MAX_FRAGMENT_UNIFORM_VECTORS'),
+            maxUniformBufferBindings     : v2 ? queryLimit(gl, 'MAX_UNIFORM_BUFFER_BINDINGS') : 0,
+            maxViewportDims              : gl.getParameter(gl.MAX_VIEWPORT_DIMS)        || [0, 0],
+            aliasedLineWidthRange        : gl.getParameter(gl.ALIASED_LINE_WIDTH_RANGE) || [1, 1],
+            aliasedPointSizeRange        : gl.getParameter(gl.ALIASED_POINT_SIZE_RANGE) || [1, 1],
+            maxAnisotropy                : 1,
+            vertexPrecision              : queryPrecision(gl, gl.VERTEX_SHADER),
+            fragmentPrecision            : queryPrecision(gl, gl.FRAGMENT_SHADER),
+            fragmentHighPrecision        : false,
+            elementIndexUint             : false,
+            textureFloat                 : false,
+            textureHalfFloat             : false,
+            depthTexture                 : false,
+            vertexArrayObject            : false,
+            instancing                   : false
+        };
+        for (var i = 0, n = names.length; i < n; ++i)
+        {
+            var ext = gl.getExtension(names[i]);
+            if (ext)
+            {
+                caps.extensions[names[i]] = ext;
+                caps.extensionNames.push(names[i]);
+            }
+        }
+        if (v2)
+        {
+            var core = coreExtensions(gl);
+            for (var name in core)
+            {
+                if (!caps.extensions[name])
+                    caps.extensions[name] = core[name];
+            }
+        }
+        var aniso = findExtension(caps, 'EXT_texture_filter_anisotropic');
+        if (aniso)  caps.maxAnisotropy = gl.getParameter(aniso.MAX_TEXTURE_MAX_ANISOTROPY_EXT) || 1;
+        caps.fragmentHighPrecision = caps.fragmentPrecision.highFloat.precision > 0;
+        caps.elementIndexUint      = findExtension(caps, 'OES_element_index_uint')   ? true : false;
+        caps.textureFloat          = findExtension(caps, 'OES_texture_float')        ? true : false;
+        caps.textureHalfFloat      = findExtension(caps, 'OES_texture_half_float')   ? true : false;
+        caps.depthTexture          = findExtension(caps, 'WEBGL_depth_texture')      ? true : false;
+        caps.vertexArrayObject     = findExtension(caps, 'OES_vertex_array_object')  ? true : false;
+        caps.instancing            = findExtension(caps, 'ANGLE_instanced_arrays')   ? true : false;
+        return caps;
+    };
+
+    /// Creates objects standing in for the WebGL 1 extensions that are part of
+    /// the core WebGL 2 API, so that the same code paths work with both
+    /// versions. Each function forwards to the equivalent core function.
+    /// @param gl The WebGL2RenderingContext.
+    /// @return An object mapping extension name to extension object.
+    function coreExtensions(gl)
+    {
+        return {
+            OES_element_index_uint     : {},
+            OES_texture_float          : {},
+            OES_texture_half_float     : {
+                HALF_FLOAT_OES             : gl.HALF_FLOAT
+            },
+            WEBGL_depth_texture        : {
+                UNSIGNED_INT_24_8_WEBGL    : gl.UNSIGNED_INT_24_8
+            },
+            OES_vertex_array_object    : {
+                VERTEX_ARRAY_BINDING_OES   : gl.VERTEX_ARRAY_BINDING,
+                createVertexArrayOES       : function ()      { return gl.createVertexArray();  },
+                deleteVertexArrayOES       : function (vao)   { gl.deleteVertexArray(vao);      },
+                isVertexArrayOES           : function (vao)   { return gl.isVertexArray(vao);   },
+                bindVertexArrayOES         : function (vao)   { gl.bindVertexArray(vao);        }
+            },
+            ANGLE_instanced_arrays     : {
+                VERTEX_ATTRIB_ARRAY_DIVISOR_ANGLE : gl.VERTEX_ATTRIB_ARRAY_DIVISOR,
+                vertexAttribDivisorANGLE   : function (index, divisor)
+                    {
+                        gl.vertexAttribDivisor(index, divisor);
+                    },
+                drawArraysInstancedANGLE   : function (mode, first, count, instances)
+                    {
+                        gl.drawArraysInstanced(mode, first, count, instances);
+                    },
+                drawElementsInstancedANGLE : function (mode, count, type, offset, instances)
+                    {
+                        gl.drawElementsInstanced(mode, count, type, offset, instances);
+                    }
+            }
+        };
+    }
+
+    /// Searches a capabilities object for an extension, taking into account
+    /// the vendor prefixes used by some browsers.
+    /// @param caps A capabilities object as returned by the function
+    /// @a GLContext.queryCapabilities().
+    /// @param name The unprefixed name of the extension.
+    /// @return The extension object, or null if the extension is not supported.
+    function findExtension(caps, name)
+    {
+        var exts = caps.extensions;
+        return exts[name] || exts['WEBKIT_'+name] || exts['MOZ_'+name] || null;
+    }
+
+    /// Retrieves a loaded extension object.
+    /// @param name The unprefixed name of the extension, for example,
+    /// 'OES_texture_float'. Vendor-prefixed versions are found as well.
+    /// @return The extension object, or null if the extension is not supported.
+    GLContext.prototype.getExtension = function (name)
+    {
+        return findExtension(this.capabilities, name);
+    };
+
+    /// Emits a 'capability:error' event indicating that an operation cannot
+    /// be performed because it exceeds the capabilities of the context.
+    /// @param name The name of the limit or extension that was exceeded.
+    /// @param message A string describing the failed operation.
+    /// @return false.
+    GLContext.prototype.capabilityError = function (name, message)
+    {
+        this.emit('capability:error', this, name, message);
+        return false;
+    };
+
     /// Creates an object specifying the properties of the viewport.
     /// @param canvas An optional reference to the DOM Canvas element used to
-    /// create the render context. If specified, the Canvas width and height
-    /// are used as the viewport width and height.
+    /// create the render context, or a framebuffer proxy. If specified, the
+    /// width and height are used as the viewport width and height.
     /// @return An object specifying the viewport properties.
     /// obj.x The x-coordinate of the upper-left corner of the viewport.
     /// obj.y The y-coordinate of the upper-left corner of the viewport.
@@ -807,9 +1448,15 @@ var WebGL = (function (exports)
     GLContext.prototype.useTextureUnit = function (unit)
     {
         var gl = this.gl;
+        if (unit >= this.activeTextures.length)
+        {
+            this.capabilityError('MAX_COMBINED_TEXTURE_IMAGE_UNITS',
+                'Texture unit '+unit+' exceeds the number of texture units.');
+            return this;
+        }
         if (this.activeTextureIndex !== unit)
         {
-            gl.activeTexture(gl[texture_slots[unit]]);
+            gl.activeTexture(gl.TEXTURE0 + unit);
             this.activeTextureIndex = unit;
         }
         return this;
@@ -831,7 +1478,8 @@ var WebGL = (function (exports)
         return this;
     };
 
-    /// Selects a shader program for use in subsequent draw calls.
+    /// Selects a shader program for use in subsequent draw calls. The WebGL
+    /// program is not re-bound when switching between proxies that share it.
     /// @param proxy The program object to select for modification or use. See
     /// @a GLContext.createProgramProxy().
     /// @return The GLContext.
@@ -840,7 +1488,9 @@ var WebGL = (function (exports)
         if (this.activeProgram !== proxy)
         {
             var gl = this.gl;
-            gl.useProgram(proxy.programResource);
+            var po = this.activeProgram ? this.activeProgram.programResource : null;
+            if (po !== proxy.programResource || po === null)
+                gl.useProgram(proxy.programResource);
             this.activeProgram = proxy;
         }
         return this;
@@ -863,12 +1513,70 @@ var WebGL = (function (exports)
         if (gl.ELEMENT_ARRAY_BUFFER  === proxy.bindTarget &&
             this.activeElementBuffer !== proxy)
         {
+            // the element buffer binding belongs to the vertex array.
+            this.unbindVertexArray();
             gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, proxy.bufferResource);
             this.activeElementBuffer = proxy;
         }
         return this;
     };
 
+    /// Selects a vertex array object for use in subsequent draw calls. The
+    /// vertex array supplies the attribute bindings and element buffer that
+    /// were captured by @a GLContext.createVertexArrayResource(). If vertex
+    /// array objects are not supported, the same state is applied using
+    /// @a GLContext.useBuffer() and @a GLContext.enableAttributes().
+    /// @param proxy The vertex array object to select for use. See
+    /// @a GLContext.createVertexArrayProxy().
+    /// @return The GLContext.
+    GLContext.prototype.useVertexArray = function (proxy)
+    {
+        if (this.activeVertexArray === proxy)
+            return this;
+
+        if (proxy.emulated)
+        {
+            // locations come from the program the vertex array was created
+            // with, so the bindings apply even if no program is active.
+            this.unbindVertexArray();
+            if (proxy.elementBuffer)
+                this.useBuffer(proxy.elementBuffer);
+            applyAttributes(this, proxy.program, proxy.attributes, proxy.buffers);
+            this.activeVertexArray = proxy;
+            return this;
+        }
+        if (this.activeVertexArray === null)
+        {
+            // save the element buffer bound to the default vertex array.
+            this.defaultElementBuffer = this.activeElementBuffer;
+        }
+        var ext = this.getExtension('OES_vertex_array_object');
+        ext.bindVertexArrayOES(proxy.vertexArrayResource);
+        this.activeVertexArray   = proxy;
+        this.activeElementBuffer = proxy.elementBuffer;
+        return this;
+    };
+
+    /// Unbinds the active vertex array object, restoring the attribute state
+    /// and element buffer of the default vertex array.
+    /// @return The GLContext.
+    GLContext.prototype.unbindVertexArray = function ()
+    {
+        var proxy = this.activeVertexArray;
+        if (proxy === null)
+            return this;
+
+        if (!proxy.emulated)
+        {
+            var ext = this.getExtension('OES_vertex_array_object');
+            ext.bindVertexArrayOES(null);
+            this.activeElementBuffer  = this.defaultElementBuffer;
+            this.defaultElementBuffer = null;
+        }
+        this.activeVertexArray = null;
+        return this;
+    };
+
     /// Unbinds the active array buffer or element array buffer.
     /// @param target One of gl.ARRAY_BUFFER or gl.ELEMENT_ARRAY_BUFFER.
     /// @return The GLContext.
@@ -883,6 +1591,7 @@ var WebGL = (function (exports)
         }
         if (gl.ELEMENT_ARRAY_BUFFER === target && this.activeElementBuffer)
         {
+            this.unbindVertexArray();
             gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, null);
             this.activeElementBuffer = null;
             return this;
@@ -903,16 +1612,83 @@ var WebGL = (function (exports)
         return this;
     };
 
+    /// Selects a framebuffer as the target of subsequent draw calls. If the
+    /// framebuffer changes, the default viewport is updated to cover the
+    /// entire render target and is applied.
+    /// @param proxy The framebuffer object to select for modification or use.
+    /// See @a GLContext.createFramebufferProxy().
+    /// @return The GLContext.
+    GLContext.prototype.useFramebuffer = function (proxy)
+    {
+        if (this.activeFramebuffer !== proxy)
+        {
+            var gl = this.gl;
+            gl.bindFramebuffer(gl.FRAMEBUFFER, proxy.framebufferResource);
+            this.activeFramebuffer = proxy;
+            this.defaultViewport   = this.createViewport(proxy);
+            this.applyViewport(this.defaultViewport);
+        }
+        return this;
+    };
+
+    /// Unbinds the active framebuffer, so that subsequent draw calls target
+    /// the canvas. The default viewport is reset to cover the entire canvas
+    /// and is applied.
+    /// @return The GLContext.
+    GLContext.prototype.unbindFramebuffer = function ()
+    {
+        if (this.activeFramebuffer !== null)
+        {
+            var gl = this.gl;
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            this.activeFramebuffer = null;
+            this.defaultViewport   = this.createViewport(this.canvas);
+            this.applyViewport(this.defaultViewport);
+        }
+        return this;
+    };
+
+    /// Selects a renderbuffer for modification.
+    /// @param proxy The renderbuffer object to select for modification. See
+    /// @a GLContext.createRenderbufferProxy().
+    /// @return The GLContext.
+    GLContext.prototype.useRenderbuffer = function (proxy)
+    {
+        if (this.activeRenderbuffer !== proxy)
+        {
+            var gl = this.gl;
+            gl.bindRenderbuffer(gl.RENDERBUFFER, proxy.renderbufferResource);
+            this.activeRenderbuffer = proxy;
+        }
+        return this;
+    };
+
+    /// Unbinds the active renderbuffer.
+    /// @return The GLContext.
+    GLContext.prototype.unbindRenderbuffer = function ()
+    {
+        if (this.activeRenderbuffer !== null)
+        {
+            var gl = this.gl;
+            gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+            this.activeRenderbuffer = null;
+        }
+        return this;
+    };
+
     /// Unbinds the texture bound to the active texture unit.
     /// @return The GLContext.
     GLContext.prototype.unbindTexture = function ()
     {
         var unit = this.activeTextureIndex;
-        if (this.activeTextures[unit])
+        var tex  = this.activeTextures[unit];
+        if (tex)
         {
             var gl  = this.gl;
             gl.bindTexture(gl.TEXTURE_2D, null);
             gl.bindTexture(gl.TEXTURE_CUBE_MAP, null);
+            if (isVolumeTarget(this, tex.bindTarget))
+                gl.bindTexture(tex.bindTarget, null);
             this.activeTextures[unit] = null;
         }
     };
@@ -924,15 +1700,17 @@ var WebGL = (function (exports)
         var gl     = this.gl;
         var t2d    = gl.TEXTURE_2D;
         var tcm    = gl.TEXTURE_CUBE_MAP;
-        var slots  = texture_slots;
         var unbind = false;
         for (var i = 0, n = this.activeTextures.length; i < n; ++i)
         {
-            if (this.activeTextures[i])
+            var tex = this.activeTextures[i];
+            if (tex)
             {
-                gl.activeTexture(gl[slots[i]]);
+                gl.activeTexture(gl.TEXTURE0 + i);
                 gl.bindTexture(t2d, null);
                 gl.bindTexture(tcm, null);
+                if (isVolumeTarget(this, tex.bindTarget))
+                    gl.bindTexture(tex.bindTarget, null);
                 this.activeTextures[i] = null;
                 unbind = true;
             }
@@ -942,39 +1720,47 @@ var WebGL = (function (exports)
             this.activeTextureIndex = 0;
             gl.activeTexture(gl.TEXTURE0);
         }
-        if (this.activeProgram)
-        {
-            // reset state for the active program.
-            this.activeProgram.boundTextureCount = 0;
-        }
         return this;
     };
 
     /// Creates a shader program proxy object, which stores metadata associated
     /// with a paired vertex and fragment shader, as well as the underlying
-    /// WebGL resources. This function may be called from any thread.
+    /// WebGL resources. This function can only be called from the main UI
+    /// thread; workers describe programs with @a WebGL.describeProgram().
     /// @return A new shader program proxy object. WebGL resources must be
     /// initialized separately.
     GLContext.prototype.createProgramProxy = function ()
     {
-        return {
+        return registerProxy(this, ResourceType.PROGRAM, {
             id                     : 0,    /* object list id        */
             programResource        : null, /* WebGLProgram instance */
             vertexShaderResource   : null, /* WebGLShader instance  */
             fragmentShaderResource : null, /* WebGLShader instance  */
+            programEntry           : null, /* shared cache entry    */
             webglContext           : this, /* WebGLRenderingContext */
-            boundTextureCount      : 0,
-            uniformNames           : [],
-            uniformTypes           : {},
-            uniformLocations       : {},
-            attributeNames         : [],
-            attributeTypes         : {},
-            attributeIndices       : {},
-        };
+            vertexSource           : '',   /* for context restore   */
+            fragmentSource         : '',   /* for context restore   */
+            sourceOptions          : null, /* for context restore   */
+            uniformNames           : [],   /* active uniform names  */
+            uniformTypes           : {},   /* name => GLSL type     */
+            uniformSizes           : {},   /* name => array length  */
+            uniformLocations       : {},   /* name => location      */
+            uniformElements        : {},   /* 'a[i]' => base name  */
+            uniformValues          : {},   /* name => last value    */
+            samplerUnits           : {},   /* name => texture unit  */
+            samplerTextures        : {},   /* name => texture proxy */
+            attributeNames         : [],   /* active attrib names  */
+            attributeTypes         : {},   /* name => GLSL type     */
+            attributeSizes         : {},   /* name => array length  */
+            attributeIndices       : {},   /* name => location      */
+            uniformBlocks          : {},   /* name => block info    */
+            blockBindings          : {},   /* name => binding point */
+            blockVersions          : {},   /* name => last upload   */
+        });
     };
 
     /// Deletes a shader program proxy object. WebGL resources must be deleted
-    /// separately. This function may be called from any thread.
+    /// separately. This function can only be called on the main UI thread.
     /// @param proxy The shader program proxy object as returned by the
     /// function @a GLContext.createProgramProxy().
     /// @return The GLContext.
@@ -982,160 +1768,1023 @@ var WebGL = (function (exports)
     {
         if (proxy)
         {
+            unregisterProxy(this, proxy, proxy.programResource);
             // release references held by the shader program object.
             proxy.programResource        = null;
             proxy.vertexShaderResource   = null;
             proxy.fragmentShaderResource = null;
+            proxy.programEntry           = null;
             proxy.webglContext           = null;
+            proxy.vertexSource           = null;
+            proxy.fragmentSource         = null;
+            proxy.sourceOptions          = null;
             proxy.uniformNames           = null;
             proxy.uniformTypes           = null;
+            proxy.uniformSizes           = null;
             proxy.uniformLocations       = null;
+            proxy.uniformElements        = null;
+            proxy.uniformValues          = null;
             proxy.attributeNames         = null;
             proxy.attributeTypes         = null;
+            proxy.attributeSizes         = null;
             proxy.attributeIndices       = null;
-            proxy.boundTextureCount      = 0;
+            proxy.samplerUnits           = null;
+            proxy.samplerTextures        = null;
+            proxy.uniformBlocks          = null;
+            proxy.blockBindings          = null;
+            proxy.blockVersions          = null;
         }
         return this;
     };
 
-    /// Creates the WebGL resources associated with a shader program by
-    /// compiling a vertex shader and fragment shader and linking them into
-    /// a complete shader program. This function can only be called from the
-    /// main UI thread.
-    /// @param proxy The shader program proxy object as returned by the
-    /// function @a GLContext.createProgramProxy().
-    /// @param vss A string specifying the vertex shader source code.
-    /// @param fss A string specifying the fragment shader source code.
-    /// @return true if compiling and linking completed successfully.
-    GLContext.prototype.createProgramResource = function (proxy, vss, fss)
+    /// Registers a named block of GLSL source code that shader programs can
+    /// pull in with an #include "name" directive. Chunks are resolved when a
+    /// program is built, so a chunk must be defined before any program that
+    /// includes it is passed to @a GLContext.createProgramResource().
+    /// @param name The name used to reference the chunk from #include.
+    /// @param source A string specifying the GLSL source code of the chunk,
+    /// or null to remove a previously defined chunk.
+    /// @return The GLContext.
+    GLContext.prototype.defineShaderChunk = function (name, source)
     {
-        if (proxy && proxy.webglContext === this)
-        {
-            var gl = proxy.webglContext.gl;
-            var vs = gl.createShader(gl.VERTEX_SHADER);
-            var fs = gl.createShader(gl.FRAGMENT_SHADER);
-
-            // attempt to compile the vertex shader:
-            gl.shaderSource (vs, vss);
-            gl.compileShader(vs);
-            if (!gl.getShaderParameter(vs, gl.COMPILE_STATUS) &&
-                !gl.isContextLost())
-            {
-                var log   = gl.getShaderInfoLog(vs);
-                var stage = BuildStage.COMPILE_VS;
-                gl.deleteShader(fs);
-                gl.deleteShader(vs);
-                this.emit('compile:error', this, stage, vss, log);
-                return false;
-            }
+        if (source === null || source === undefined)
+            delete this.shaderChunks[name];
+        else
+            this.shaderChunks[name] = String(source);
+        return this;
+    };
 
-            // attempt to compile the fragment shader:
-            gl.shaderSource (fs, fss);
-            gl.compileShader(fs);
-            if (!gl.getShaderParameter(fs, gl.COMPILE_STATUS) &&
-                !gl.isContextLost())
-            {
-                var log   = gl.getShaderInfoLog(fs);
-                var stage = BuildStage.COMPILE_FS;
-                gl.deleteShader(fs);
-                gl.deleteShader(vs);
-                this.emit('compile:error', this, stage, fss, log);
-                return false;
-            }
+    /// Expands a GLSL source string by resolving #include directives against
+    /// a chunk library and injecting a #define for each entry in a define
+    /// map. Defines are placed after the #version directive, if present. A
+    /// chunk is expanded at most once per shader, so chunks can include the
+    /// chunks they depend on without producing duplicate declarations.
+    /// @param source A string specifying the GLSL source code to expand.
+    /// @param name The file name reported for lines of @a source.
+    /// @param chunks An object mapping chunk name to GLSL source string.
+    /// @param defines An object mapping macro name to value. A value of true
+    /// defines the macro with no replacement text; false, null and undefined
+    /// values are skipped.
+    /// @return An object with the following fields:
+    /// obj.source: A string specifying the expanded GLSL source code.
+    /// obj.lineMap: An array where element i specifies the original location
+    /// of line i+1 of the expanded source as an object {file, line}.
+    /// obj.error: null, or a string describing an unknown or circular
+    /// #include, in which case obj.source is incomplete.
+    function preprocessShader(source, name, chunks, defines)
+    {
+        var include  = /^\s*#\s*include\s+(?:"([^"]+)"|<([^>]+)>)\s*$/;
+        var version  = /^\s*#\s*version\b/;
+        var output   = [];
+        var lineMap  = [];
+        var included = {};
+        var stack    = [];
+        var error    = null;
+        chunks       = chunks  || {};
+        defines      = defines || {};
+
+        var emitLine = function (text, file, line)
+            {
+                output.push(text);
+                lineMap.push({ file : file, line : line });
+            };
 
-            var reflectUniforms = function ()
+        var expandLines = function (lines, start, file)
+            {
+                for (var i = start, n = lines.length; i < n && !error; ++i)
                 {
-                    var uMatch = /uniform\s+(\w+)\s+(\w+)\s*;/g
-                    var uVert  = vss.match(uMatch);
-                    var uFrag  = fss.match(uMatch);
-                    if (uVert)
+                    var match = include.exec(lines[i]);
+                    if (match === null)
                     {
-                        for (var i = 0; i < uVert.length; ++i)
-                        {
-                            var uniform   = uVert[i].split(uMatch);
-                            var uType     = uniform[1];
-                            var uName     = uniform[2];
-                            proxy.uniformNames.push(uName);
-                            proxy.uniformTypes[uName] = uType;
-                        }
+                        emitLine(lines[i], file, i + 1);
+                        continue;
                     }
-                    if (uFrag)
+                    var chunk = match[1] || match[2];
+                    if (stack.indexOf(chunk) >= 0)
                     {
-                        // uniforms from the fragment shader.
-                        for (var i = 0; i < uFrag.length; ++i)
-                        {
-                            var uniform   = uFrag[i].split(uMatch);
-                            var uType     = uniform[1];
-                            var uName     = uniform[2];
-                            proxy.uniformNames.push(uName);
-                            proxy.uniformTypes[uName] = uType;
-                        }
+                        error = file+':'+(i+1)+': circular #include "'+chunk+'"';
+                    }
+                    else if (!Object.prototype.hasOwnProperty.call(chunks, chunk))
+                    {
+                        error = file+':'+(i+1)+': unknown #include "'+chunk+'"';
+                    }
+                    else if (!included[chunk])
+                    {
+                        included[chunk] = true;
+                        stack.push(chunk);
+                        expandLines(chunks[chunk].split(/\r?\n/), 0, chunk);
+                        stack.pop();
                     }
+                }
+            };
+
+        // #version must remain the first line of the expanded source.
+        var lines = String(source).split(/\r?\n/);
+        var start = 0;
+        if (lines.length > 0 && version.test(lines[0]))
+        {
+            emitLine(lines[0], name, 1);
+            start = 1;
+        }
+        var count = 0;
+        for (var macro in defines)
+        {
+            var value = defines[macro];
+            if (value === false || value === null || value === undefined)
+                continue;
+            var text  = '#define '+macro+(value === true ? '' : ' '+value);
+            emitLine(text, '<defines>', ++count);
+        }
+        expandLines(lines, start, name);
+        return {
+            source  : output.join('\n'),
+            lineMap : lineMap,
+            error   : error
+        };
+    }
+
+    /// Rewrites the line references in a shader info log, which refer to the
+    /// expanded source, so that they refer to the original file and line.
+    /// Handles both the 'ERROR: 0:12:' and '0:12(5):' log formats.
+    /// @param log The info log returned by gl.getShaderInfoLog().
+    /// @param lineMap The line map returned by preprocessShader().
+    /// @return The remapped info log.
+    function remapShaderLog(log, lineMap)
+    {
+        if (!log || !lineMap) return log;
+        return log.replace(/\b0:(\d+)(?=[:(])/g, function (text, line)
+            {
+                var entry = lineMap[parseInt(line, 10) - 1];
+                return entry ? entry.file+':'+entry.line : text;
+            });
+    }
+
+    /// The number of source lines shown before and after the line referenced
+    /// by a shader diagnostic in its source excerpt.
+    const EXCERPT_LINES = 2;
+
+    /// Defines the string values used to specify the severity of a shader
+    /// diagnostic. See parseShaderLog().
+    const DiagnosticSeverity = {
+        ERROR                : 'error',
+        WARNING              : 'warning',
+        NOTE                 : 'note'
+    };
+
+    /// Maps a severity keyword found in a shader info log to one of the
+    /// DiagnosticSeverity values. Unrecognized keywords map to ERROR.
+    /// @param keyword The keyword, for example 'ERROR' or 'warning'.
+    /// @return One of the DiagnosticSeverity values.
+    function severityOf(keyword)
+    {
+        switch ((keyword || '').toLowerCase())
+        {
+            case 'warning': return DiagnosticSeverity.WARNING;
+            case 'info':
+            case 'note':    return DiagnosticSeverity.NOTE;
+            default:        return DiagnosticSeverity.ERROR;
+        }
+    }
+
+    /// Parses a single line of a shader info log. The following formats are
+    /// recognized; any other line is reported as an error without a location:
+    /// 'ERROR: 0:12: message' (ANGLE, Apple and most mobile drivers.)
+    /// '0:12(5): error: message' (Mesa.)
+    /// '0(12) : error C0000: message' (NVIDIA.)
+    /// 'file:12: message' (errors reported by preprocessShader().)
+    /// 'error: message' (link errors, which usually have no location.)
+    /// @param text The line of text, with surrounding whitespace removed.
+    /// @return An object with the following fields:
+    /// obj.file: The file name given by the log, or null if the line number
+    /// refers to the source string passed to the compiler.
+    /// obj.line: The one-based line number, or zero if not specified.
+    /// obj.column: The one-based column number, or zero if not specified.
+    /// obj.severity: One of the DiagnosticSeverity values.
+    /// obj.message: The message text.
+    function parseLogLine(text)
+    {
+        var m;
+        var entry = function (file, line, column, severity, message)
+            {
+                return {
+                    file     : file,
+                    line     : parseInt(line,   10) || 0,
+                    column   : parseInt(column, 10) || 0,
+                    severity : severityOf(severity),
+                    message  : message
                 };
+            };
+        if ((m = /^(ERROR|WARNING|INFO|NOTE)\s*:\s*\d+:(\d+):\s*(.*)$/i.exec(text)))
+            return entry(null, m[2], 0, m[1], m[3]);
+        if ((m = /^\d+:(\d+)\((\d+)\)\s*:\s*(\w+)\s*:\s*(.*)$/.exec(text)))
+            return entry(null, m[1], m[2], m[3], m[4]);
+        if ((m = /^\d+\((\d+)\)\s*:\s*(\w+)(?:\s+\w+)?\s*:\s*(.*)$/.exec(text)))
+            return entry(null, m[1], 0, m[2], m[3]);
+        if ((m = /^([^:\s]+):(\d+):\s*(.*)$/.exec(text)))
+            return entry(/^\d+$/.test(m[1]) ? null : m[1], m[2], 0, 'error', m[3]);
+        if ((m = /^(ERROR|WARNING|INFO|NOTE)\s*:\s*(.*)$/i.exec(text)))
+            return entry(null, 0, 0, m[1], m[2]);
+        return entry(null, 0, 0, 'error', text);
+    }
+
+    /// Builds the source excerpt for a shader diagnostic, consisting of the
+    /// referenced line and up to EXCERPT_LINES lines on either side of it.
+    /// @param lines An array of strings specifying the lines of the source.
+    /// @param index The zero-based index of the referenced line in @a lines.
+    /// @param lineMap The line map returned by preprocessShader(), or null
+    /// if @a lines have not been preprocessed.
+    /// @param name The file name reported for @a lines if @a lineMap is null.
+    /// @return An array of objects {file, line, text, current} where current
+    /// is true for the referenced line.
+    function sourceExcerpt(lines, index, lineMap, name)
+    {
+        var excerpt = [];
+        var first   = Math.max(0, index - EXCERPT_LINES);
+        var last    = Math.min(lines.length - 1, index + EXCERPT_LINES);
+        for (var i  = first; i <= last; ++i)
+        {
+            var loc = lineMap ? lineMap[i] : null;
+            excerpt.push({
+                file    : loc ? loc.file : name,
+                line    : loc ? loc.line : i + 1,
+                text    : lines[i],
+                current : i === index
+            });
+        }
+        return excerpt;
+    }
+
+    /// Parses the info log produced when a shader fails to compile or a
+    /// program fails to link into a list of structured diagnostics. Line
+    /// numbers in the log refer to the source string passed to the compiler;
+    /// they are mapped back to the original file and line using the line map
+    /// produced by preprocessShader().
+    /// @param log The info log returned by the implementation, or the error
+    /// string returned by preprocessShader().
+    /// @param stage One of the BuildStage values.
+    /// @param source The source code referenced by the log, or null if the
+    /// log does not refer to a single source string (link errors.)
+    /// @param lineMap The line map returned by preprocessShader(), or null if
+    /// @a source has not been preprocessed.
+    /// @param name The file name reported for lines of @a source if @a lineMap
+    /// is null.
+    /// @return An array of diagnostic objects with the following fields:
+    /// obj.stage: One of the BuildStage values.
+    /// obj.file: The name of the file containing the error, or null.
+    /// obj.line: The one-based line number within the file, or zero.
+    /// obj.column: The one-based column number, or zero if not reported.
+    /// obj.severity: One of the DiagnosticSeverity values.
+    /// obj.message: The message text.
+    /// obj.excerpt: An array of objects {file, line, text, current} listing
+    /// the lines of source surrounding the error. The array is empty if the
+    /// diagnostic has no location.
+    function parseShaderLog(log, stage, source, lineMap, name)
+    {
+        var diagnostics = [];
+        var lines       = source ? String(source).split(/\r?\n/) : [];
+        var logLines    = String(log || '').split(/\r?\n/);
+        for (var i = 0, n = logLines.length; i < n; ++i)
+        {
+            var text  = logLines[i].replace(/\u0000/g, '').trim();
+            if (text.length === 0)
+                continue;
+
+            var entry = parseLogLine(text);
+            var file  = entry.file;
+            var line  = entry.line;
+            var index = -1; // index of the referenced line in lines.
+            if (line > 0 && (file === null || (file === name && !lineMap)))
+                index = line - 1;
+            if (index >= 0 && lineMap && lineMap[index])
+            {
+                file  = lineMap[index].file;
+                line  = lineMap[index].line;
+            }
+            else if (index >= 0 && file === null)
+            {
+                file  = name || null;
+            }
+            diagnostics.push({
+                stage    : stage,
+                file     : file,
+                line     : line,
+                column   : entry.column,
+                severity : entry.severity,
+                message  : entry.message,
+                excerpt  : index >= 0 && index < lines.length ?
+                    sourceExcerpt(lines, index, lineMap, name) : []
+            });
+        }
+        return diagnostics;
+    }
 
-            var reflectAttributes = function ()
+    /// Locates the diagnostics of a failed link in the shader sources. Link
+    /// logs rarely report line numbers, so a diagnostic without a location is
+    /// attributed to the declaration of the first identifier in its message
+    /// that is declared as an attribute, varying or uniform, searching the
+    /// vertex shader first. The file, line and excerpt of the diagnostic are
+    /// updated in place.
+    /// @param diagnostics The array returned by parseShaderLog().
+    /// @param shaders An array of objects with source, lineMap and name
+    /// fields, one per shader, as returned by preprocessShader().
+    function locateLinkDiagnostics(diagnostics, shaders)
+    {
+        for (var i = 0, n = diagnostics.length; i < n; ++i)
+        {
+            var diag  = diagnostics[i];
+            var words = diag.message.match(/[A-Za-z_]\w*/g) || [];
+            for (var w = 0; w < words.length && diag.line === 0; ++w)
+            {
+                var declare = new RegExp('\\b(?:attribute|varying|in|out|uniform)\\b[^;]*\\b'+words[w]+'\\s*(?:\\[[^\\]]*\\])?\\s*[,;]');
+                for (var k = 0; k < shaders.length && diag.line === 0; ++k)
                 {
-                    var aMatch = /attribute\s+(\w+)\s+(\w+)\s*;/g
-                    var aVert  = vss.match(aMatch);
-                    if (aVert)
+                    var sh    = shaders[k];
+                    var lines = sh.source.split(/\r?\n/);
+                    for (var l = 0; l < lines.length; ++l)
                     {
-                        for (var i = 0; i < aVert.length; ++i)
-                        {
-                            var attrib    = aVert[i].split(aMatch);
-                            var aType     = attrib[1];
-                            var aName     = attrib[2];
-                            proxy.attributeNames.push(aName);
-                            proxy.attributeTypes[aName] = aType;
-                        }
+                        if (!declare.test(lines[l]))
+                            continue;
+                        var loc      = sh.lineMap ? sh.lineMap[l] : null;
+                        diag.file    = loc ? loc.file : sh.name;
+                        diag.line    = loc ? loc.line : l + 1;
+                        diag.excerpt = sourceExcerpt(lines, l, sh.lineMap, sh.name);
+                        break;
                     }
-                };
+                }
+            }
+        }
+    }
+
+    /// Escapes the characters of a string that are significant in HTML.
+    /// @param text The string to escape.
+    /// @return The escaped string.
+    function escapeHTML(text)
+    {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+                           .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /// Formats a list of shader diagnostics for display. Each diagnostic is
+    /// written as a 'file:line:column: severity: message' header followed by
+    /// its source excerpt, with the referenced line marked by '>' and the
+    /// column, if known, marked with a caret.
+    /// @param diagnostics An array of diagnostics, as passed to handlers of the
+    /// 'compile:error' and 'linker:error' events.
+    /// @param format Either 'text' (the default), which returns plain text
+    /// suitable for console output, or 'html', which returns markup suitable
+    /// for setting the innerHTML of an overlay element. Each diagnostic is
+    /// wrapped in a div with the classes 'webgl-diagnostic' and
+    /// 'webgl-diagnostic-<severity>', and the referenced line is wrapped in
+    /// a mark element.
+    /// @return A string containing the formatted diagnostics.
+    function formatDiagnostics(diagnostics, format)
+    {
+        var html   = format === 'html';
+        var stages = ['vertex', 'fragment', 'link'];
+        var output = [];
+        for (var i = 0, n = diagnostics.length; i < n; ++i)
+        {
+            var diag   = diagnostics[i];
+            var where  = diag.file !== null ? diag.file : stages[diag.stage];
+            if (diag.line   > 0) where += ':'+diag.line;
+            if (diag.column > 0) where += ':'+diag.column;
+            var header = where+': '+diag.severity+': '+diag.message;
+
+            // label each line of the excerpt, including the file name for any
+            // lines pulled in from a different file by an #include.
+            var labels = [];
+            var width  = 0;
+            for (var j = 0, m = diag.excerpt.length; j < m; ++j)
+            {
+                var x  = diag.excerpt[j];
+                labels[j] = x.file === diag.file ? String(x.line) : x.file+':'+x.line;
+                width  = Math.max(width, labels[j].length);
+            }
+            var block  = [];
+            for (var k = 0, c = diag.excerpt.length; k < c; ++k)
+            {
+                var row    = diag.excerpt[k];
+                var gutter = (row.current ? '> ' : '  ')+' '.repeat(width - labels[k].length)+labels[k]+' | ';
+                var text   = gutter+row.text;
+                if (html) text = row.current ? '<mark>'+escapeHTML(text)+'</mark>' : escapeHTML(text);
+                block.push(text);
+                if (row.current && diag.column > 0)
+                    block.push(' '.repeat(width + 3)+'| '+' '.repeat(diag.column - 1)+'^');
+            }
+            if (html)
+            {
+                output.push(
+                    '<div class="webgl-diagnostic webgl-diagnostic-'+diag.severity+'">'+
+                    '<div class="webgl-diagnostic-message">'+escapeHTML(header)+'</div>'+
+                    (block.length ? '<pre class="webgl-diagnostic-excerpt">'+block.join('\n')+'</pre>' : '')+
+                    '</div>');
+            }
+            else output.push(block.length ? header+'\n'+block.join('\n') : header);
+        }
+        return output.join(html ? '\n' : '\n\n');
+    }
+
+    /// Formats a resource listing for display, one resource per line in the
+    /// form '#id type [state] summary'.
+    /// @param resources The array returned by @a GLContext.dumpResources().
+    /// @return A string containing the formatted listing.
+    function formatResources(resources)
+    {
+        var lines = [];
+        for (var i = 0, n = resources.length; i < n; ++i)
+        {
+            var r = resources[i];
+            lines.push('#'+r.id+' '+r.type+' ['+r.state+']'+(r.summary ? ' '+r.summary : ''));
+        }
+        return lines.join('\n');
+    }
 
-            // create the shader program representing the VS/FS combination.
-            var po = gl.createProgram();
-            gl.attachShader(po, vs);
-            gl.attachShader(po, fs);
+    /// Strips the '[0]' suffix that some implementations append to the name
+    /// reported for an array uniform or attribute.
+    /// @param name The name returned by getActiveUniform or getActiveAttrib.
+    /// @return The name of the variable without any trailing array index.
+    function activeBaseName(name)
+    {
+        var n = name.length;
+        return (name.substring(n - 3) === '[0]') ? name.substring(0, n - 3) : name;
+    }
+
+    /// Queries the active uniforms of a linked program object and stores their
+    /// type, array length and location on the program proxy. Struct members
+    /// are reported by the implementation using their full name, for example
+    /// 'uLight.color' or 'uLights[2].color'. For arrays, the name without an
+    /// index refers to the whole array, and each element 'name[i]' is also
+    /// registered with a size of 1 and an entry in proxy.uniformElements.
+    /// Built-in uniforms (prefixed with 'gl_') are skipped.
+    /// @param gl The WebGLRenderingContext.
+    /// @param po The linked WebGLProgram.
+    /// @param proxy The shader program proxy to populate.
+    /// @param blockMembers An optional object whose keys are the indices of
+    /// the uniforms declared in uniform blocks, which are skipped.
+    function reflectUniforms(gl, po, proxy, blockMembers)
+    {
+        var count = gl.getProgramParameter(po, gl.ACTIVE_UNIFORMS) || 0;
+        for (var i = 0; i < count; ++i)
+        {
+            var info = gl.getActiveUniform(po, i);
+            if (!info || info.name.substring(0, 3) === 'gl_')
+                continue;
+            if (blockMembers && blockMembers[i])
+                continue;
 
-            // bind the vertex attribute locations (pre-link.)
-            reflectAttributes();
-            for (var i = 0; i < proxy.attributeNames.length; ++i)
+            var name = activeBaseName(info.name);
+            var type = ActiveTypes[info.type];
+            proxy.uniformNames.push(name);
+            proxy.uniformTypes[name]     = type;
+            proxy.uniformSizes[name]     = info.size;
+            proxy.uniformLocations[name] = gl.getUniformLocation(po, name);
+            if (info.size > 1 || name !== info.name)
             {
-                var an = proxy.attributeNames[i];
-                proxy.attributeIndices[an] =  i;
-                gl.bindAttribLocation(po, i, an);
+                for (var j = 0; j < info.size; ++j)
+                {
+                    var en = name+'['+j+']';
+                    proxy.uniformTypes[en]     = type;
+                    proxy.uniformSizes[en]     = 1;
+                    proxy.uniformLocations[en] = gl.getUniformLocation(po, en);
+                    proxy.uniformElements[en]  = {
+                        name  : name,
+                        index : j
+                    };
+                }
             }
+        }
+    }
 
-            // link the shader program object.
-            gl.linkProgram(po);
-            if (!gl.getProgramParameter(po, gl.LINK_STATUS) &&
-                !gl.isContextLost())
-            {
-                var log   = gl.getProgramInfoLog(po);
-                var stage = BuildStage.LINK_PROGRAM;
-                gl.detachShader (po, fs);
-                gl.detachShader (po, vs);
-                gl.deleteProgram(po);
-                gl.deleteShader (fs);
-                gl.deleteShader (vs);
-                this.emit('linker:error', this, stage, vss+'\n\n'+fss, log);
-                return false;
+    /// Queries the active uniform blocks of a linked WebGL 2 program object and
+    /// stores their index, size and members on the program proxy. Members are
+    /// listed in order of their offset within the block, which matches their
+    /// declaration order.
+    /// @param gl The WebGL2RenderingContext.
+    /// @param po The linked WebGLProgram.
+    /// @param proxy The shader program proxy to populate.
+    /// @return An object whose keys are the indices of the block members.
+    function reflectUniformBlocks(gl, po, proxy)
+    {
+        var count   = gl.getProgramParameter(po, gl.ACTIVE_UNIFORM_BLOCKS) || 0;
+        var indices = {};
+        for (var i  = 0; i < count; ++i)
+        {
+            var name    = gl.getActiveUniformBlockName(po, i);
+            var active  = gl.getActiveUniformBlockParameter(po, i, gl.UNIFORM_BLOCK_ACTIVE_UNIFORM_INDICES) || [];
+            var offsets = gl.getActiveUniforms(po, active, gl.UNIFORM_OFFSET) || [];
+            var members = [];
+            for (var j  = 0, n = active.length; j < n; ++j)
+            {
+                var info = gl.getActiveUniform(po, active[j]);
+                indices[active[j]] = true;
+                members.push({
+                    name   : activeBaseName(info.name),
+                    type   : ActiveTypes[info.type],
+                    size   : info.size,
+                    offset : offsets[j] || 0
+                });
+            }
+            members.sort(function (a, b) { return a.offset - b.offset; });
+            proxy.uniformBlocks[name] = {
+                index    : i,
+                byteSize : gl.getActiveUniformBlockParameter(po, i, gl.UNIFORM_BLOCK_DATA_SIZE) || 0,
+                binding  : 0,
+                members  : members
+            };
+        }
+        return indices;
+    }
+
+    /// Parses the vertex attribute declarations of a vertex shader. Comments,
+    /// preprocessor directives and function bodies are skipped, and each
+    /// declarator of a comma-separated declaration is returned separately.
+    /// @param vss The preprocessed vertex shader source code.
+    /// @return An array of objects with name, slots and location fields, in
+    /// declaration order. Matrix attributes occupy one slot per column, and
+    /// location is the explicit layout location, or -1 if none is specified.
+    function parseAttributeDeclarations(vss)
+    {
+        var source  = vss.replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/\/\/.*$/gm, '').replace(/^\s*#.*$/gm, '');
+        var declare = /^(?:layout\s*\(([^)]*)\)\s*)?(?:attribute|in)\s+(?:(?:highp|mediump|lowp)\s+)?(\w+)\s+([\s\S]+)$/;
+        var element = /^(\w+)\s*(?:\[\s*(\d+)\s*\])?$/;
+        var columns = { mat2 : 2, mat3 : 3, mat4 : 4, mat2x3 : 2, mat2x4 : 2, mat3x2 : 3, mat3x4 : 3, mat4x2 : 4, mat4x3 : 4 };
+        var result  = [];
+        var parts   = source.split(';');
+        for (var i  = 0, n = parts.length; i < n; ++i)
+        {
+            // declarations following a function body start after its brace.
+            var text  = parts[i].slice(parts[i].lastIndexOf('}') + 1).trim();
+            var match = declare.exec(text);
+            if (match === null)
+                continue;
+            var explicit = match[1] ? /\blocation\s*=\s*(\d+)/.exec(match[1]) : null;
+            var location = explicit ? parseInt(explicit[1], 10) : -1;
+            var names    = match[3].split(',');
+            for (var j   = 0, m = names.length; j < m; ++j)
+            {
+                var decl = element.exec(names[j].trim());
+                if (decl === null)
+                    continue;
+                var size = (columns[match[2]] || 1) * (decl[2] ? parseInt(decl[2], 10) : 1);
+                result.push({
+                    name     : decl[1],
+                    slots    : size,
+                    location : location
+                });
+                if (location >= 0)
+                    location += size;
             }
+        }
+        return result;
+    }
 
-            // retrieve the bind locations of each uniform (post-link.)
-            reflectUniforms();
-            for (var i = 0; i < proxy.uniformNames.length; ++i)
+    /// Assigns vertex attribute locations in the order the attributes are
+    /// declared in the vertex shader, so that programs declaring the same
+    /// attributes in the same order use the same locations. Locations given
+    /// with a layout qualifier are reserved first and the remaining
+    /// attributes are assigned the lowest free slots. Attributes that don't
+    /// fit in the vertex attribute slots are left to the implementation. This
+    /// must be performed before the program is linked; the locations actually
+    /// used are queried after linking by reflectAttributes().
+    /// @param context The GLContext.
+    /// @param po The WebGLProgram, with its shaders attached.
+    /// @param vss The preprocessed vertex shader source code.
+    function bindAttributeLocations(context, po, vss)
+    {
+        var gl      = context.gl;
+        var max     = context.capabilities.maxVertexAttribs;
+        var attribs = parseAttributeDeclarations(vss);
+        var used    = new Array(max);
+        var next    = 0;
+        for (var i  = 0, n = attribs.length; i < n; ++i)
+        {
+            var ad  = attribs[i];
+            for (var j = 0; ad.location >= 0 && j < ad.slots; ++j)
+                used[ad.location + j] = true;
+        }
+        for (var i  = 0, n = attribs.length; i < n; ++i)
+        {
+            var ad  = attribs[i];
+            var run = 0;
+            if (ad.location >= 0)
+                continue; // the location is specified in the shader.
+            while (run < ad.slots && next + run < max)
             {
-                var un = proxy.uniformNames[i];
-                proxy.uniformLocations[un] = gl.getUniformLocation(po, un);
+                // find a run of free slots large enough for the attribute.
+                if (used[next + run]) { next += run + 1; run = 0; }
+                else run++;
             }
-            proxy.programResource          = po;
-            proxy.vertexShaderResource     = vs;
-            proxy.fragmentShaderResource   = fs;
-            this.useProgram(proxy);
+            if (next + ad.slots > max)
+                break;
+            gl.bindAttribLocation(po, next, ad.name);
+            for (var j = 0; j < ad.slots; ++j)
+                used[next + j] = true;
+            next += ad.slots;
+        }
+    }
+
+    /// Queries the active attributes of a linked program object and stores
+    /// their type, array length and location on the program proxy. Built-in
+    /// attributes (prefixed with 'gl_') are skipped.
+    /// @param gl The WebGLRenderingContext.
+    /// @param po The linked WebGLProgram.
+    /// @param proxy The shader program proxy to populate.
+    function reflectAttributes(gl, po, proxy)
+    {
+        var count = gl.getProgramParameter(po, gl.ACTIVE_ATTRIBUTES) || 0;
+        for (var i = 0; i < count; ++i)
+        {
+            var info = gl.getActiveAttrib(po, i);
+            if (!info || info.name.substring(0, 3) === 'gl_')
+                continue;
+
+            var name = activeBaseName(info.name);
+            proxy.attributeNames.push(name);
+            proxy.attributeTypes[name]   = ActiveTypes[info.type];
+            proxy.attributeSizes[name]   = info.size;
+            proxy.attributeIndices[name] = gl.getAttribLocation(po, name);
+        }
+    }
+
+    /// Computes the 32-bit FNV-1a hash of a string, used to key the shader and
+    /// program caches. Strings are hashed one UTF-16 code unit at a time.
+    /// @param source The string to hash.
+    /// @return The hash value, as a string of hexadecimal digits.
+    function hashSource(source)
+    {
+        var hash = 0x811C9DC5;
+        for (var i = 0, n = source.length; i < n; ++i)
+        {
+            hash ^= source.charCodeAt(i);
+            hash  = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16);
+    }
+
+    /// Retrieves a compiled shader object from the shader cache of a context,
+    /// compiling the shader and adding it to the cache if necessary. If the
+    /// shader fails to compile, a 'compile:error' event is emitted.
+    /// @param context The GLContext.
+    /// @param type The shader type, either VERTEX_SHADER or FRAGMENT_SHADER.
+    /// @param original The shader source before preprocessing, passed to
+    /// 'compile:error' along with the remapped info log.
+    /// @param shader The result of preprocessShader() for the shader source.
+    /// @param hash The value returned by hashSource() for the shader source.
+    /// @return An object with key, source, resource and refCount fields, or
+    /// null if the shader could not be compiled.
+    function acquireShader(context, type, original, shader, hash)
+    {
+        var gl     = context.gl;
+        var key    = type+':'+hash;
+        var entry  = context.shaderCache[key];
+        var source = shader.source;
+        if (entry && entry.source === source)
+        {
+            entry.refCount++;
+            return entry;
+        }
+
+        var so = gl.createShader(type);
+        gl.shaderSource (so, source);
+        gl.compileShader(so);
+        if (!gl.getShaderParameter(so, gl.COMPILE_STATUS) &&
+            !gl.isContextLost())
+        {
+            var raw   = gl.getShaderInfoLog(so);
+            var log   = remapShaderLog(raw, shader.lineMap);
+            var stage = type === gl.VERTEX_SHADER ? BuildStage.COMPILE_VS : BuildStage.COMPILE_FS;
+            var diags = parseShaderLog(raw, stage, source, shader.lineMap, null);
+            gl.deleteShader(so);
+            context.emit('compile:error', context, stage, original, log, shader.lineMap, diags);
+            return null;
+        }
+        entry = {
+            key      : entry ? null : key, /* null on hash collision */
+            source   : source,
+            resource : so,
+            refCount : 1
+        };
+        if (entry.key !== null)
+            context.shaderCache[key] = entry;
+        return entry;
+    }
+
+    /// Releases a reference to a cached shader object. The WebGL shader object
+    /// is deleted when the last reference is released.
+    /// @param context The GLContext.
+    /// @param entry The object returned by acquireShader().
+    function releaseShader(context, entry)
+    {
+        if (--entry.refCount > 0)
+            return;
+        if (entry.key !== null && context.shaderCache[entry.key] === entry)
+            delete context.shaderCache[entry.key];
+        context.gl.deleteShader(entry.resource);
+    }
+
+    /// Retrieves a linked shader program from the program cache of a context.
+    /// If no program has been built from the same preprocessed sources, the
+    /// shaders are compiled (or retrieved from the shader cache), linked into
+    /// a new program and the active uniforms, attributes and uniform blocks of
+    /// the program are queried. No program proxy is modified, so a failed
+    /// build has no effect on the program currently in use. Errors are
+    /// reported with the 'compile:error' and 'linker:error' events.
+    /// @param context The GLContext.
+    /// @param vss A string specifying the vertex shader source code.
+    /// @param fss A string specifying the fragment shader source code.
+    /// @param options An optional object specifying preprocessor options. See
+    /// @a GLContext.createProgramResource().
+    /// @return An object with key, refCount, vertexShader, fragmentShader and
+    /// fields properties, or null if the program could not be built. The
+    /// fields object holds the values of the program proxy fields describing
+    /// the program, and is shared by all proxies referencing the program.
+    function acquireProgram(context, vss, fss, options)
+    {
+        var gl     = context.gl;
+        var op     = options || {};
+
+        // expand #include directives and inject #defines:
+        var vsName = defaultValue(op.vertexName,   'vertex');
+        var fsName = defaultValue(op.fragmentName, 'fragment');
+        var vsx    = preprocessShader(vss, vsName, context.shaderChunks, op.defines);
+        var fsx    = preprocessShader(fss, fsName, context.shaderChunks, op.defines);
+        if (vsx.error)
+        {
+            var stage = BuildStage.COMPILE_VS;
+            var diags = parseShaderLog(vsx.error, stage, vss, null, vsName);
+            context.emit('compile:error', context, stage, vss, vsx.error, vsx.lineMap, diags);
+            return null;
+        }
+        if (fsx.error)
+        {
+            var stage = BuildStage.COMPILE_FS;
+            var diags = parseShaderLog(fsx.error, stage, fss, null, fsName);
+            context.emit('compile:error', context, stage, fss, fsx.error, fsx.lineMap, diags);
+            return null;
+        }
+
+        // programs built from identical sources share one WebGLProgram.
+        var vsHash = hashSource(vsx.source);
+        var fsHash = hashSource(fsx.source);
+        var key    = vsHash+':'+fsHash;
+        var cached = context.programCache[key];
+        if (cached && cached.vertexShader.source   === vsx.source &&
+                      cached.fragmentShader.source === fsx.source)
+        {
+            cached.refCount++;
+            return cached;
+        }
+
+        var vs = acquireShader(context, gl.VERTEX_SHADER,   vss, vsx, vsHash);
+        if (vs === null)
+            return null;
+        var fs = acquireShader(context, gl.FRAGMENT_SHADER, fss, fsx, fsHash);
+        if (fs === null)
+        {
+            releaseShader(context, vs);
+            return null;
+        }
+
+        // create the shader program representing the VS/FS combination.
+        var po = gl.createProgram();
+        gl.attachShader(po, vs.resource);
+        gl.attachShader(po, fs.resource);
+
+        // bind the vertex attribute locations (pre-link.)
+        bindAttributeLocations(context, po, vsx.source);
+
+        // link the shader program object.
+        gl.linkProgram(po);
+        if (!gl.getProgramParameter(po, gl.LINK_STATUS) &&
+            !gl.isContextLost())
+        {
+            var log   = gl.getProgramInfoLog(po);
+            var stage = BuildStage.LINK_PROGRAM;
+            var diags = parseShaderLog(log, stage, null, null, null);
+            locateLinkDiagnostics(diags, [
+                { source : vsx.source, lineMap : vsx.lineMap, name : vsName },
+                { source : fsx.source, lineMap : fsx.lineMap, name : fsName }
+            ]);
+            gl.detachShader (po, fs.resource);
+            gl.detachShader (po, vs.resource);
+            gl.deleteProgram(po);
+            releaseShader(context, fs);
+            releaseShader(context, vs);
+            var sources  = { vertex : vss,         fragment : fss         };
+            var lineMaps = { vertex : vsx.lineMap, fragment : fsx.lineMap };
+            context.emit('linker:error', context, stage, sources, log, lineMaps, diags);
+            return null;
+        }
+
+        var fields = {
+            programResource        : po,
+            vertexShaderResource   : vs.resource,
+            fragmentShaderResource : fs.resource,
+            uniformNames           : [],
+            uniformTypes           : {},
+            uniformSizes           : {},
+            uniformLocations       : {},
+            uniformElements        : {},
+            uniformValues          : {},
+            samplerUnits           : {},
+            attributeNames         : [],
+            attributeTypes         : {},
+            attributeSizes         : {},
+            attributeIndices       : {},
+            uniformBlocks          : {},
+            blockBindings          : {},
+            blockVersions          : {}
+        };
+
+        // query the active uniforms and attributes (post-link.)
+        var blockMembers = null;
+        if (context.capabilities.version > 1)
+            blockMembers = reflectUniformBlocks(gl, po, fields);
+        reflectUniforms  (gl, po, fields, blockMembers);
+        reflectAttributes(gl, po, fields);
+
+        var entry = {
+            key            : cached ? null : key, /* null on hash collision */
+            refCount       : 1,
+            vertexShader   : vs,
+            fragmentShader : fs,
+            fields         : fields
+        };
+        if (entry.key !== null)
+            context.programCache[key] = entry;
+        return entry;
+    }
+
+    /// Releases a reference to a cached shader program. The WebGL program
+    /// object is deleted, and its shaders released, when the last reference
+    /// is released.
+    /// @param context The GLContext.
+    /// @param entry The object returned by acquireProgram().
+    function releaseProgram(context, entry)
+    {
+        if (--entry.refCount > 0)
+            return;
+        if (entry.key !== null && context.programCache[entry.key] === entry)
+            delete context.programCache[entry.key];
+
+        var gl = context.gl;
+        var po = entry.fields.programResource;
+        gl.detachShader (po, entry.fragmentShader.resource);
+        gl.detachShader (po, entry.vertexShader.resource);
+        gl.deleteProgram(po);
+        releaseShader(context, entry.fragmentShader);
+        releaseShader(context, entry.vertexShader);
+    }
+
+    /// Points a program proxy at a cached shader program, replacing its
+    /// resources and reflection data. The proxy shares the cached uniform
+    /// values, sampler units and uniform block bindings of the program with
+    /// any other proxies referencing it, since all of these are state of the
+    /// WebGLProgram. The program is made active, and any block bindings
+    /// assigned to the proxy before it was pointed at the program are applied
+    /// to the program. The reference to any previous program must be released
+    /// by the caller.
+    /// @param context The GLContext.
+    /// @param proxy The shader program proxy.
+    /// @param entry The object returned by acquireProgram().
+    /// @param vss The vertex shader source code used to build the program.
+    /// @param fss The fragment shader source code used to build the program.
+    /// @param options The preprocessor options used to build the program.
+    function installProgram(context, proxy, entry, vss, fss, options)
+    {
+        var fields = entry.fields;
+        var blocks = proxy.blockBindings;
+        for (var field in fields)
+            proxy[field]      = fields[field];
+        proxy.programEntry    = entry;
+        proxy.samplerTextures = {};
+        proxy.vertexSource    = vss;
+        proxy.fragmentSource  = fss;
+        proxy.sourceOptions   = options || null;
+        trackResource(context.liveResources[ResourceType.PROGRAM], proxy);
+        if (context.activeProgram === proxy)
+            context.activeProgram  = null; // bind the new program object.
+        context.useProgram(proxy);
+        assignSamplerUnits(context, proxy);
+        for (var block in blocks)
+            context.bindUniformBlock(proxy, block, blocks[block]);
+    }
+
+    /// Creates the WebGL resources associated with a shader program by
+    /// compiling a vertex shader and fragment shader and linking them into
+    /// a complete shader program. The sources are first expanded by
+    /// preprocessShader() against the chunks registered with
+    /// @a GLContext.defineShaderChunk(). The source and info log passed to
+    /// 'compile:error' refer to the original files; the line map and an
+    /// array of diagnostics parsed from the log by parseShaderLog() are passed
+    /// as additional arguments. The 'linker:error' event receives the original
+    /// sources and the line maps as objects with vertex and fragment fields,
+    /// followed by the diagnostics; link diagnostics are located at the
+    /// declaration of the symbol they name, where one is found. The handlers
+    /// have the signature (context, stage, source, log, lineMap, diagnostics).
+    /// Diagnostics can be displayed with
+    /// @a WebGL.formatDiagnostics(). Each active sampler uniform is set
+    /// to a fixed texture unit, recorded in proxy.samplerUnits, when the
+    /// program is linked. Programs are cached by a hash of their preprocessed
+    /// sources, so proxies created from identical sources share a single
+    /// WebGLProgram, along with its uniform values and block bindings, and
+    /// shader objects are shared between programs. This function can only be
+    /// called from the main UI thread.
+    /// @param proxy The shader program proxy object as returned by the
+    /// function @a GLContext.createProgramProxy().
+    /// @param vss A string specifying the vertex shader source code.
+    /// @param fss A string specifying the fragment shader source code.
+    /// @param options An optional object specifying preprocessor options:
+    /// options.defines: An object mapping macro name to value, injected into
+    /// both shaders. A value of true defines the macro with no value.
+    /// options.vertexName: The file name reported for lines of @a vss. The
+    /// default is 'vertex'.
+    /// options.fragmentName: The file name reported for lines of @a fss. The
+    /// default is 'fragment'.
+    /// @return true if compiling and linking completed successfully.
+    GLContext.prototype.createProgramResource = function (proxy, vss, fss, options)
+    {
+        if (proxy && proxy.webglContext === this)
+        {
+            var entry = acquireProgram(this, vss, fss, options);
+            if (entry === null)
+                return false;
+            var previous  = proxy.programEntry;
+            installProgram(this, proxy, entry, vss, fss, options);
+            if (previous) releaseProgram(this, previous);
             return true;
         }
         return false;
     };
 
+    /// Replaces the shader program of a program proxy with one built from new
+    /// source code, for example, after a shader file has been edited. The
+    /// proxy itself is kept, so objects referencing it need not be updated.
+    /// The new program is only swapped in if compiling and linking succeed;
+    /// otherwise the errors are emitted as for createProgramResource() and the
+    /// previous program remains in use. After the swap, cached uniform values
+    /// and the textures assigned to sampler uniforms with setUniform() are
+    /// re-applied for uniforms whose name, type and array size are unchanged,
+    /// and the program that was active before the call is made active again.
+    /// This function can only be called from the main UI thread.
+    /// @param proxy The shader program proxy object as returned by the
+    /// function @a GLContext.createProgramProxy(). If the proxy has no WebGL
+    /// resources, this is the same as calling createProgramResource().
+    /// @param vss A string specifying the vertex shader source code.
+    /// @param fss A string specifying the fragment shader source code.
+    /// @param options An optional object specifying preprocessor options. See
+    /// @a GLContext.createProgramResource(). If not specified, the options
+    /// used to create the current program are used.
+    /// @return true if the new program was built and swapped in.
+    GLContext.prototype.reloadProgramResource = function (proxy, vss, fss, options)
+    {
+        if (!proxy || proxy.webglContext !== this)
+            return false;
+        if (!proxy.programResource)
+            return this.createProgramResource(proxy, vss, fss, options);
+
+        var op    = defaultValue(options, proxy.sourceOptions);
+        var entry = acquireProgram(this, vss, fss, op);
+        if (entry === null)
+            return false;
+
+        // remember the state to carry over from the previous program.
+        var previous = this.activeProgram;
+        var oldTypes = proxy.uniformTypes;
+        var oldSizes = proxy.uniformSizes;
+        var values   = proxy.uniformValues;
+        var textures = proxy.samplerTextures;
+
+        // swap in the new program, then release the previous program.
+        var oldEntry = proxy.programEntry;
+        installProgram(this, proxy, entry, vss, fss, op);
+        releaseProgram(this, oldEntry);
+
+        // re-apply uniforms that exist with the same type in the new program.
+        var matches = function (name)
+            {
+                return proxy.uniformTypes[name] !== undefined &&
+                       proxy.uniformTypes[name] === oldTypes[name] &&
+                       proxy.uniformSizes[name] === oldSizes[name];
+            };
+        for (var name in values)
+        {
+            if (matches(name))
+                this.setUniform(name, values[name]);
+        }
+        for (var name in textures)
+        {
+            if (matches(name) && textures[name])
+                this.setUniform(name, textures[name]);
+        }
+        if (previous !== proxy)
+        {
+            if (previous) this.useProgram(previous);
+            else this.unbindProgram();
+        }
+        return true;
+    };
+
     /// Deletes the WebGL resources associated with a shader program. This
     /// function can only be called on the main UI thread.
     /// @param proxy The shader program proxy object as returned by the
@@ -1148,22 +2797,200 @@ var WebGL = (function (exports)
             if (this.activeProgram === proxy)
                 this.unbindProgram();
 
-            var gl = proxy.webglContext.gl;
-            gl.detachShader(proxy.programResource, proxy.fragmentShaderResource);
-            gl.detachShader(proxy.programResource, proxy.vertexShaderResource);
-            gl.deleteShader(proxy.fragmentShaderResource);
-            gl.deleteShader(proxy.vertexShaderResource);
-            gl.deleteProgram(proxy.programResource);
+            // the program is only deleted once no other proxy shares it.
+            if (proxy.programEntry)
+                releaseProgram(this, proxy.programEntry);
+            untrackResource(this.liveResources[ResourceType.PROGRAM], proxy);
             proxy.programResource        = null;
             proxy.vertexShaderResource   = null;
             proxy.fragmentShaderResource = null;
+            proxy.programEntry           = null;
+        }
+        return this;
+    };
+
+    /// Determines whether a GLSL type is one of the sampler types.
+    /// @param type The GLSL type name, from TypeNames.
+    /// @return true if @a type is a sampler type.
+    function isSamplerType(type)
+    {
+        var glsl = TypeNames;
+        return type === glsl.SAMPLER_2D || type === glsl.SAMPLER_CUBE ||
+               type === glsl.SAMPLER_3D || type === glsl.SAMPLER_2D_ARRAY;
+    }
+
+    /// Assigns each active sampler uniform of a newly linked program a fixed
+    /// texture unit and sets the sampler uniforms to those units. Elements of
+    /// a sampler array receive consecutive units. Units are assigned starting
+    /// from zero in the order the uniforms are reported by the implementation.
+    /// @param context The GLContext. The program must be the active program.
+    /// @param proxy The shader program proxy.
+    function assignSamplerUnits(context, proxy)
+    {
+        var gl   = context.gl;
+        var glsl = TypeNames;
+        var next = 0;
+        var max  = context.capabilities.maxCombinedTextureImageUnits;
+        for (var i = 0, n = proxy.uniformNames.length; i < n; ++i)
+        {
+            var name = proxy.uniformNames[i];
+            var type = proxy.uniformTypes[name];
+            if (!isSamplerType(type))
+                continue;
+
+            var size = proxy.uniformSizes[name];
+            if (next + size > max)
+            {
+                context.capabilityError('MAX_COMBINED_TEXTURE_IMAGE_UNITS',
+                    'Sampler '+name+' exceeds the number of texture units.');
+                continue;
+            }
+            var units = new Int32Array(size);
+            for (var j = 0; j < size; ++j)
+            {
+                units[j] = next + j;
+                if (size > 1) proxy.samplerUnits[name+'['+j+']'] = next + j;
+            }
+            proxy.samplerUnits[name] = next;
+            if (size > 1) gl.uniform1iv(proxy.uniformLocations[name], units);
+            else          gl.uniform1i (proxy.uniformLocations[name], next);
+            next += size;
+        }
+    }
+
+    /// Binds one or more textures to the texture units assigned to a sampler
+    /// uniform when the program was linked. Binds go through the texture unit
+    /// cache, and textures that are already bound to their unit are skipped
+    /// without selecting the unit. Units assigned a null texture are unbound.
+    /// @param context The GLContext.
+    /// @param unit The texture unit assigned to the sampler uniform.
+    /// @param value A texture proxy or null, or an array of these when the
+    /// uniform is a sampler array.
+    /// @param isArray true if the uniform is a sampler array.
+    function bindSamplerUnits(context, unit, value, isArray)
+    {
+        var textures = isArray ? value : [value];
+        for (var i   = 0, n = textures.length; i < n; ++i)
+        {
+            var tex  = textures[i] || null;
+            if ((context.activeTextures[unit + i] || null) !== tex)
+            {
+                context.useTextureUnit(unit + i);
+                if (tex) context.useTexture(tex);
+                else     context.unbindTexture();
+            }
+        }
+    }
+
+    /// Records the texture(s) assigned to a sampler uniform of a program, so
+    /// that the assignment can be carried over when the program is reloaded.
+    /// Texture units are shared by all programs, so the textures bound to the
+    /// units of a sampler do not identify the textures assigned to it.
+    /// @param shader The shader program proxy.
+    /// @param name The name of the sampler uniform, or of an element 'name[i]'
+    /// of a sampler array.
+    /// @param value A texture proxy, or an array of texture proxies.
+    /// @param isArray true if @a value is an array for a whole sampler array.
+    function recordSamplerTexture(shader, name, value, isArray)
+    {
+        var textures = shader.samplerTextures;
+        var element  = shader.uniformElements[name];
+        if (isArray)
+        {
+            // the whole array replaces any elements set individually.
+            textures[name] = Array.prototype.slice.call(value);
+            for (var key in textures)
+            {
+                if (shader.uniformElements[key] && shader.uniformElements[key].name === name)
+                    delete textures[key];
+            }
+        }
+        else if (element && textures[element.name])
+            textures[element.name][element.index] = value;
+        else
+            textures[name] = value;
+    }
+
+    /// Compares a uniform value against the copy last uploaded to a shader
+    /// program and updates the copy if the value has changed.
+    /// @param values The uniformValues table of the shader program proxy.
+    /// @param name The name of the uniform.
+    /// @param value The Number, Boolean or array value being set.
+    /// @return true if the value differs from the cached copy.
+    function updateUniformCache(values, name, value)
+    {
+        var cached = values[name];
+        if (!ArrayBuffer.isView(value) && !Array.isArray(value))
+        {
+            // scalars, and values such as null that are passed through as-is.
+            if (cached === value) return false;
+            values[name]  = value;
+            return true;
         }
+        if (!Array.isArray(cached) || cached.length !== value.length)
+        {
+            values[name]  = Array.prototype.slice.call(value);
+            return true;
+        }
+        var changed = false;
+        for (var i  = 0, n = value.length; i < n; ++i)
+        {
+            if (cached[i] !== value[i])
+            {
+                cached[i] = value[i];
+                changed   = true;
+            }
+        }
+        return changed;
+    }
+
+    /// Discards the cached values of any uniforms that overlap the storage of
+    /// a uniform that has just been uploaded. Setting a whole array discards
+    /// the cached values of its elements, and setting an element discards the
+    /// cached value of the whole array.
+    /// @param shader The shader program proxy.
+    /// @param name The name of the uniform that was uploaded.
+    function invalidateUniformOverlaps(shader, name)
+    {
+        var values  = shader.uniformValues;
+        var element = shader.uniformElements[name];
+        if (element)
+        {
+            delete values[element.name];
+            return;
+        }
+        for (var i  = 0, n = shader.uniformSizes[name]; n > 1 && i < n; ++i)
+            delete values[name+'['+i+']'];
+    }
+
+    /// Resets the counters in GLContext.counters to zero. Call this at the
+    /// start of a frame to measure the work performed for that frame.
+    /// @return The GLContext.
+    GLContext.prototype.resetCounters = function ()
+    {
+        var counters = this.counters;
+        for (var key in counters)
+            counters[key] = 0;
         return this;
     };
 
     /// Sets the value of a uniform variable in the active shader program.
+    /// Array uniforms may be set as a whole using the array name, with the
+    /// values for all elements packed into one array, or one element at a
+    /// time using 'name[i]'. Struct members are set using 'name.field', or
+    /// all at once by passing an object whose fields match the members. An
+    /// array of structs may be set by passing an array of such objects.
+    /// Uniforms that are not active in the program are ignored. The last value
+    /// set for each non-sampler uniform is cached per program, and setting an
+    /// identical value again is skipped; see GLContext.counters. The cache is
+    /// not aware of uniforms set by calling gl.uniform*() directly. Setting a
+    /// sampler may change the active texture unit.
     /// @param name The name of the uniform to set.
-    /// @param value The value to set.
+    /// @param value The value to set. For sampler types this is a texture
+    /// proxy, or an array of texture proxies for a sampler array, which is
+    /// bound to the texture unit(s) assigned to the sampler at link time. A
+    /// null texture unbinds the unit.
+    /// See GLContext.createProgramResource().
     /// @return The GLContext.
     GLContext.prototype.setUniform = function (name, value)
     {
@@ -1175,6 +3002,49 @@ var WebGL = (function (exports)
         var     shader = this.activeProgram;
         var     bind   = shader.uniformLocations[name];
         var     type   = shader.uniformTypes[name];
+        var     array  = shader.uniformSizes[name] > 1;
+        if (type === undefined)
+        {
+            // possibly a struct, or an array of structs; set each member.
+            if (value && typeof value === 'object' && !ArrayBuffer.isView(value))
+            {
+                if (Array.isArray(value))
+                {
+                    for (var i = 0, n = value.length; i < n; ++i)
+                        this.setUniform(name+'['+i+']', value[i]);
+                }
+                else
+                {
+                    for (var field in value)
+                        this.setUniform(name+'.'+field, value[field]);
+                }
+            }
+            return this;
+        }
+        if (isSamplerType(type))
+        {
+            // sampler uniforms are set once, when the program is linked.
+            if (shader.samplerUnits[name] !== undefined)
+            {
+                if (array && !value)
+                {
+                    // unbind every unit assigned to the sampler array.
+                    value = [];
+                    for (var i = 0, n = shader.uniformSizes[name]; i < n; ++i)
+                        value.push(null);
+                }
+                bindSamplerUnits(this, shader.samplerUnits[name], value, array);
+                recordSamplerTexture(shader, name, value, array);
+            }
+            return this;
+        }
+        if (!updateUniformCache(shader.uniformValues, name, value))
+        {
+            this.counters.uniformSkips++;
+            return this;
+        }
+        invalidateUniformOverlaps(shader, name);
+        this.counters.uniformUploads++;
         switch (type)
         {
             case glsl.VEC4:
@@ -1183,12 +3053,6 @@ var WebGL = (function (exports)
             case glsl.MAT4:
                 gl.uniformMatrix4fv(bind, false, value);
                 break;
-            case glsl.SAMPLER_2D:
-                gl.activeTexture(gl[TextureSlots[shader.boundTextureCount]]);
-                gl.bindTexture(gl.TEXTURE_2D, value.textureResource);
-                gl.uniform1i(bind, shader.boundTextureCount);
-                shader.boundTextureCount++;
-                break;
             case glsl.VEC3:
                 gl.uniform3fv(bind, value);
                 break;
@@ -1196,13 +3060,8 @@ var WebGL = (function (exports)
                 gl.uniform2fv(bind, value);
                 break;
             case glsl.FLOAT:
-                gl.uniform1f(bind, value);
-                break;
-            case glsl.SAMPLER_CUBE:
-                gl.activeTexture(gl[TextureSlots[shader.boundTextureCount]]);
-                gl.bindTexture(gl.TEXTURE_CUBE_MAP, value.textureResource);
-                gl.uniform1i(bind, shader.boundTextureCount);
-                shader.boundTextureCount++;
+                if (array) gl.uniform1fv(bind, value);
+                else       gl.uniform1f (bind, value);
                 break;
             case glsl.MAT3:
                 gl.uniformMatrix3fv(bind, false, value);
@@ -1211,7 +3070,8 @@ var WebGL = (function (exports)
                 gl.uniformMatrix2fv(bind, false, value);
                 break;
             case glsl.INT:
-                gl.uniform1i(bind, value);
+                if (array) gl.uniform1iv(bind, value);
+                else       gl.uniform1i (bind, value);
                 break;
             case glsl.IVEC4:
                 gl.uniform4iv(bind, value);
@@ -1223,7 +3083,8 @@ var WebGL = (function (exports)
                 gl.uniform2iv(bind, value);
                 break;
             case glsl.BOOL:
-                gl.uniform1i (bind, value);
+                if (array) gl.uniform1iv(bind, value);
+                else       gl.uniform1i (bind, value);
                 break;
             case glsl.BVEC4:
                 gl.uniform4iv(bind, value);
@@ -1234,18 +3095,50 @@ var WebGL = (function (exports)
             case glsl.BVEC2:
                 gl.uniform2iv(bind, value);
                 break;
+            case glsl.UINT:
+                if (array) gl.uniform1uiv(bind, value);
+                else       gl.uniform1ui (bind, value);
+                break;
+            case glsl.UVEC4:
+                gl.uniform4uiv(bind, value);
+                break;
+            case glsl.UVEC3:
+                gl.uniform3uiv(bind, value);
+                break;
+            case glsl.UVEC2:
+                gl.uniform2uiv(bind, value);
+                break;
+            case glsl.MAT2X3:
+                gl.uniformMatrix2x3fv(bind, false, value);
+                break;
+            case glsl.MAT2X4:
+                gl.uniformMatrix2x4fv(bind, false, value);
+                break;
+            case glsl.MAT3X2:
+                gl.uniformMatrix3x2fv(bind, false, value);
+                break;
+            case glsl.MAT3X4:
+                gl.uniformMatrix3x4fv(bind, false, value);
+                break;
+            case glsl.MAT4X2:
+                gl.uniformMatrix4x2fv(bind, false, value);
+                break;
+            case glsl.MAT4X3:
+                gl.uniformMatrix4x3fv(bind, false, value);
+                break;
         }
         return this;
     };
 
     /// Creates a texture proxy object, which stores metadata associated
     /// with a texture object, as well as the underlying WebGL resources.
-    /// This function may be called from any thread.
+    /// This function can only be called from the main UI thread; workers
+    /// describe textures with @a WebGL.describeTexture().
     /// @return A new texture proxy object. WebGL resources must be initialized
     /// separately on the main UI thread.
     GLContext.prototype.createTextureProxy = function ()
     {
-        return {
+        return registerProxy(this, ResourceType.TEXTURE, {
             id              : 0,     /* object list id                */
             textureResource : null,  /* WebGLTexture instance         */
             webglContext    : this,  /* WebGLRenderingContext         */
@@ -1254,17 +3147,20 @@ var WebGL = (function (exports)
             bindTarget      : 0,     /* gl.TEXTURE_2D, etc.           */
             textureTarget   : 0,     /* gl.TEXTURE_2D, etc.           */
             format          : 0,     /* gl.RGBA, etc.                 */
+            internalFormat  : 0,     /* gl.RGBA32F, etc. (WebGL 2)    */
             dataType        : 0,     /* gl.UNSIGNED_BYTE, etc.        */
             wrapModeS       : 0,     /* gl.CLAMP_TO_EDGE, etc.        */
             wrapModeT       : 0,     /* gl.CLAMP_TO_EDGE, etc.        */
             magnifyFilter   : 0,     /* gl.LINEAR, etc.               */
             minifyFilter    : 0,     /* gl.LINEAR_MIPMAP_LINEAR, etc. */
-            levels          : []     /* mipmap level dimensions       */
-        };
+            levels          : [],    /* mipmap level dimensions       */
+            sourceArgs      : null,  /* for context restore           */
+            sourceData      : null   /* uploads, for context restore  */
+        });
     };
 
     /// Deletes a texture proxy object. WebGL resources must be deleted
-    /// separately. This function may be called from any thread.
+    /// separately. This function can only be called on the main UI thread.
     /// @param proxy The texture proxy object as returned by the function
     /// @a GLContext.createTextureProxy().
     /// @return The GLContext.
@@ -1272,14 +3168,18 @@ var WebGL = (function (exports)
     {
         if (proxy)
         {
+            unregisterProxy(this, proxy, proxy.textureResource);
             // release references held by the texture object.
             proxy.textureResource = null;
             proxy.webglContext    = null;
             proxy.userType        = null;
             proxy.levels          = null;
+            proxy.sourceArgs      = null;
+            proxy.sourceData      = null;
             proxy.bindTarget      = 0;
             proxy.textureTarget   = 0;
             proxy.format          = 0;
+            proxy.internalFormat  = 0;
             proxy.dataType        = 0;
             proxy.wrapModeS       = 0;
             proxy.wrapModeT       = 0;
@@ -1289,6 +3189,55 @@ var WebGL = (function (exports)
         return this;
     };
 
+    /// Determines whether a texture target is one of the WebGL 2 targets with
+    /// a depth dimension, TEXTURE_3D or TEXTURE_2D_ARRAY.
+    /// @param context The GLContext.
+    /// @param target The texture target value.
+    /// @return true if @a target is a 3D or 2D array texture target.
+    function isVolumeTarget(context, target)
+    {
+        var gl = context.gl;
+        if (context.capabilities.version < 2)
+            return false;
+        return target === gl.TEXTURE_3D || target === gl.TEXTURE_2D_ARRAY;
+    }
+
+    /// Selects the internal format used to allocate storage for a texture.
+    /// WebGL 1 requires the internal format to equal the pixel format, while
+    /// WebGL 2 requires a sized internal format for floating-point and depth
+    /// textures, for example, RGBA32F for RGBA and FLOAT data.
+    /// @param context The GLContext.
+    /// @param format The pixel format value, for example, gl.RGBA.
+    /// @param dataType The pixel data type value, for example, gl.FLOAT.
+    /// @return The internal format value to pass to texImage2D or texImage3D.
+    function textureInternalFormat(context, format, dataType)
+    {
+        var gl = context.gl;
+        if (context.capabilities.version < 2)
+            return format;
+
+        switch (format)
+        {
+            case gl.RGBA:
+                if (dataType === gl.FLOAT)             return gl.RGBA32F;
+                if (dataType === gl.HALF_FLOAT)        return gl.RGBA16F;
+                break;
+            case gl.RGB:
+                if (dataType === gl.FLOAT)             return gl.RGB32F;
+                if (dataType === gl.HALF_FLOAT)        return gl.RGB16F;
+                break;
+            case gl.DEPTH_COMPONENT:
+                if (dataType === gl.UNSIGNED_SHORT)    return gl.DEPTH_COMPONENT16;
+                if (dataType === gl.UNSIGNED_INT)      return gl.DEPTH_COMPONENT24;
+                if (dataType === gl.FLOAT)             return gl.DEPTH_COMPONENT32F;
+                break;
+            case gl.DEPTH_STENCIL:
+                if (dataType === gl.UNSIGNED_INT_24_8) return gl.DEPTH24_STENCIL8;
+                break;
+        }
+        return format;
+    }
+
     /// Creates a texture resource. The contents of the texture are initialized
     /// to transparent black. Use the uploadTexture() or uploadTextureRegion()
     /// functions to specify image data.
@@ -1301,11 +3250,16 @@ var WebGL = (function (exports)
     /// normal map texture, and so on.
     /// @param args.target A value specifying the texture target: TEXTURE_2D,
     /// TEXTURE_CUBE_MAP_POSITIVE_[X,Y,Z] or TEXTURE_CUBE_MAP_NEGATIVE_[X,Y,Z].
+    /// With WebGL 2, TEXTURE_3D and TEXTURE_2D_ARRAY are also supported.
     /// @param args.format A value specifying the texture type. May be one of
-    /// ALPHA, LUMINANCE, LUMINANCE_ALPHA, RGB or RGBA.
+    /// ALPHA, LUMINANCE, LUMINANCE_ALPHA, RGB or RGBA, or DEPTH_COMPONENT or
+    /// DEPTH_STENCIL if depth textures are supported.
     /// @param args.dataType A value specifying the format of the texture data.
     /// One of UNSIGNED_BYTE, UNSIGNED_SHORT_5_6_5, UNSIGNED_SHORT_4_4_4_4,
-    /// UNSIGNED_SHORT_5_5_5_1, HALF_FLOAT_OES or FLOAT.
+    /// UNSIGNED_SHORT_5_5_5_1, HALF_FLOAT_OES or FLOAT. Depth textures use
+    /// UNSIGNED_SHORT, UNSIGNED_INT or UNSIGNED_INT_24_8_WEBGL. With WebGL 2,
+    /// the matching sized internal format (for example, RGBA32F for RGBA and
+    /// FLOAT) is selected; see textureInternalFormat().
     /// @param args.wrapS A value specifying the wrapping mode to use in the
     /// horizontal direction. One of REPEAT, CLAMP_TO_EDGE or MIRRORED_REPEAT.
     /// @param args.wrapT A value specifying the wrapping mode to use in the
@@ -1319,8 +3273,16 @@ var WebGL = (function (exports)
     /// has an associated mip-chain.
     /// @param args.levels An array of objects describing each level in the
     /// mipmap chain. Level 0 represents the highest-resolution image. Each
-    /// level object has width, height, byteSize and byteOffset fields.
-    /// @return true if the texture resource is created successfully.
+    /// level object has width, height, byteSize and byteOffset fields. Levels
+    /// of TEXTURE_3D and TEXTURE_2D_ARRAY textures also have a depth field,
+    /// specifying the depth or number of layers.
+    /// @param args.retainData An optional boolean value. If true (the default)
+    /// a copy of all data uploaded to the texture is retained so that the
+    /// texture can be re-created if the rendering context is lost. Texture
+    /// data uploaded from DOM elements is retained by reference.
+    /// @return true if the texture resource is created successfully. If the
+    /// texture exceeds the capabilities of the context, a 'capability:error'
+    /// event is emitted and false is returned.
     GLContext.prototype.createTextureResource = function (proxy, args)
     {
         var gl              = this.gl;
@@ -1333,6 +3295,68 @@ var WebGL = (function (exports)
             bindTarget    === gl.TEXTURE_CUBE_MAP_NEGATIVE_Y ||
             bindTarget    === gl.TEXTURE_CUBE_MAP_NEGATIVE_Z)
             bindTarget      = gl.TEXTURE_CUBE_MAP;
+        if (!proxy || proxy.webglContext !== this)
+            return false;
+
+        // make sure the texture is within the capabilities of the context.
+        var caps            = this.capabilities;
+        var dataType        = gl[args.dataType];
+        var maxSize         = caps.maxTextureSize;
+        var level0          = args.levels[0];
+        var volume          = isVolumeTarget(this, bindTarget);
+        if ((args.target   === 'TEXTURE_3D' || args.target === 'TEXTURE_2D_ARRAY') && !volume)
+        {
+            return this.capabilityError('WebGL2',
+                args.target+' textures require a WebGL 2 context.');
+        }
+        if (bindTarget     === gl.TEXTURE_CUBE_MAP)
+            maxSize         = caps.maxCubeMapTextureSize;
+        if (bindTarget     === gl.TEXTURE_3D && volume)
+            maxSize         = caps.max3DTextureSize;
+        if (level0 && (level0.width > maxSize || level0.height > maxSize))
+        {
+            return this.capabilityError(
+                bindTarget === gl.TEXTURE_CUBE_MAP ? 'MAX_CUBE_MAP_TEXTURE_SIZE' :
+                bindTarget === gl.TEXTURE_3D && volume ? 'MAX_3D_TEXTURE_SIZE' : 'MAX_TEXTURE_SIZE',
+                'Texture size '+level0.width+'x'+level0.height+' exceeds the maximum of '+maxSize+'.');
+        }
+        if (level0 && volume)
+        {
+            var maxDepth    = bindTarget === gl.TEXTURE_3D ? caps.max3DTextureSize : caps.maxArrayTextureLayers;
+            if ((level0.depth || 1) > maxDepth)
+            {
+                return this.capabilityError(
+                    bindTarget === gl.TEXTURE_3D ? 'MAX_3D_TEXTURE_SIZE' : 'MAX_ARRAY_TEXTURE_LAYERS',
+                    'Texture depth '+level0.depth+' exceeds the maximum of '+maxDepth+'.');
+            }
+        }
+        if (args.dataType === 'FLOAT' && !caps.textureFloat)
+        {
+            return this.capabilityError('OES_texture_float',
+                'FLOAT textures are not supported.');
+        }
+        if (args.dataType === 'HALF_FLOAT_OES')
+        {
+            // the constant is defined on the extension object, not on gl.
+            var halfFloat   = this.getExtension('OES_texture_half_float');
+            if (halfFloat === null)
+            {
+                return this.capabilityError('OES_texture_half_float',
+                    'HALF_FLOAT_OES textures are not supported.');
+            }
+            dataType        = halfFloat.HALF_FLOAT_OES;
+        }
+        if (args.format === 'DEPTH_COMPONENT' || args.format === 'DEPTH_STENCIL')
+        {
+            var depthTexture = this.getExtension('WEBGL_depth_texture');
+            if (depthTexture === null)
+            {
+                return this.capabilityError('WEBGL_depth_texture',
+                    args.format+' textures are not supported.');
+            }
+            if (args.dataType === 'UNSIGNED_INT_24_8_WEBGL')
+                dataType    = depthTexture.UNSIGNED_INT_24_8_WEBGL;
+        }
 
         // create the texture resource and cache various attributes.
         var resource   = gl.createTexture();
@@ -1341,14 +3365,16 @@ var WebGL = (function (exports)
             // likely the context is lost.
             return false;
         }
-        proxy.webglContext    = gl;
-        proxy.textureResource = gl.createTexture();
+        proxy.textureResource = resource;
+        proxy.sourceArgs      = args;
+        proxy.sourceData      = defaultValue(args.retainData, true) ? [] : null;
         proxy.hasMipmaps      = args.hasMipmaps;
         proxy.userType        = args.type;
         proxy.bindTarget      = bindTarget;
         proxy.textureTarget   = textureTarget;
         proxy.format          = gl[args.format];
-        proxy.dataType        = gl[args.dataType];
+        proxy.internalFormat  = textureInternalFormat(this, proxy.format, dataType);
+        proxy.dataType        = dataType;
         proxy.wrapModeS       = gl[args.wrapS];
         proxy.wrapModeT       = gl[args.wrapT];
         proxy.magnifyFilter   = gl[args.magFilter];
@@ -1359,6 +3385,7 @@ var WebGL = (function (exports)
             proxy.levels[i]   = {
                 width       : args.levels[i].width,
                 height      : args.levels[i].height,
+                depth       : args.levels[i].depth || 1,
                 byteSize    : args.levels[i].byteSize,
                 byteOffset  : args.levels[i].byteOffset
             };
@@ -1371,6 +3398,20 @@ var WebGL = (function (exports)
         gl.texParameteri(bindTarget, gl.TEXTURE_MIN_FILTER, proxy.minifyFilter);
         gl.texParameteri(bindTarget, gl.TEXTURE_MAG_FILTER, proxy.magnifyFilter);
         this.useTexture (proxy);
+
+        // allocate storage for each level so the texture can be rendered to.
+        for (var i = 0,  n  = proxy.levels.length; i < n; ++i)
+        {
+            var lw = proxy.levels[i].width;
+            var lh = proxy.levels[i].height;
+            var ld = proxy.levels[i].depth;
+            var fi = proxy.internalFormat;
+            if (volume)
+                gl.texImage3D(textureTarget, i, fi, lw, lh, ld, 0, proxy.format, proxy.dataType, null);
+            else
+                gl.texImage2D(textureTarget, i, fi, lw, lh, 0, proxy.format, proxy.dataType, null);
+        }
+        trackResource(this.liveResources[ResourceType.TEXTURE], proxy);
         return true;
     };
 
@@ -1405,8 +3446,17 @@ var WebGL = (function (exports)
             if (bound) this.useTextureUnit(runit);
 
             var gl = proxy.webglContext.gl;
+            var fb = this.activeFramebuffer;
+            if (fb && fb.colorAttachment === proxy)
+            {
+                // detach the texture from the bound framebuffer.
+                gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, proxy.textureTarget, null, 0);
+                fb.colorAttachment = null;
+            }
             gl.deleteTexture(proxy.textureResource);
+            untrackResource(this.liveResources[ResourceType.TEXTURE], proxy);
             proxy.textureResource = null;
+            proxy.sourceData      = null;
         }
         return this;
     };
@@ -1425,7 +3475,10 @@ var WebGL = (function (exports)
         var  baseOfs = data.byteOffset;
         var  type    = proxy.dataType;
         var  format  = proxy.format;
+        var  ifmt    = proxy.internalFormat;
         var  target  = proxy.textureTarget;
+        var  volume  = isVolumeTarget(this, target);
+        var  half    = this.getExtension('OES_texture_half_float');
         // @note: texture should already be bound.
         gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
         gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
@@ -1443,15 +3496,34 @@ var WebGL = (function (exports)
                 case gl.UNSIGNED_BYTE:
                     view = new Uint8Array(buffer, ofs, size);
                     break;
+                case gl.UNSIGNED_SHORT:
                 case gl.UNSIGNED_SHORT_5_6_5:
                 case gl.UNSIGNED_SHORT_5_5_5_1:
                 case gl.UNSIGNED_SHORT_4_4_4_4:
                     view = new Uint16Array(buffer, ofs, size >> 1);
                     break;
+                case gl.UNSIGNED_INT:
+                    view = new Uint32Array(buffer, ofs, size >> 2);
+                    break;
+                case gl.FLOAT:
+                    view = new Float32Array(buffer, ofs, size >> 2);
+                    break;
 
-                default: break;
+                default:
+                    // half-float data is uploaded as raw 16-bit values.
+                    if (half && type === half.HALF_FLOAT_OES)
+                        view = new Uint16Array(buffer, ofs, size >> 1);
+                    break;
             }
-            gl.texImage2D(target, i, format, lw, lh, 0, format, type, view);
+            if (volume)
+                gl.texImage3D(target, i, ifmt, lw, lh, ld.depth, 0, format, type, view);
+            else
+                gl.texImage2D(target, i, ifmt, lw, lh, 0, format, type, view);
+        }
+        if (proxy.sourceData)
+        {
+            // the entire mip-chain was replaced; discard earlier uploads.
+            proxy.sourceData = [{ data : copyBytes(data) }];
         }
         return this;
     };
@@ -1474,11 +3546,18 @@ var WebGL = (function (exports)
         gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
         gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
         gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
-        gl.texImage2D(proxy.textureTarget, 0, format, format, type, domElement);
+        gl.texImage2D(proxy.textureTarget, 0, proxy.internalFormat, format, type, domElement);
+        if (proxy.sourceData)
+        {
+            // level 0 was replaced; discard earlier uploads of DOM elements.
+            proxy.sourceData = proxy.sourceData.filter(function (u) { return !u.element; });
+            proxy.sourceData.push({ element : domElement });
+        }
         return this;
     };
 
-    /// Uploads image data to a region of a texture.
+    /// Uploads image data to a region of a texture. TEXTURE_3D and
+    /// TEXTURE_2D_ARRAY textures must be uploaded with uploadTexture().
     /// @param tX The x-coordinate (s-coordinate) of the upper-left corner of
     /// the target rectangle.
     /// @param tY The y-coordinate (t-coordinate) of the upper-left corner of
@@ -1528,298 +3607,2750 @@ var WebGL = (function (exports)
         gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
         gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
         gl.texSubImage2D(tt, tLevel, tX, tY, lw, lh, format, type, view);
+        if (target.sourceData)
+        {
+            target.sourceData.push({
+                x      : tX,
+                y      : tY,
+                level  : tLevel,
+                region : { levels : [{ width : lw, height : lh, byteSize : size, byteOffset : 0 }] },
+                data   : copyBytes(new Uint8Array(data.buffer, ofs, size))
+            });
+        }
         return this;
     };
 
     /// Creates a buffer proxy object, which stores metadata associated
     /// with a buffer object, as well as the underlying WebGL resources.
-    /// This function may be called from any thread.
+    /// This function can only be called from the main UI thread; workers
+    /// describe buffers with @a WebGL.describeBuffer().
     /// @return A new buffer proxy object. WebGL resources must be initialized
     /// separately on the main UI thread.
     GLContext.prototype.createBufferProxy = function ()
+    {
+        return registerProxy(this, ResourceType.BUFFER, {
+            id             : 0,    /* object list id                     */
+            bufferResource : null, /* WebGLBuffer instance               */
+            webglContext   : this, /* WebGLRenderingContext              */
+            bindTarget     : 0,    /* ARRAY_BUFFER, ELEMENT_ARRAY_BUFFER */
+            usageType      : 0,    /* STATIC_DRAW, STREAM_DRAW, etc.     */
+            totalSize      : 0,    /* total size, specified in bytes     */
+            elementSize    : 0,    /* byte size of a 'vertex' or index   */
+            elementCount   : 0,    /* number of vertices or indices      */
+            sourceArgs     : null, /* for context restore                */
+            sourceData     : null  /* Uint8Array, for context restore    */
+        });
+    };
+
+    /// Deletes a buffer proxy object. WebGL resources must be deleted
+    /// separately. This function can only be called on the main UI thread.
+    /// @param proxy The buffer proxy object as returned by the function
+    /// @a GLContext.createBufferProxy().
+    /// @return The GLContext.
+    GLContext.prototype.deleteBufferProxy = function (proxy)
+    {
+        if (proxy)
+        {
+            unregisterProxy(this, proxy, proxy.bufferResource);
+            // release references held by the buffer object.
+            proxy.bufferResource = null;
+            proxy.webglContext   = null;
+            proxy.bindTarget     = 0;
+            proxy.usageType      = 0;
+            proxy.totalSize      = 0;
+            proxy.elementSize    = 0;
+            proxy.elementCount   = 0;
+            proxy.sourceArgs     = null;
+            proxy.sourceData     = null;
+        }
+        return this;
+    };
+
+    /// Creates the WebGL resources associated with a data buffer. This
+    /// function can only be called from the main UI thread.
+    /// @param proxy The buffer proxy object as returned by the function
+    /// @a GLContext.createBufferProxy().
+    /// @param args An object specifying buffer attributes. All are required.
+    /// @param args.target A value specifying the buffer target: either
+    /// ARRAY_BUFFER or ELEMENT_ARRAY_BUFFER.
+    /// @param args.usage A value specifying the buffer usage type; may be one
+    /// of STATIC_DRAW, STREAM_DRAW or DYNAMIC_DRAW.
+    /// @param args.elementSize The size of a single logical element in bytes.
+    /// @param args.elementCount The total number of logical elements in the
+    /// buffer (the number of vertices or indices).
+    /// @param args.retainData An optional boolean value. If true (the default)
+    /// a copy of the buffer contents is kept in system memory so that the
+    /// buffer can be re-created if the rendering context is lost.
+    /// @return true if the buffer was created successfully. If the buffer
+    /// requires 32-bit indices and these are not supported, a
+    /// 'capability:error' event is emitted and false is returned.
+    GLContext.prototype.createBufferResource = function (proxy, args)
+    {
+        if (proxy && proxy.webglContext === this)
+        {
+            var gl = proxy.webglContext.gl;
+            if (args.target === 'ELEMENT_ARRAY_BUFFER' && args.elementSize === 4 &&
+               !this.capabilities.elementIndexUint)
+            {
+                return this.capabilityError('OES_element_index_uint',
+                    '32-bit index buffers are not supported.');
+            }
+            var retain           = defaultValue(args.retainData, true);
+            proxy.bufferResource = gl.createBuffer();
+            proxy.sourceArgs     = args;
+            proxy.sourceData     = retain ? (proxy.sourceData || null) : null;
+            proxy.bindTarget     = gl[args.target];
+            proxy.usageType      = gl[args.usage];
+            proxy.totalSize      = args.elementSize * args.elementCount;
+            proxy.elementSize    = args.elementSize;
+            proxy.elementCount   = args.elementCount;
+            if (proxy.bindTarget === gl.ELEMENT_ARRAY_BUFFER)
+                this.unbindVertexArray();
+            gl.bindBuffer (proxy.bindTarget, proxy.bufferResource);
+            gl.bufferData (proxy.bindTarget, proxy.totalSize, proxy.usageType);
+            this.useBuffer(proxy);
+            trackResource(this.liveResources[ResourceType.BUFFER], proxy);
+            return true;
+        }
+        return false;
+    };
+
+    /// Deletes the WebGL resources associated with a buffer. This function
+    /// can only be called on the main UI thread.
+    /// @param proxy The buffer proxy object as returned by the function
+    /// @a GLContext.createBufferProxy().
+    /// @return The GLContext.
+    GLContext.prototype.deleteBufferResource = function (proxy)
+    {
+        if (proxy && proxy.webglContext  === this)
+        {
+            if (this.activeArrayBuffer   === proxy ||
+                this.activeElementBuffer === proxy)
+                this.unbindBuffer(proxy.bindTarget);
+
+            var gl = proxy.webglContext.gl;
+            gl.deleteBuffer(proxy.bufferResource);
+            untrackResource(this.liveResources[ResourceType.BUFFER], proxy);
+            proxy.bufferResource = null;
+            proxy.sourceData     = null;
+        }
+        return this;
+    };
+
+    /// Updates the system memory copy of a buffer's contents after a region of
+    /// the buffer has been modified.
+    /// @param proxy The buffer proxy object that was modified.
+    /// @param byteOffset The byte offset of the modified region.
+    /// @param data The ArrayBuffer or ArrayBufferView uploaded to the buffer.
+    function retainBufferRegion(proxy, byteOffset, data)
+    {
+        if (!proxy.sourceArgs || !defaultValue(proxy.sourceArgs.retainData, true))
+            return;
+
+        var bytes = copyBytes(data);
+        if (bytes === null)
+            return;
+
+        var copy  = proxy.sourceData;
+        var size  = Math.max(proxy.totalSize, byteOffset + bytes.length);
+        if (copy === null || copy.length < size)
+        {
+            // the buffer contents haven't been retained yet, or were smaller.
+            var grow  = new Uint8Array(size);
+            if (copy)   grow.set(copy);
+            copy      = grow;
+        }
+        copy.set(bytes, byteOffset);
+        proxy.sourceData = copy;
+    }
+
+    /// Converts a JavaScript array of numbers into a typed array suitable for
+    /// uploading to a buffer, so that it can also be retained in system memory.
+    /// Values for an array buffer are converted to 32-bit floats; values for
+    /// an index buffer are converted to 16-bit or 32-bit unsigned integers,
+    /// according to the element size of the buffer.
+    /// @param proxy The buffer proxy receiving the data.
+    /// @param data A JavaScript array, an ArrayBuffer or an ArrayBufferView.
+    /// @return A typed array if @a data is a JavaScript array, or @a data.
+    function bufferSourceView(proxy, data)
+    {
+        if (!Array.isArray(data))
+            return data;
+        if (proxy.bindTarget === proxy.webglContext.gl.ELEMENT_ARRAY_BUFFER)
+            return proxy.elementSize === 4 ? new Uint32Array(data) : new Uint16Array(data);
+        return new Float32Array(data);
+    }
+
+    /// Uploads data into an array buffer.
+    /// @param data The data to upload into the buffer. This may be either a
+    /// standard JavaScript array, whose values are converted to floats, or a
+    /// typed array.
+    /// @return The GLContext.
+    GLContext.prototype.uploadArrayBufferData = function (data)
+    {
+        if (!this.activeArrayBuffer)
+            return this;
+        var gl   = this.gl;
+        var buf  = this.activeArrayBuffer;
+        data     = bufferSourceView(buf, data);
+        gl.bufferData(gl.ARRAY_BUFFER, data, buf.usageType);
+        if (buf.sourceArgs && defaultValue(buf.sourceArgs.retainData, true))
+            buf.sourceData = copyBytes(data);
+        return this;
+    };
+
+    /// Uploads data into an index buffer.
+    /// @param data The data to upload into the buffer. This may be either a
+    /// standard JavaScript array, whose values are converted to unsigned
+    /// integers of the buffer's element size, or a typed array.
+    /// @return The GLContext.
+    GLContext.prototype.uploadIndexBufferData = function (data)
+    {
+        if (!this.activeElementBuffer)
+            return this;
+        var gl   = this.gl;
+        var buf  = this.activeElementBuffer;
+        data     = bufferSourceView(buf, data);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, data, buf.usageType);
+        if (buf.sourceArgs && defaultValue(buf.sourceArgs.retainData, true))
+            buf.sourceData = copyBytes(data);
+        return this;
+    };
+
+    /// Uploads data into a region of an array buffer.
+    /// @param byteOffset The byte offset in the array buffer.
+    /// @param data The data to upload into the buffer. This may be either a
+    /// standard JavaScript array, whose values are converted to floats, or a
+    /// typed array.
+    /// @return The GLContext.
+    GLContext.prototype.uploadArrayBufferRegion = function (byteOffset, data)
+    {
+        if (!this.activeArrayBuffer)
+            return this;
+        var gl   = this.gl;
+        var buf  = this.activeArrayBuffer;
+        data     = bufferSourceView(buf, data);
+        gl.bufferSubData(gl.ARRAY_BUFFER, byteOffset, data);
+        retainBufferRegion(buf, byteOffset, data);
+        return this;
+    };
+
+    /// Uploads data into a region of an index buffer.
+    /// @param byteOffset The byte offset in the index buffer.
+    /// @param data The data to upload into the buffer. This may be either a
+    /// standard JavaScript array, whose values are converted to unsigned
+    /// integers of the buffer's element size, or a typed array.
+    /// @return The GLContext.
+    GLContext.prototype.uploadIndexBufferRegion = function (byteOffset, data)
+    {
+        if (!this.activeElementBuffer)
+            return this;
+        var gl   = this.gl;
+        var buf  = this.activeElementBuffer;
+        data     = bufferSourceView(buf, data);
+        gl.bufferSubData(gl.ELEMENT_ARRAY_BUFFER, byteOffset, data);
+        retainBufferRegion(buf, byteOffset, data);
+        return this;
+    };
+
+    /// Creates a vertex array proxy object, which stores the vertex attribute
+    /// bindings and element buffer used to draw a mesh with a particular
+    /// shader program, as well as the underlying WebGL resources. This
+    /// function can only be called from the main UI thread.
+    /// @return A new vertex array proxy object. WebGL resources must be
+    /// initialized separately on the main UI thread.
+    GLContext.prototype.createVertexArrayProxy = function ()
+    {
+        return registerProxy(this, ResourceType.VERTEX_ARRAY, {
+            id                  : 0,     /* object list id                */
+            vertexArrayResource : null,  /* WebGLVertexArrayObjectOES     */
+            webglContext        : this,  /* WebGLRenderingContext         */
+            emulated            : false, /* no OES_vertex_array_object    */
+            program             : null,  /* program proxy                 */
+            attributes          : [],    /* vertex attribute descriptors  */
+            buffers             : [],    /* array buffer proxies          */
+            elementBuffer       : null,  /* element array buffer proxy    */
+            sourceArgs          : null   /* for context restore           */
+        });
+    };
+
+    /// Deletes a vertex array proxy object. WebGL resources must be deleted
+    /// separately. This function can only be called on the main UI thread.
+    /// @param proxy The vertex array proxy object as returned by the function
+    /// @a GLContext.createVertexArrayProxy().
+    /// @return The GLContext.
+    GLContext.prototype.deleteVertexArrayProxy = function (proxy)
+    {
+        if (proxy)
+        {
+            if (proxy.emulated) // there is no WebGL resource to leak.
+                untrackResource(this.liveResources[ResourceType.VERTEX_ARRAY], proxy);
+            unregisterProxy(this, proxy, proxy.vertexArrayResource);
+            // release references held by the vertex array object.
+            proxy.vertexArrayResource = null;
+            proxy.webglContext        = null;
+            proxy.emulated            = false;
+            proxy.program             = null;
+            proxy.attributes          = null;
+            proxy.buffers             = null;
+            proxy.elementBuffer       = null;
+            proxy.sourceArgs          = null;
+        }
+        return this;
+    };
+
+    /// Creates the WebGL resources associated with a vertex array object and
+    /// records the attribute bindings of a shader program. If vertex array
+    /// objects are not supported, the bindings are stored on the proxy and
+    /// applied by @a GLContext.useVertexArray() one attribute at a time. This
+    /// function can only be called from the main UI thread.
+    /// @param proxy The vertex array proxy object as returned by the function
+    /// @a GLContext.createVertexArrayProxy().
+    /// @param args An object specifying the data sources.
+    /// args.program The shader program proxy used to resolve attribute
+    /// locations. The vertex array can only be used with programs that
+    /// assign the same locations to the attributes. Locations are assigned
+    /// in declaration order, so this holds for programs that declare the
+    /// same attributes in the same order.
+    /// args.attributes An array of vertex attribute descriptors. See the
+    /// function @a WebGL.createAttribute().
+    /// args.buffers An array of array buffer proxies, where attributes[i] is
+    /// sourced from buffers[i].
+    /// args.indices An optional element array buffer proxy.
+    /// @return true if the vertex array was created successfully.
+    GLContext.prototype.createVertexArrayResource = function (proxy, args)
+    {
+        if (proxy && proxy.webglContext === this)
+        {
+            var gl  = this.gl;
+            var ext = this.getExtension('OES_vertex_array_object');
+            proxy.program       = args.program;
+            proxy.attributes    = args.attributes;
+            proxy.buffers       = args.buffers;
+            proxy.elementBuffer = args.indices || null;
+            proxy.emulated      = ext ? false : true;
+            proxy.sourceArgs    = args;
+            if (proxy.emulated)
+            {
+                trackResource(this.liveResources[ResourceType.VERTEX_ARRAY], proxy);
+                return true;
+            }
+
+            // record the bindings into the new vertex array object.
+            var indices = args.program.attributeIndices;
+            var vao     = ext.createVertexArrayOES();
+            if (vao === null)
+            {
+                // likely the context is lost.
+                return false;
+            }
+            // the proxy is active while recording, so that divisors set on
+            // the new vertex array don't update those cached for the default.
+            this.unbindVertexArray();
+            ext.bindVertexArrayOES(vao);
+            this.activeVertexArray = proxy;
+            for (var i  = 0, n = args.attributes.length; i < n; ++i)
+            {
+                var ar  = args.attributes[i];
+                var ab  = args.buffers[i];
+                var ai  = indices[ar.name];
+                if (ai === undefined || ai < 0)
+                    continue; // not active in the program.
+                this.useBuffer(ab);
+                gl.enableVertexAttribArray(ai);
+                setAttributePointer(this, ai, args.program.attributeTypes[ar.name], ar, ab.elementSize);
+                if (ar.divisor)
+                    setAttributeDivisor(this, ai, ar.divisor);
+            }
+            if (proxy.elementBuffer)
+                gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, proxy.elementBuffer.bufferResource);
+            ext.bindVertexArrayOES(null);
+            this.activeVertexArray    = null;
+            proxy.vertexArrayResource = vao;
+            trackResource(this.liveResources[ResourceType.VERTEX_ARRAY], proxy);
+            return true;
+        }
+        return false;
+    };
+
+    /// Deletes the WebGL resources associated with a vertex array object.
+    /// The buffers referenced by the vertex array are not deleted. This
+    /// function can only be called on the main UI thread.
+    /// @param proxy The vertex array proxy object as returned by the function
+    /// @a GLContext.createVertexArrayProxy().
+    /// @return The GLContext.
+    GLContext.prototype.deleteVertexArrayResource = function (proxy)
+    {
+        if (proxy && proxy.webglContext === this)
+        {
+            if (this.activeVertexArray === proxy)
+                this.unbindVertexArray();
+            if (proxy.vertexArrayResource)
+            {
+                var ext = this.getExtension('OES_vertex_array_object');
+                ext.deleteVertexArrayOES(proxy.vertexArrayResource);
+            }
+            untrackResource(this.liveResources[ResourceType.VERTEX_ARRAY], proxy);
+            proxy.vertexArrayResource = null;
+            proxy.emulated            = false;
+        }
+        return this;
+    };
+
+    /// Describes the std140 storage of each GLSL type that may be declared in
+    /// a uniform block, as [columns, rows, component] where component is 'f'
+    /// (float), 'i' (int or bool) or 'u' (uint). Vectors have one column.
+    const BlockMemberTypes = {
+        float           : [1, 1, 'f'],
+        vec2            : [1, 2, 'f'],
+        vec3            : [1, 3, 'f'],
+        vec4            : [1, 4, 'f'],
+        int             : [1, 1, 'i'],
+        ivec2           : [1, 2, 'i'],
+        ivec3           : [1, 3, 'i'],
+        ivec4           : [1, 4, 'i'],
+        bool            : [1, 1, 'i'],
+        bvec2           : [1, 2, 'i'],
+        bvec3           : [1, 3, 'i'],
+        bvec4           : [1, 4, 'i'],
+        uint            : [1, 1, 'u'],
+        uvec2           : [1, 2, 'u'],
+        uvec3           : [1, 3, 'u'],
+        uvec4           : [1, 4, 'u'],
+        mat2            : [2, 2, 'f'],
+        mat3            : [3, 3, 'f'],
+        mat4            : [4, 4, 'f'],
+        mat2x3          : [2, 3, 'f'],
+        mat2x4          : [2, 4, 'f'],
+        mat3x2          : [3, 2, 'f'],
+        mat3x4          : [3, 4, 'f'],
+        mat4x2          : [4, 2, 'f'],
+        mat4x3          : [4, 3, 'f']
+    };
+
+    /// Computes the std140 layout of a uniform block. Vectors of two
+    /// components are aligned to 8 bytes, and all other vectors, matrix
+    /// columns and array elements are aligned to 16 bytes.
+    /// @param members An array of objects with name, type and size fields
+    /// describing the block members in declaration order. The type is a GLSL
+    /// type name from TypeNames and size is the array length, or 1.
+    /// @return An object describing the layout, or null if a member has a type
+    /// that cannot be stored in a uniform block.
+    /// obj.byteSize The size of the block, in bytes.
+    /// obj.members An array with an entry per member, storing the name, type
+    /// and size fields along with the computed byte offset, byteSize, arrayStride (zero
+    /// for non-arrays), matrixStride (zero for non-matrices), columns, rows
+    /// and component type.
+    function computeUniformBlockLayout(members)
+    {
+        var offset = 0;
+        var layout = [];
+        for (var i = 0, n = members.length; i < n; ++i)
+        {
+            var member = members[i];
+            var desc   = BlockMemberTypes[member.type];
+            if (desc === undefined)
+                return null;
+
+            var size   = member.size || 1;
+            var cols   = desc[0];
+            var rows   = desc[1];
+            var align  = (cols > 1 || rows > 2 || size > 1) ? 16 : rows * 4;
+            var bytes  = (cols > 1) ? cols * 16 : rows * 4;
+            var stride = 0;
+            if (size > 1)
+            {
+                stride = (bytes + 15) & ~15;
+                bytes  = stride * size;
+            }
+            offset     = (offset + align - 1) & ~(align - 1);
+            layout.push({
+                name         : member.name,
+                type         : member.type,
+                size         : size,
+                offset       : offset,
+                byteSize     : bytes,
+                arrayStride  : stride,
+                matrixStride : (cols > 1) ? 16 : 0,
+                columns      : cols,
+                rows         : rows,
+                component    : desc[2]
+            });
+            offset    += bytes;
+        }
+        return {
+            byteSize : (offset + 15) & ~15,
+            members  : layout
+        };
+    }
+
+    /// Copies a member value into the system memory copy of a uniform buffer,
+    /// adding the padding required by the std140 layout.
+    /// @param proxy The uniform buffer proxy.
+    /// @param member The member layout, from @a WebGL.computeUniformBlockLayout().
+    /// @param value A number, boolean, or an array or typed array storing the
+    /// tightly-packed values in column-major order.
+    function writeBlockMember(proxy, member, value)
+    {
+        var view = (member.component === 'f') ? proxy.floatView :
+                   (member.component === 'u') ? proxy.uintView  : proxy.intView;
+        var base = member.offset >> 2;
+        var elem = member.arrayStride  >> 2;
+        var col  = member.matrixStride >> 2;
+        if (typeof value === 'number' || typeof value === 'boolean')
+        {
+            view[base] = +value;
+            return;
+        }
+        var src  = 0;
+        for (var e = 0; e < member.size; ++e)
+        {
+            for (var c = 0; c < member.columns; ++c)
+            {
+                var dst = base + e * elem + c * col;
+                for (var r = 0; r < member.rows && src < value.length; ++r)
+                    view[dst + r] = +value[src++];
+            }
+        }
+    }
+
+    /// Reads a member value from the system memory copy of a uniform buffer,
+    /// removing the std140 padding.
+    /// @param proxy The uniform buffer proxy.
+    /// @param member The member layout, from @a WebGL.computeUniformBlockLayout().
+    /// @return A number for non-array scalar members, otherwise a new typed
+    /// array storing the tightly-packed values in column-major order.
+    function readBlockMember(proxy, member)
+    {
+        var view = (member.component === 'f') ? proxy.floatView :
+                   (member.component === 'u') ? proxy.uintView  : proxy.intView;
+        var base = member.offset >> 2;
+        if (member.size === 1 && member.columns === 1 && member.rows === 1)
+            return view[base];
+
+        var elem = member.arrayStride  >> 2;
+        var col  = member.matrixStride >> 2;
+        var out  = new view.constructor(member.size * member.columns * member.rows);
+        var dst  = 0;
+        for (var e = 0; e < member.size; ++e)
+        {
+            for (var c = 0; c < member.columns; ++c)
+            {
+                var src = base + e * elem + c * col;
+                for (var r = 0; r < member.rows; ++r)
+                    out[dst++] = view[src + r];
+            }
+        }
+        return out;
+    }
+
+    /// Creates a uniform buffer proxy object, which stores the layout and
+    /// contents of a uniform block, as well as the underlying WebGL
+    /// resources. This function can only be called from the main UI thread.
+    /// @return A new uniform buffer proxy object. WebGL resources must be
+    /// initialized separately on the main UI thread.
+    GLContext.prototype.createUniformBufferProxy = function ()
+    {
+        return registerProxy(this, ResourceType.UNIFORM_BUFFER, {
+            id             : 0,     /* object list id                */
+            bufferResource : null,  /* WebGLBuffer instance          */
+            webglContext   : this,  /* WebGLRenderingContext         */
+            emulated       : false, /* WebGL 1; set as plain uniforms */
+            blockName      : '',    /* name of the uniform block     */
+            usageType      : 0,     /* STATIC_DRAW, DYNAMIC_DRAW     */
+            byteSize       : 0,     /* std140 size, in bytes         */
+            members        : [],    /* std140 member layouts         */
+            memberLayout   : {},    /* name => member layout         */
+            byteView       : null,  /* Uint8Array system memory copy */
+            floatView      : null,  /* Float32Array view of byteView */
+            intView        : null,  /* Int32Array view of byteView   */
+            uintView       : null,  /* Uint32Array view of byteView  */
+            version        : 0,     /* incremented on each update    */
+            sourceArgs     : null   /* for context restore           */
+        });
+    };
+
+    /// Deletes a uniform buffer proxy object. WebGL resources must be deleted
+    /// separately. This function can only be called on the main UI thread.
+    /// @param proxy The uniform buffer proxy object as returned by the
+    /// function @a GLContext.createUniformBufferProxy().
+    /// @return The GLContext.
+    GLContext.prototype.deleteUniformBufferProxy = function (proxy)
+    {
+        if (proxy)
+        {
+            if (proxy.emulated) // there is no WebGL resource to leak.
+                untrackResource(this.liveResources[ResourceType.UNIFORM_BUFFER], proxy);
+            unregisterProxy(this, proxy, proxy.bufferResource);
+            // release references held by the uniform buffer object.
+            proxy.bufferResource = null;
+            proxy.webglContext   = null;
+            proxy.emulated       = false;
+            proxy.members        = null;
+            proxy.memberLayout   = null;
+            proxy.byteView       = null;
+            proxy.floatView      = null;
+            proxy.intView        = null;
+            proxy.uintView       = null;
+            proxy.sourceArgs     = null;
+        }
+        return this;
+    };
+
+    /// Creates the WebGL resources associated with a uniform block. The block
+    /// layout is computed using the std140 rules, so uniform blocks must be
+    /// declared with layout(std140) in the shader source. A copy of the
+    /// contents is always kept in system memory. With WebGL 1 no buffer is
+    /// created; instead, the block members are set as plain uniforms of the
+    /// same name when a program using the block is drawn with. This function
+    /// can only be called from the main UI thread.
+    /// @param proxy The uniform buffer proxy object as returned by the
+    /// function @a GLContext.createUniformBufferProxy().
+    /// @param args An object specifying the block layout.
+    /// args.block The name of the uniform block.
+    /// args.members An array of {name, type, size} objects describing the
+    /// block members in declaration order. See the function
+    /// @a WebGL.computeUniformBlockLayout(). If omitted, the members are
+    /// taken from the reflected block of args.program (WebGL 2 only).
+    /// args.program An optional shader program proxy declaring the block.
+    /// args.usage An optional value specifying the buffer usage type; one of
+    /// STATIC_DRAW, STREAM_DRAW or DYNAMIC_DRAW (the default).
+    /// @return true if the uniform buffer was created successfully. If the
+    /// block layout cannot be determined, a 'capability:error' event is
+    /// emitted and false is returned.
+    GLContext.prototype.createUniformBufferResource = function (proxy, args)
+    {
+        if (proxy && proxy.webglContext === this)
+        {
+            var gl      = this.gl;
+            var members = args.members;
+            if (!members && args.program && args.program.uniformBlocks[args.block])
+                members = args.program.uniformBlocks[args.block].members;
+            var layout  = members ? computeUniformBlockLayout(members) : null;
+            if (layout === null)
+            {
+                return this.capabilityError('UNIFORM_BUFFER',
+                    'The layout of uniform block '+args.block+' cannot be determined.');
+            }
+            var bytes            = new Uint8Array(layout.byteSize);
+            var previous         = proxy.byteView;
+            if (previous && previous.length === bytes.length)
+                bytes.set(previous); // restoring; keep the contents.
+            proxy.emulated       = this.capabilities.version < 2;
+            proxy.blockName      = args.block;
+            proxy.usageType      = gl[args.usage || 'DYNAMIC_DRAW'];
+            proxy.byteSize       = layout.byteSize;
+            proxy.members        = layout.members;
+            proxy.memberLayout   = {};
+            proxy.byteView       = bytes;
+            proxy.floatView      = new Float32Array(bytes.buffer);
+            proxy.intView        = new Int32Array  (bytes.buffer);
+            proxy.uintView       = new Uint32Array (bytes.buffer);
+            proxy.sourceArgs     = args;
+            proxy.version++;
+            for (var i = 0, n = layout.members.length; i < n; ++i)
+                proxy.memberLayout[layout.members[i].name] = layout.members[i];
+            if (!proxy.emulated)
+            {
+                proxy.bufferResource = gl.createBuffer();
+                gl.bindBuffer(gl.UNIFORM_BUFFER, proxy.bufferResource);
+                gl.bufferData(gl.UNIFORM_BUFFER, bytes, proxy.usageType);
+                gl.bindBuffer(gl.UNIFORM_BUFFER, null);
+            }
+            trackResource(this.liveResources[ResourceType.UNIFORM_BUFFER], proxy);
+            return true;
+        }
+        return false;
+    };
+
+    /// Deletes the WebGL resources associated with a uniform buffer. The
+    /// buffer is removed from any binding points it is bound to. This
+    /// function can only be called on the main UI thread.
+    /// @param proxy The uniform buffer proxy object as returned by the
+    /// function @a GLContext.createUniformBufferProxy().
+    /// @return The GLContext.
+    GLContext.prototype.deleteUniformBufferResource = function (proxy)
+    {
+        if (proxy && proxy.webglContext === this)
+        {
+            var gl       = this.gl;
+            var bindings = this.uniformBufferBindings;
+            for (var i   = 0, n = bindings.length; i < n; ++i)
+            {
+                if (bindings[i] === proxy)
+                {
+                    if (!proxy.emulated) gl.bindBufferBase(gl.UNIFORM_BUFFER, i, null);
+                    bindings[i] = null;
+                }
+            }
+            if (proxy.bufferResource)
+                gl.deleteBuffer(proxy.bufferResource);
+            untrackResource(this.liveResources[ResourceType.UNIFORM_BUFFER], proxy);
+            proxy.bufferResource = null;
+            proxy.emulated       = false;
+        }
+        return this;
+    };
+
+    /// Replaces the contents of a uniform buffer. The data must already be in
+    /// the std140 layout described by proxy.members.
+    /// @param proxy The uniform buffer proxy object.
+    /// @param data An ArrayBuffer or typed array storing the new contents.
+    /// @param byteOffset An optional byte offset into the uniform buffer at
+    /// which to store @a data. The default value is zero.
+    /// @return The GLContext.
+    GLContext.prototype.uploadUniformBufferData = function (proxy, data, byteOffset)
+    {
+        var gl    = this.gl;
+        var bytes = (data instanceof ArrayBuffer) ?
+            new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        byteOffset = byteOffset || 0;
+        proxy.byteView.set(bytes, byteOffset);
+        proxy.version++;
+        if (!proxy.emulated)
+        {
+            gl.bindBuffer(gl.UNIFORM_BUFFER, proxy.bufferResource);
+            gl.bufferSubData(gl.UNIFORM_BUFFER, byteOffset, bytes);
+            gl.bindBuffer(gl.UNIFORM_BUFFER, null);
+        }
+        return this;
+    };
+
+    /// Sets the values of one or more members of a uniform buffer. The values
+    /// are tightly packed, as they would be passed to @a GLContext.setUniform(),
+    /// and are padded according to the std140 layout.
+    /// @param proxy The uniform buffer proxy object.
+    /// @param values An object mapping member name to value. Names that are
+    /// not members of the block are ignored.
+    /// @return The GLContext.
+    GLContext.prototype.updateUniformBuffer = function (proxy, values)
+    {
+        var gl    = this.gl;
+        var first = proxy.byteSize;
+        var last  = 0;
+        for (var name in values)
+        {
+            var member = proxy.memberLayout[name];
+            if (member === undefined)
+                continue;
+            writeBlockMember(proxy, member, values[name]);
+            first   = Math.min(first, member.offset);
+            last    = Math.max(last,  member.offset + member.byteSize);
+        }
+        if (last === 0)
+            return this;
+        proxy.version++;
+        if (!proxy.emulated)
+        {
+            gl.bindBuffer(gl.UNIFORM_BUFFER, proxy.bufferResource);
+            gl.bufferSubData(gl.UNIFORM_BUFFER, first, proxy.byteView.subarray(first, last));
+            gl.bindBuffer(gl.UNIFORM_BUFFER, null);
+        }
+        return this;
+    };
+
+    /// Binds a uniform buffer to a uniform buffer binding point. Programs read
+    /// the buffer through the blocks bound to the same point with the function
+    /// @a GLContext.bindUniformBlock().
+    /// @param proxy The uniform buffer proxy object, or null to clear the
+    /// binding point.
+    /// @param point The zero-based index of the binding point. With WebGL 2,
+    /// this must be less than capabilities.maxUniformBufferBindings.
+    /// @return The GLContext.
+    GLContext.prototype.bindUniformBuffer = function (proxy, point)
+    {
+        var max = this.capabilities.maxUniformBufferBindings;
+        if (this.capabilities.version > 1 && point >= max)
+        {
+            this.capabilityError('MAX_UNIFORM_BUFFER_BINDINGS',
+                'Binding point '+point+' exceeds the maximum of '+(max - 1)+'.');
+            return this;
+        }
+        if (this.uniformBufferBindings[point] !== proxy)
+        {
+            var gl = this.gl;
+            if (this.capabilities.version > 1)
+                gl.bindBufferBase(gl.UNIFORM_BUFFER, point, proxy ? proxy.bufferResource : null);
+            this.uniformBufferBindings[point] = proxy;
+        }
+        return this;
+    };
+
+    /// Assigns a binding point to a uniform block of a shader program. The
+    /// assignment is kept if the program is re-linked. Binding points are
+    /// state of the WebGLProgram, so the assignment also applies to any other
+    /// proxies sharing the program; see createProgramResource(). With WebGL 1,
+    /// the members of the buffer bound to the point are set as plain uniforms
+    /// of the program before it is drawn with, whenever the buffer has
+    /// changed.
+    /// @param program The shader program proxy object.
+    /// @param block The name of the uniform block.
+    /// @param point The zero-based index of the binding point.
+    /// @return The GLContext.
+    GLContext.prototype.bindUniformBlock = function (program, block, point)
+    {
+        var gl   = this.gl;
+        var info = program.uniformBlocks[block];
+        program.blockBindings[block] = point;
+        program.blockVersions[block] = null;
+        if (info && program.programResource)
+        {
+            gl.uniformBlockBinding(program.programResource, info.index, point);
+            info.binding = point;
+        }
+        return this;
+    };
+
+    /// Sets the plain uniforms standing in for the uniform blocks of the
+    /// active program from the emulated uniform buffers bound to the block
+    /// binding points. This is performed before each draw call with WebGL 1.
+    /// @param context The GLContext.
+    function flushUniformBlocks(context)
+    {
+        var shader = context.activeProgram;
+        if (!shader || context.capabilities.version > 1)
+            return;
+
+        for (var block in shader.blockBindings)
+        {
+            var buffer = context.uniformBufferBindings[shader.blockBindings[block]];
+            var state  = shader.blockVersions[block];
+            if (!buffer || !buffer.emulated)
+                continue;
+            if (state && state.id === buffer.id && state.version === buffer.version)
+                continue;
+            for (var i = 0, n = buffer.members.length; i < n; ++i)
+            {
+                var member = buffer.members[i];
+                context.setUniform(member.name, readBlockMember(buffer, member));
+            }
+            shader.blockVersions[block] = {
+                id      : buffer.id,
+                version : buffer.version
+            };
+        }
+    }
+
+    /// Creates a framebuffer proxy object, which stores metadata associated
+    /// with a render target, as well as the underlying WebGL resources. This
+    /// function can only be called from the main UI thread.
+    /// @return A new framebuffer proxy object. WebGL resources must be
+    /// initialized separately on the main UI thread.
+    GLContext.prototype.createFramebufferProxy = function ()
+    {
+        return registerProxy(this, ResourceType.FRAMEBUFFER, {
+            id                     : 0,    /* object list id               */
+            framebufferResource    : null, /* WebGLFramebuffer instance    */
+            webglContext           : this, /* WebGLRenderingContext        */
+            colorAttachment        : null, /* texture proxy                */
+            colorLevel             : 0,    /* mip-level of colorAttachment */
+            depthStencilAttachment : null, /* renderbuffer proxy           */
+            width                  : 0,    /* render target width, pixels  */
+            height                 : 0,    /* render target height, pixels */
+            sourceArgs             : null  /* for context restore          */
+        });
+    };
+
+    /// Deletes a framebuffer proxy object. WebGL resources must be deleted
+    /// separately. This function can only be called on the main UI thread.
+    /// @param proxy The framebuffer proxy object as returned by the function
+    /// @a GLContext.createFramebufferProxy().
+    /// @return The GLContext.
+    GLContext.prototype.deleteFramebufferProxy = function (proxy)
+    {
+        if (proxy)
+        {
+            unregisterProxy(this, proxy, proxy.framebufferResource);
+            // release references held by the framebuffer object.
+            proxy.framebufferResource    = null;
+            proxy.webglContext           = null;
+            proxy.colorAttachment        = null;
+            proxy.colorLevel             = 0;
+            proxy.depthStencilAttachment = null;
+            proxy.width                  = 0;
+            proxy.height                 = 0;
+            proxy.sourceArgs             = null;
+        }
+        return this;
+    };
+
+    /// Returns the name of a framebuffer status value.
+    /// @param gl The WebGLRenderingContext.
+    /// @param status The value returned by gl.checkFramebufferStatus().
+    /// @return A string such as 'FRAMEBUFFER_INCOMPLETE_ATTACHMENT'.
+    function framebufferStatusName(gl, status)
+    {
+        var names = [
+            'FRAMEBUFFER_COMPLETE',
+            'FRAMEBUFFER_INCOMPLETE_ATTACHMENT',
+            'FRAMEBUFFER_INCOMPLETE_MISSING_ATTACHMENT',
+            'FRAMEBUFFER_INCOMPLETE_DIMENSIONS',
+            'FRAMEBUFFER_UNSUPPORTED'
+        ];
+        for (var i = 0, n = names.length; i < n; ++i)
+        {
+            if (gl[names[i]] === status)
+                return names[i];
+        }
+        return 'UNKNOWN_STATUS (0x'+status.toString(16)+')';
+    }
+
+    /// Checks the completeness of the currently bound framebuffer. If the
+    /// framebuffer is incomplete, a 'framebuffer:error' event is emitted.
+    /// @param context The GLContext.
+    /// @param proxy The framebuffer proxy object that is currently bound.
+    /// @return true if the framebuffer is complete.
+    function checkFramebuffer(context, proxy)
+    {
+        var gl     = context.gl;
+        var status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+        if (status !== gl.FRAMEBUFFER_COMPLETE && !gl.isContextLost())
+        {
+            context.emit('framebuffer:error', context, proxy, framebufferStatusName(gl, status));
+            return false;
+        }
+        return true;
+    }
+
+    /// Creates the WebGL resources associated with a render target. The
+    /// framebuffer binding is unchanged on return. This function can only be
+    /// called from the main UI thread.
+    /// @param proxy The framebuffer proxy object as returned by the function
+    /// @a GLContext.createFramebufferProxy().
+    /// @param args An object specifying framebuffer attributes.
+    /// @param args.color A texture proxy, as returned by the function
+    /// @a GLContext.createTextureProxy(), whose resource has already been
+    /// created. The texture is attached as the color buffer. This field may
+    /// be omitted if @a args.depthStencil is specified.
+    /// @param args.level The zero-based index of the mip-level of the color
+    /// texture to render into. The default value is zero.
+    /// @param args.depthStencil An optional renderbuffer proxy, as returned by
+    /// the function @a GLContext.createRenderbufferProxy(), whose resource has
+    /// already been created. The renderbuffer is attached as the depth, the
+    /// stencil or the combined depth-stencil buffer based on its format.
+    /// @return true if the framebuffer was created and is complete. If the
+    /// framebuffer is incomplete, a 'framebuffer:error' event is emitted with
+    /// the proxy and the name of the status value, and false is returned.
+    GLContext.prototype.createFramebufferResource = function (proxy, args)
+    {
+        if (proxy && proxy.webglContext === this)
+        {
+            var gl     = proxy.webglContext.gl;
+            var color  = args.color;
+            var depth  = args.depthStencil || null;
+            var level  = defaultValue(args.level, 0);
+            var prev   = this.activeFramebuffer;
+            if (color && !color.textureResource)
+                return false;
+            if (depth && !depth.renderbufferResource)
+                return false;
+            if (!color && !depth)
+                return false;
+
+            var fbo    = gl.createFramebuffer();
+            if (fbo   === null)
+            {
+                // likely the context is lost.
+                return false;
+            }
+            proxy.framebufferResource    = fbo;
+            proxy.sourceArgs             = args;
+            proxy.colorAttachment        = color || null;
+            proxy.colorLevel             = level;
+            proxy.depthStencilAttachment = depth;
+            proxy.width                  = color ? color.levels[level].width  : depth.width;
+            proxy.height                 = color ? color.levels[level].height : depth.height;
+            gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+            if (color)
+            {
+                gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, color.textureTarget, color.textureResource, level);
+            }
+            if (depth)
+            {
+                gl.framebufferRenderbuffer(gl.FRAMEBUFFER, depth.attachment, gl.RENDERBUFFER, depth.renderbufferResource);
+            }
+            var complete = checkFramebuffer(this, proxy);
+            trackResource(this.liveResources[ResourceType.FRAMEBUFFER], proxy);
+            // restore the previous binding so the cached state stays valid.
+            gl.bindFramebuffer(gl.FRAMEBUFFER, prev ? prev.framebufferResource : null);
+            return complete;
+        }
+        return false;
+    };
+
+    /// Deletes the WebGL resources associated with a render target. Attached
+    /// textures are not deleted. This function can only be called on the main
+    /// UI thread.
+    /// @param proxy The framebuffer proxy object as returned by the function
+    /// @a GLContext.createFramebufferProxy().
+    /// @return The GLContext.
+    GLContext.prototype.deleteFramebufferResource = function (proxy)
+    {
+        if (proxy && proxy.webglContext === this)
+        {
+            if (this.activeFramebuffer === proxy)
+                this.unbindFramebuffer();
+
+            var gl = proxy.webglContext.gl;
+            gl.deleteFramebuffer(proxy.framebufferResource);
+            untrackResource(this.liveResources[ResourceType.FRAMEBUFFER], proxy);
+            proxy.framebufferResource    = null;
+            proxy.colorAttachment        = null;
+            proxy.depthStencilAttachment = null;
+        }
+        return this;
+    };
+
+    /// Creates a renderbuffer proxy object, which stores metadata associated
+    /// with a renderbuffer used as a depth or stencil attachment, as well as
+    /// the underlying WebGL resources. This function can only be called from
+    /// the main UI thread.
+    /// @return A new renderbuffer proxy object. WebGL resources must be
+    /// initialized separately on the main UI thread.
+    GLContext.prototype.createRenderbufferProxy = function ()
+    {
+        return registerProxy(this, ResourceType.RENDERBUFFER, {
+            id                   : 0,    /* object list id                  */
+            renderbufferResource : null, /* WebGLRenderbuffer instance      */
+            webglContext         : this, /* WebGLRenderingContext           */
+            format               : 0,    /* gl.DEPTH_COMPONENT16, etc.      */
+            attachment           : 0,    /* gl.DEPTH_ATTACHMENT, etc.       */
+            width                : 0,    /* renderbuffer width, pixels      */
+            height               : 0,    /* renderbuffer height, pixels     */
+            sourceArgs           : null  /* for context restore             */
+        });
+    };
+
+    /// Deletes a renderbuffer proxy object. WebGL resources must be deleted
+    /// separately. This function can only be called on the main UI thread.
+    /// @param proxy The renderbuffer proxy object as returned by the function
+    /// @a GLContext.createRenderbufferProxy().
+    /// @return The GLContext.
+    GLContext.prototype.deleteRenderbufferProxy = function (proxy)
+    {
+        if (proxy)
+        {
+            unregisterProxy(this, proxy, proxy.renderbufferResource);
+            // release references held by the renderbuffer object.
+            proxy.renderbufferResource = null;
+            proxy.webglContext         = null;
+            proxy.format               = 0;
+            proxy.attachment           = 0;
+            proxy.width                = 0;
+            proxy.height               = 0;
+            proxy.sourceArgs           = null;
+        }
+        return this;
+    };
+
+    /// Creates the WebGL resources associated with a renderbuffer. This
+    /// function can only be called from the main UI thread.
+    /// @param proxy The renderbuffer proxy object as returned by the function
+    /// @a GLContext.createRenderbufferProxy().
+    /// @param args An object specifying renderbuffer attributes. All are
+    /// required.
+    /// @param args.format A value specifying the renderbuffer format. One of
+    /// DEPTH_COMPONENT16, STENCIL_INDEX8 or DEPTH_STENCIL.
+    /// @param args.width The width of the renderbuffer, in pixels.
+    /// @param args.height The height of the renderbuffer, in pixels.
+    /// @return true if the renderbuffer was created successfully. If the size
+    /// exceeds the capabilities of the context, a 'capability:error' event is
+    /// emitted and false is returned.
+    GLContext.prototype.createRenderbufferResource = function (proxy, args)
+    {
+        if (proxy && proxy.webglContext === this)
+        {
+            var gl         = proxy.webglContext.gl;
+            var maxSize    = this.capabilities.maxRenderbufferSize;
+            var attachment = 0;
+            switch (args.format)
+            {
+                case 'DEPTH_COMPONENT16': attachment = gl.DEPTH_ATTACHMENT;         break;
+                case 'STENCIL_INDEX8':    attachment = gl.STENCIL_ATTACHMENT;       break;
+                case 'DEPTH_STENCIL':     attachment = gl.DEPTH_STENCIL_ATTACHMENT; break;
+                default: return false;
+            }
+            if (args.width > maxSize || args.height > maxSize)
+            {
+                return this.capabilityError('MAX_RENDERBUFFER_SIZE',
+                    'Renderbuffer size '+args.width+'x'+args.height+' exceeds the maximum of '+maxSize+'.');
+            }
+            var rbo        = gl.createRenderbuffer();
+            if (rbo       === null)
+            {
+                // likely the context is lost.
+                return false;
+            }
+            proxy.renderbufferResource = rbo;
+            proxy.sourceArgs           = args;
+            proxy.format               = gl[args.format];
+            proxy.attachment           = attachment;
+            proxy.width                = args.width;
+            proxy.height               = args.height;
+            this.useRenderbuffer(proxy);
+            gl.renderbufferStorage(gl.RENDERBUFFER, proxy.format, proxy.width, proxy.height);
+            trackResource(this.liveResources[ResourceType.RENDERBUFFER], proxy);
+            return true;
+        }
+        return false;
+    };
+
+    /// Deletes the WebGL resources associated with a renderbuffer. If the
+    /// renderbuffer is attached to the active framebuffer, it is detached
+    /// first. This function can only be called on the main UI thread.
+    /// @param proxy The renderbuffer proxy object as returned by the function
+    /// @a GLContext.createRenderbufferProxy().
+    /// @return The GLContext.
+    GLContext.prototype.deleteRenderbufferResource = function (proxy)
+    {
+        if (proxy && proxy.webglContext === this)
+        {
+            if (this.activeRenderbuffer === proxy)
+                this.unbindRenderbuffer();
+
+            var gl = proxy.webglContext.gl;
+            var fb = this.activeFramebuffer;
+            if (fb && fb.depthStencilAttachment === proxy)
+            {
+                // detach the renderbuffer from the bound framebuffer.
+                gl.framebufferRenderbuffer(gl.FRAMEBUFFER, proxy.attachment, gl.RENDERBUFFER, null);
+                fb.depthStencilAttachment = null;
+            }
+            gl.deleteRenderbuffer(proxy.renderbufferResource);
+            untrackResource(this.liveResources[ResourceType.RENDERBUFFER], proxy);
+            proxy.renderbufferResource = null;
+        }
+        return this;
+    };
+
+    /// Sets the array buffer data sources for each vertex attribute for the
+    /// active program object.
+    /// @param attributes An array of vertex attribute descriptors. See the
+    /// function @a GLContext.createAttribute().
+    /// @param buffers An array of buffer resource proxies specifying the data
+    /// sources for each vertex attribute. Items in this array have a one-to-one
+    /// correspondence with @a attributes, such that attributes[i] is sourced
+    /// from buffers[i]. Any active vertex array object is unbound first, so
+    /// that its state is not modified. Attribute arrays left enabled by a
+    /// previous call that are not used by @a attributes are disabled, and
+    /// attributes that are not active in the program are skipped.
+    /// @return The GLContext.
+    GLContext.prototype.enableAttributes = function (attributes, buffers)
+    {
+        if (!this.activeProgram)
+            return this;
+
+        this.unbindVertexArray();
+        applyAttributes(this, this.activeProgram, attributes, buffers);
+        return this;
+    };
+
+    /// Sets the array buffer data sources for each vertex attribute, using the
+    /// attribute locations of a specific program. This implements the
+    /// function @a GLContext.enableAttributes() and emulated vertex arrays.
+    /// @param context The GLContext. No vertex array object may be bound.
+    /// @param shader The shader program proxy used to resolve locations.
+    /// @param attributes An array of vertex attribute descriptors.
+    /// @param buffers An array of array buffer proxies, where attributes[i]
+    /// is sourced from buffers[i].
+    function applyAttributes(context, shader, attributes, buffers)
+    {
+        var indices = shader.attributeIndices;
+        var mask    = 0;
+        for (var i  = 0, n = attributes.length; i < n; ++i)
+        {
+            var ai  = indices[attributes[i].name];
+            if (ai !== undefined && ai >= 0)
+                mask |= (1 << ai);
+        }
+        context.applyAttributeMask(mask);
+        for (var i  = 0, n = attributes.length; i < n; ++i)
+        {
+            var ar  = attributes[i];
+            var ab  = buffers[i];
+            var ai  = indices[ar.name];
+            if (ai === undefined || ai < 0)
+                continue; // not active in the program.
+            context.useBuffer(ab);
+            setAttributePointer(context, ai, shader.attributeTypes[ar.name], ar, ab.elementSize);
+            if ((context.attributeDivisors[ai] || 0) !== (ar.divisor || 0))
+                setAttributeDivisor(context, ai, ar.divisor || 0);
+        }
+    }
+
+    /// Specifies the location and format of a vertex attribute in the bound
+    /// array buffer. With WebGL 2, integer shader inputs (int, uint and their
+    /// vector types) are specified with vertexAttribIPointer so that their
+    /// values are not converted to floating-point.
+    /// @param context The GLContext.
+    /// @param index The zero-based index of the vertex attribute slot.
+    /// @param type The GLSL type of the attribute, from TypeNames.
+    /// @param attribute The vertex attribute descriptor. See the function
+    /// @a WebGL.createAttribute().
+    /// @param stride The size of a single vertex, in bytes.
+    function setAttributePointer(context, index, type, attribute, stride)
+    {
+        var gl   = context.gl;
+        var glsl = TypeNames;
+        switch (context.capabilities.version > 1 ? type : null)
+        {
+            case glsl.INT:
+            case glsl.IVEC2:
+            case glsl.IVEC3:
+            case glsl.IVEC4:
+            case glsl.UINT:
+            case glsl.UVEC2:
+            case glsl.UVEC3:
+            case glsl.UVEC4:
+                gl.vertexAttribIPointer(
+                    index,
+                    attribute.dimension,
+                    attribute.dataType,
+                    stride,
+                    attribute.byteOffset);
+                break;
+            default:
+                gl.vertexAttribPointer(
+                    index,
+                    attribute.dimension,
+                    attribute.dataType,
+                    attribute.normalize,
+                    stride,
+                    attribute.byteOffset);
+                break;
+        }
+    }
+
+    /// Sets the instance divisor of a vertex attribute slot in the bound
+    /// vertex array. If instancing is not supported, a 'capability:error'
+    /// event is emitted for non-zero divisors.
+    /// @param context The GLContext.
+    /// @param index The zero-based index of the vertex attribute slot.
+    /// @param divisor The number of instances per attribute value, or zero.
+    /// @return true if the divisor was set.
+    function setAttributeDivisor(context, index, divisor)
+    {
+        var ext = context.getExtension('ANGLE_instanced_arrays');
+        if (ext === null)
+        {
+            if (divisor === 0) return true;
+            return context.capabilityError('ANGLE_instanced_arrays',
+                'Instanced vertex attributes are not supported.');
+        }
+        ext.vertexAttribDivisorANGLE(index, divisor);
+        if (context.activeVertexArray === null)
+            context.attributeDivisors[index] = divisor;
+        return true;
+    }
+
+    /// Sets a constant vertex attribute value for the active program object.
+    /// @param name The name of the attribute. This should match the name of
+    /// the attribute in the currently bound vertex shader.
+    /// @param value The constant attribute value. For vector attribute types
+    /// this is either a JavaScript Number array or Float32Array instance. For
+    /// scalar attribute types, this is a single JavaScript Number value.
+    /// @return The GLContext.
+    GLContext.prototype.setConstantAttribute = function (name, value)
+    {
+        if (!this.activeProgram)
+            return this;
+
+        var gl     = this.gl;
+        var glsl   = TypeNames;
+        var shader = this.activeProgram;
+        var index  = shader.attributeIndices[name];
+        var type   = shader.attributeTypes[name];
+        if (index === undefined || index < 0)
+            return this;
+
+        this.unbindVertexArray();
+        switch (type)
+        {
+            case glsl.VEC4:
+                gl.vertexAttrib4fv(index, value);
+                break;
+            case glsl.VEC3:
+                gl.vertexAttrib3fv(index, value);
+                break;
+            case glsl.VEC2:
+                gl.vertexAttrib2fv(index, value);
+                break;
+            case glsl.FLOAT:
+                gl.vertexAttrib1f(index, value);
+                break;
+        }
+        // use the constant attribute value:
+        this.applyAttributeMask(this.enabledAttributeMask & ~(1 << index));
+        return this;
+    };
+
+    /// Enables and disables vertex attribute arrays so that exactly the set of
+    /// arrays specified by a bitmask is enabled. Only the arrays whose state
+    /// changes are touched. This affects the default vertex array only; any
+    /// active vertex array object is unbound first.
+    /// @param mask A bitmask where bit i is set if the attribute array at
+    /// index i should be enabled.
+    /// @return The GLContext.
+    GLContext.prototype.applyAttributeMask = function (mask)
+    {
+        var gl      = this.gl;
+        var current = this.enabledAttributeMask;
+        var changed = current ^ mask;
+        this.unbindVertexArray();
+        for (var i  = 0; changed !== 0; ++i, changed >>>= 1)
+        {
+            if ((changed & 1) === 0)
+                continue;
+            if (mask & (1 << i)) gl.enableVertexAttribArray(i);
+            else                 gl.disableVertexAttribArray(i);
+        }
+        this.enabledAttributeMask = mask;
+        return this;
+    };
+
+    /// Retrieves the indices of the vertex attribute arrays that are enabled
+    /// in the default vertex array, for debugging purposes.
+    /// @return An array of zero-based attribute indices, in ascending order.
+    GLContext.prototype.getEnabledAttributes = function ()
+    {
+        var result = [];
+        var mask   = this.enabledAttributeMask;
+        for (var i = 0; mask !== 0; ++i, mask >>>= 1)
+        {
+            if (mask & 1) result.push(i);
+        }
+        return result;
+    };
+
+    /// Computes the number of primitives assembled from a number of vertices.
+    /// @param primitiveType One of 'POINTS', 'LINES', 'LINE_LOOP',
+    /// 'LINE_STRIP', 'TRIANGLES', 'TRIANGLE_STRIP' or 'TRIANGLE_FAN'.
+    /// @param count The number of vertices, or indices for an indexed draw.
+    /// @return The number of points, lines or triangles, or zero if
+    /// @a primitiveType is not recognized.
+    function computePrimitiveCount(primitiveType, count)
+    {
+        switch (primitiveType)
+        {
+            case 'POINTS':         return count;
+            case 'LINES':          return Math.floor(count / 2);
+            case 'LINE_LOOP':      return count > 1 ? count : 0;
+            case 'LINE_STRIP':     return count > 1 ? count - 1 : 0;
+            case 'TRIANGLES':      return Math.floor(count / 3);
+            case 'TRIANGLE_STRIP': return count > 2 ? count - 2 : 0;
+            case 'TRIANGLE_FAN':   return count > 2 ? count - 2 : 0;
+        }
+        return 0;
+    }
+
+    /// Computes the number of vertices needed to assemble a number of
+    /// primitives. This is the inverse of @a WebGL.computePrimitiveCount().
+    /// @param primitiveType One of the primitive type names.
+    /// @param primitiveCount The number of points, lines or triangles.
+    /// @return The number of vertices, or zero if @a primitiveType is not
+    /// recognized.
+    function computeVertexCount(primitiveType, primitiveCount)
+    {
+        if (primitiveCount <= 0) return 0;
+        switch (primitiveType)
+        {
+            case 'POINTS':         return primitiveCount;
+            case 'LINES':          return primitiveCount * 2;
+            case 'LINE_LOOP':      return primitiveCount > 1 ? primitiveCount : 2;
+            case 'LINE_STRIP':     return primitiveCount + 1;
+            case 'TRIANGLES':      return primitiveCount * 3;
+            case 'TRIANGLE_STRIP': return primitiveCount + 2;
+            case 'TRIANGLE_FAN':   return primitiveCount + 2;
+        }
+        return 0;
+    }
+
+    /// Updates the draw statistics in GLContext.counters for a draw call.
+    /// @param context The GLContext.
+    /// @param primitiveType The primitive type name.
+    /// @param count The number of vertices or indices drawn per instance.
+    /// @param instanceCount The number of instances drawn.
+    function recordDraw(context, primitiveType, count, instanceCount)
+    {
+        var counters = context.counters;
+        counters.drawCalls++;
+        counters.primitives += computePrimitiveCount(primitiveType, count) * instanceCount;
+    }
+
+    /// Submits a batch of (non-indexed) primitives to be rendered.
+    /// @param count The number of vertices to read. See the function
+    /// @a WebGL.computePrimitiveCount() for the number of primitives
+    /// submitted in the batch.
+    /// @param startIndex The zero-based index of the first vertex to read.
+    /// @param primitiveType One of 'POINTS', 'LINES', 'LINE_LOOP',
+    /// 'LINE_STRIP', 'TRIANGLES', 'TRIANGLE_STRIP' or 'TRIANGLE_FAN'. The
+    /// default value is 'TRIANGLES'.
+    /// @return The GLContext.
+    GLContext.prototype.drawPrimitives = function (count, startIndex, primitiveType)
+    {
+        primitiveType = primitiveType || 'TRIANGLES';
+        var mode      = PrimitiveType[primitiveType];
+        if (mode === undefined)
+            return this;
+
+        startIndex  = startIndex || 0;
+        var gl      = this.gl;
+        flushUniformBlocks(this);
+        gl.drawArrays(mode, startIndex, count);
+        recordDraw(this, primitiveType, count, 1);
+        return this;
+    };
+
+    /// Submits a batch of indexed primitives to be rendered.
+    /// @param count The number of indices to read. See the function
+    /// @a WebGL.computePrimitiveCount() for the number of primitives
+    /// submitted in the batch.
+    /// @param startIndex The zero-based index of the first vertex index.
+    /// If the element buffer contains 32-bit indices and these are not
+    /// supported, a 'capability:error' event is emitted and nothing is drawn.
+    /// @param primitiveType One of the primitive type names accepted by
+    /// @a GLContext.drawPrimitives(). The default value is 'TRIANGLES'.
+    /// @return The GLContext.
+    GLContext.prototype.drawIndexed = function (count, startIndex, primitiveType)
+    {
+        primitiveType = primitiveType || 'TRIANGLES';
+        var mode      = PrimitiveType[primitiveType];
+        if (!this.activeElementBuffer || mode === undefined)
+            return this;
+
+        var gl      = this.gl;
+        var indices = this.activeElementBuffer;
+        var type    = elementIndexType(this, indices);
+        startIndex  = startIndex || 0;
+        var offset  = startIndex  * indices.elementSize;
+        if (type === 0)
+            return this;
+        flushUniformBlocks(this);
+        gl.drawElements(mode, count, type, offset);
+        recordDraw(this, primitiveType, count, 1);
+        return this;
+    };
+
+    /// Determines the WebGL index type of an element buffer. If the buffer
+    /// contains 32-bit indices and these are not supported, a
+    /// 'capability:error' event is emitted.
+    /// @param context The GLContext.
+    /// @param indices The element buffer proxy.
+    /// @return One of gl.UNSIGNED_BYTE, gl.UNSIGNED_SHORT or gl.UNSIGNED_INT,
+    /// or zero if the indices cannot be drawn.
+    function elementIndexType(context, indices)
+    {
+        var gl = context.gl;
+        switch (indices.elementSize)
+        {
+            case 1:  return gl.UNSIGNED_BYTE;
+            case 2:  return gl.UNSIGNED_SHORT;
+            case 4:
+                if (context.capabilities.elementIndexUint)
+                    return gl.UNSIGNED_INT;
+                context.capabilityError('OES_element_index_uint',
+                    '32-bit indices are not supported.');
+                return 0;
+        }
+        return 0;
+    }
+
+    /// Submits multiple instances of a batch of (non-indexed) primitives to be
+    /// rendered. Vertex attributes with a non-zero divisor advance once per
+    /// @a divisor instances. If instancing is not supported, a
+    /// 'capability:error' event is emitted and nothing is drawn.
+    /// @param count The number of vertices to read per instance.
+    /// @param instanceCount The number of instances to draw.
+    /// @param startIndex The zero-based index of the first vertex to read.
+    /// @param primitiveType One of the primitive type names accepted by
+    /// @a GLContext.drawPrimitives(). The default value is 'TRIANGLES'.
+    /// @return The GLContext.
+    GLContext.prototype.drawPrimitivesInstanced = function (count, instanceCount, startIndex, primitiveType)
+    {
+        primitiveType = primitiveType || 'TRIANGLES';
+        var mode      = PrimitiveType[primitiveType];
+        var ext       = this.getExtension('ANGLE_instanced_arrays');
+        if (ext === null)
+        {
+            this.capabilityError('ANGLE_instanced_arrays',
+                'Instanced drawing is not supported.');
+            return this;
+        }
+        if (mode === undefined)
+            return this;
+
+        startIndex  = startIndex || 0;
+        flushUniformBlocks(this);
+        ext.drawArraysInstancedANGLE(mode, startIndex, count, instanceCount);
+        recordDraw(this, primitiveType, count, instanceCount);
+        return this;
+    };
+
+    /// Submits multiple instances of a batch of indexed primitives to be
+    /// rendered. Vertex attributes with a non-zero divisor advance once per
+    /// @a divisor instances. If instancing is not supported, a
+    /// 'capability:error' event is emitted and nothing is drawn.
+    /// @param count The number of indices to read per instance.
+    /// @param instanceCount The number of instances to draw.
+    /// @param startIndex The zero-based index of the first vertex index.
+    /// @param primitiveType One of the primitive type names accepted by
+    /// @a GLContext.drawPrimitives(). The default value is 'TRIANGLES'.
+    /// @return The GLContext.
+    GLContext.prototype.drawIndexedInstanced = function (count, instanceCount, startIndex, primitiveType)
+    {
+        primitiveType = primitiveType || 'TRIANGLES';
+        var mode      = PrimitiveType[primitiveType];
+        if (!this.activeElementBuffer || mode === undefined)
+            return this;
+
+        var ext     = this.getExtension('ANGLE_instanced_arrays');
+        if (ext === null)
+        {
+            this.capabilityError('ANGLE_instanced_arrays',
+                'Instanced drawing is not supported.');
+            return this;
+        }
+        var indices = this.activeElementBuffer;
+        var type    = elementIndexType(this, indices);
+        startIndex  = startIndex || 0;
+        var offset  = startIndex  * indices.elementSize;
+        if (type === 0)
+            return this;
+        flushUniformBlocks(this);
+        ext.drawElementsInstancedANGLE(mode, count, type, offset, instanceCount);
+        recordDraw(this, primitiveType, count, instanceCount);
+        return this;
+    };
+
+    /// Describes how the fields of a state object are encoded in a command
+    /// buffer. Each entry is a [fieldName, encoding] pair, where encoding is
+    /// 'b' (boolean), 'u' (32-bit unsigned integer), 'f' (32-bit float), or
+    /// 'b4' and 'f4' for four-element arrays. The field names are those of
+    /// the objects returned by the GLContext.create*State() functions.
+    const StateFields   = {
+        VIEWPORT        : [
+            ['x', 'f'], ['y', 'f'], ['width', 'f'], ['height', 'f'],
+            ['near', 'f'], ['far', 'f']
+        ],
+        BLEND           : [
+            ['enabled', 'b'], ['constantColorRGBA', 'f4'],
+            ['sourceFactorRGB', 'u'], ['sourceFactorAlpha', 'u'],
+            ['targetFactorRGB', 'u'], ['targetFactorAlpha', 'u'],
+            ['functionRGB', 'u'], ['functionAlpha', 'u']
+        ],
+        DEPTH_STENCIL   : [
+            ['depthWriteEnabled', 'b'], ['depthTestEnabled', 'b'],
+            ['depthTestFunction', 'u'], ['stencilTestEnabled', 'b'],
+            ['stencilMaskBack', 'u'], ['stencilReferenceBack', 'u'],
+            ['stencilFunctionBack', 'u'], ['stencilFailOpBack', 'u'],
+            ['stencilPassOpZFailBack', 'u'], ['stencilPassOpZPassBack', 'u'],
+            ['stencilMaskFront', 'u'], ['stencilReferenceFront', 'u'],
+            ['stencilFunctionFront', 'u'], ['stencilFailOpFront', 'u'],
+            ['stencilPassZFailOpFront', 'u'], ['stencilPassZPassOpFront', 'u']
+        ],
+        RASTER          : [
+            ['colorWriteRGBA', 'b4'], ['cullingEnabled', 'b'],
+            ['cullFace', 'u'], ['windingOrder', 'u'],
+            ['scissorTestEnabled', 'b'], ['scissorX', 'f'], ['scissorY', 'f'],
+            ['scissorWidth', 'f'], ['scissorHeight', 'f'], ['lineWidth', 'f'],
+            ['offsetFactor', 'f'], ['offsetUnits', 'f'],
+            ['sampleCoverageEnabled', 'b'], ['sampleAlphaToCoverage', 'b'],
+            ['invertCoverage', 'b'], ['coverageValue', 'f']
+        ]
+    };
+
+    /// Computes the number of 32-bit words used to encode a state object.
+    /// @param fields One of the StateFields tables.
+    /// @return The number of words.
+    function stateFieldWords(fields)
+    {
+        var words = 0;
+        for (var i = 0, n = fields.length; i < n; ++i)
+            words += (fields[i][1].length > 1) ? 4 : 1;
+        return words;
+    }
+
+    /// Constructor function for the CommandBuffer type. A command buffer
+    /// records a sequence of GLContext operations as opcodes and operands in
+    /// a single ArrayBuffer. Resources are referenced by the ids assigned by
+    /// the GLContext create*Proxy() functions, and strings such as uniform
+    /// names are stored in a separate string table. Command buffers can be
+    /// recorded on any thread, sent to the main UI thread using postMessage
+    /// (see @a CommandBuffer.toMessage()) and replayed with the function
+    /// @a GLContext.execute(). State objects must be created with the
+    /// GLContext.create*State() functions; they are plain objects and can be
+    /// sent to a worker.
+    /// @param capacity The initial capacity of the buffer, in 32-bit words.
+    /// The buffer grows as needed. The default value is 1024.
+    var CommandBuffer = function (capacity)
+    {
+        if (!(this instanceof CommandBuffer))
+        {
+            return new CommandBuffer(capacity);
+        }
+        this.capacity  = capacity || 1024;
+        this.buffer    = new ArrayBuffer(this.capacity * 4);
+        this.words     = new Uint32Array(this.buffer);
+        this.floats    = new Float32Array(this.buffer);
+        this.count     = 0;
+        this.strings   = [];
+        this.stringIds = {};
+        return this;
+    };
+
+    /// Discards all recorded commands. If the underlying ArrayBuffer was
+    /// transferred with postMessage, a new buffer is allocated.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.reset = function ()
+    {
+        if (this.buffer.byteLength === 0)
+        {
+            this.buffer  = new ArrayBuffer(this.capacity * 4);
+            this.words   = new Uint32Array(this.buffer);
+            this.floats  = new Float32Array(this.buffer);
+        }
+        this.count     = 0;
+        this.strings   = [];
+        this.stringIds = {};
+        return this;
+    };
+
+    /// Ensures that there is space to write a number of additional words,
+    /// growing the underlying ArrayBuffer if necessary.
+    /// @param words The number of 32-bit words about to be written.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.reserve = function (words)
+    {
+        var required = this.count + words;
+        if (required > this.words.length)
+        {
+            var size = Math.max(this.words.length * 2, required);
+            var data = new Uint32Array(size);
+            data.set(this.words.subarray(0, this.count));
+            this.capacity = size;
+            this.buffer   = data.buffer;
+            this.words    = data;
+            this.floats   = new Float32Array(this.buffer);
+        }
+        return this;
+    };
+
+    /// Retrieves the string table index of a string, adding it if necessary.
+    /// @param str The string to look up.
+    /// @return The zero-based index of @a str in the string table.
+    CommandBuffer.prototype.internString = function (str)
+    {
+        var index = this.stringIds[str];
+        if (index === undefined)
+        {
+            index = this.strings.length;
+            this.strings.push(str);
+            this.stringIds[str] = index;
+        }
+        return index;
+    };
+
+    /// Writes an opcode and a list of unsigned integer operands.
+    /// @param op One of the @a CommandOp values.
+    /// @param operands An array of 32-bit unsigned integer values.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.writeOp = function (op, operands)
+    {
+        this.reserve(1 + operands.length);
+        this.words[this.count++] = op;
+        for (var i = 0, n = operands.length; i < n; ++i)
+            this.words[this.count++] = operands[i];
+        return this;
+    };
+
+    /// Writes the fields of a state object.
+    /// @param fields One of the StateFields tables.
+    /// @param state The state object to encode.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.writeState = function (fields, state)
+    {
+        this.reserve(stateFieldWords(fields));
+        for (var i = 0, n = fields.length; i < n; ++i)
+        {
+            var value = state[fields[i][0]];
+            switch (fields[i][1])
+            {
+                case 'b':  this.words [this.count++] = value ? 1 : 0; break;
+                case 'u':  this.words [this.count++] = value >>> 0;   break;
+                case 'f':  this.floats[this.count++] = value;         break;
+                case 'b4':
+                    for (var j = 0; j < 4; ++j)
+                        this.words [this.count++] = value[j] ? 1 : 0;
+                    break;
+                case 'f4':
+                    for (var j = 0; j < 4; ++j)
+                        this.floats[this.count++] = value[j];
+                    break;
+            }
+        }
+        return this;
+    };
+
+    /// Writes the contents of an ArrayBuffer or ArrayBufferView, preceded by
+    /// its length in bytes and padded to a multiple of four bytes.
+    /// @param data The ArrayBuffer or ArrayBufferView to copy.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.writeBytes = function (data)
+    {
+        var bytes = ArrayBuffer.isView(data) ?
+            new Uint8Array(data.buffer, data.byteOffset, data.byteLength) :
+            new Uint8Array(data);
+        var words = (bytes.length + 3) >>> 2;
+        this.reserve(1 + words);
+        this.words[this.count++] = bytes.length;
+        new Uint8Array(this.buffer, this.count * 4, bytes.length).set(bytes);
+        this.count += words;
+        return this;
+    };
+
+    /// Records a call to @a GLContext.applyViewport().
+    /// @param viewport A viewport object.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.applyViewport = function (viewport)
+    {
+        return this.writeOp(CommandOp.APPLY_VIEWPORT, []).writeState(StateFields.VIEWPORT, viewport);
+    };
+
+    /// Records a call to @a GLContext.applyBlendState().
+    /// @param state A blend state object.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.applyBlendState = function (state)
+    {
+        return this.writeOp(CommandOp.APPLY_BLEND_STATE, []).writeState(StateFields.BLEND, state);
+    };
+
+    /// Records a call to @a GLContext.applyDepthStencilState().
+    /// @param state A depth-stencil state object.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.applyDepthStencilState = function (state)
+    {
+        return this.writeOp(CommandOp.APPLY_DEPTH_STENCIL_STATE, []).writeState(StateFields.DEPTH_STENCIL, state);
+    };
+
+    /// Records a call to @a GLContext.applyRasterState().
+    /// @param state A raster state object.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.applyRasterState = function (state)
+    {
+        return this.writeOp(CommandOp.APPLY_RASTER_STATE, []).writeState(StateFields.RASTER, state);
+    };
+
+    /// Records a call to @a GLContext.useProgram().
+    /// @param program A program proxy, or the id of a program proxy.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.useProgram = function (program)
+    {
+        return this.writeOp(CommandOp.USE_PROGRAM, [commandResourceId(program)]);
+    };
+
+    /// Records a call to @a GLContext.useBuffer().
+    /// @param buffer A buffer proxy, or the id of a buffer proxy.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.useBuffer = function (buffer)
+    {
+        return this.writeOp(CommandOp.USE_BUFFER, [commandResourceId(buffer)]);
+    };
+
+    /// Records a call to @a GLContext.useTextureUnit().
+    /// @param unit The zero-based index of the texture unit to select.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.useTextureUnit = function (unit)
+    {
+        return this.writeOp(CommandOp.USE_TEXTURE_UNIT, [unit]);
+    };
+
+    /// Records a call to @a GLContext.useTexture().
+    /// @param texture A texture proxy, or the id of a texture proxy.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.useTexture = function (texture)
+    {
+        return this.writeOp(CommandOp.USE_TEXTURE, [commandResourceId(texture)]);
+    };
+
+    /// Records a call to @a GLContext.useVertexArray().
+    /// @param vertexArray A vertex array proxy, or the id of one.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.useVertexArray = function (vertexArray)
+    {
+        return this.writeOp(CommandOp.USE_VERTEX_ARRAY, [commandResourceId(vertexArray)]);
+    };
+
+    /// Records a call to @a GLContext.useFramebuffer(), or to the function
+    /// @a GLContext.unbindFramebuffer() if @a framebuffer is null.
+    /// @param framebuffer A framebuffer proxy, the id of a framebuffer proxy,
+    /// or null to render to the canvas.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.useFramebuffer = function (framebuffer)
+    {
+        return this.writeOp(CommandOp.USE_FRAMEBUFFER, [framebuffer ? commandResourceId(framebuffer) : 0]);
+    };
+
+    /// Records a call to @a GLContext.enableAttributes().
+    /// @param attributes An array of vertex attribute descriptors. See the
+    /// function @a WebGL.createAttribute().
+    /// @param buffers An array of buffer proxies or buffer proxy ids, where
+    /// attributes[i] is sourced from buffers[i].
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.enableAttributes = function (attributes, buffers)
+    {
+        var operands = [attributes.length];
+        for (var i   = 0, n = attributes.length; i < n; ++i)
+        {
+            var ar   = attributes[i];
+            operands.push(
+                this.internString(ar.name),
+                ar.dataType,
+                ar.byteOffset,
+                ar.dimension,
+                ar.normalize ? 1 : 0,
+                ar.divisor   || 0,
+                commandResourceId(buffers[i]));
+        }
+        return this.writeOp(CommandOp.ENABLE_ATTRIBUTES, operands);
+    };
+
+    /// Records a call to @a GLContext.setUniform().
+    /// @param name The name of the uniform to set.
+    /// @param value The value to set. Booleans and integers in the range of
+    /// an int or uint are recorded as 32-bit integers; other numbers, arrays
+    /// of numbers and Float32Arrays are recorded as floats; Int32Arrays are
+    /// recorded as integers. For sampler uniforms, specify a texture proxy, or
+    /// an array of texture proxies. Any object with the id of a texture proxy
+    /// in its id field may be used in place of the proxy. A null value, or a
+    /// null element of a sampler array, is passed through as null.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.setUniform = function (name, value)
+    {
+        var nameIndex = this.internString(name);
+        if (typeof value === 'boolean')
+            value = value ? 1 : 0;
+        if (typeof value === 'number')
+        {
+            if (Math.floor(value) === value && value >= -0x80000000 && value <= 0xFFFFFFFF)
+            {
+                // the sign is recorded so the word can be read back as an int.
+                return this.writeOp(CommandOp.SET_UNIFORM_INT, [nameIndex, value < 0 ? 1 : 0, value >>> 0]);
+            }
+            this.writeOp(CommandOp.SET_UNIFORM_SCALAR, [nameIndex, 0]);
+            this.floats[this.count - 1] = value;
+            return this;
+        }
+        if (value instanceof Int32Array)
+        {
+            this.writeOp(CommandOp.SET_UNIFORM_INTS, [nameIndex, value.length]);
+            this.reserve(value.length);
+            new Int32Array(this.buffer, this.count * 4, value.length).set(value);
+            this.count += value.length;
+            return this;
+        }
+        var isArray = Array.isArray(value);
+        if ((isArray && typeof value[0] === 'object') || (!isArray && !ArrayBuffer.isView(value)))
+        {
+            var textures = isArray ? value : [value];
+            var operands = [nameIndex, isArray ? 1 : 0, textures.length];
+            for (var i   = 0, n = textures.length; i < n; ++i)
+                operands.push(textures[i] ? commandResourceId(textures[i]) : 0);
+            return this.writeOp(CommandOp.SET_UNIFORM_TEXTURES, operands);
+        }
+        this.writeOp(CommandOp.SET_UNIFORM_FLOATS, [nameIndex, value.length]);
+        this.reserve(value.length);
+        for (var i = 0, n = value.length; i < n; ++i)
+            this.floats[this.count++] = value[i];
+        return this;
+    };
+
+    /// Records a call to @a GLContext.uploadArrayBufferData(). The data is
+    /// copied into the command buffer.
+    /// @param data An ArrayBuffer or ArrayBufferView.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.uploadArrayBufferData = function (data)
+    {
+        return this.writeOp(CommandOp.UPLOAD_ARRAY_BUFFER, [0xFFFFFFFF]).writeBytes(data);
+    };
+
+    /// Records a call to @a GLContext.uploadIndexBufferData(). The data is
+    /// copied into the command buffer.
+    /// @param data An ArrayBuffer or ArrayBufferView.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.uploadIndexBufferData = function (data)
+    {
+        return this.writeOp(CommandOp.UPLOAD_INDEX_BUFFER, [0xFFFFFFFF]).writeBytes(data);
+    };
+
+    /// Records a call to @a GLContext.uploadArrayBufferRegion(). The data is
+    /// copied into the command buffer.
+    /// @param byteOffset The byte offset in the array buffer.
+    /// @param data An ArrayBuffer or ArrayBufferView.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.uploadArrayBufferRegion = function (byteOffset, data)
+    {
+        return this.writeOp(CommandOp.UPLOAD_ARRAY_BUFFER, [byteOffset]).writeBytes(data);
+    };
+
+    /// Records a call to @a GLContext.uploadIndexBufferRegion(). The data is
+    /// copied into the command buffer.
+    /// @param byteOffset The byte offset in the index buffer.
+    /// @param data An ArrayBuffer or ArrayBufferView.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.uploadIndexBufferRegion = function (byteOffset, data)
+    {
+        return this.writeOp(CommandOp.UPLOAD_INDEX_BUFFER, [byteOffset]).writeBytes(data);
+    };
+
+    /// Records a call to @a GLContext.drawPrimitives().
+    /// @param count The number of vertices to read.
+    /// @param startIndex The zero-based index of the first vertex to read.
+    /// @param primitiveType The primitive type name. The default value is
+    /// 'TRIANGLES'.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.drawPrimitives = function (count, startIndex, primitiveType)
+    {
+        var type = this.internString(primitiveType || 'TRIANGLES');
+        return this.writeOp(CommandOp.DRAW_PRIMITIVES, [type, count, startIndex || 0, 0]);
+    };
+
+    /// Records a call to @a GLContext.drawIndexed().
+    /// @param count The number of indices to read.
+    /// @param startIndex The zero-based index of the first vertex index.
+    /// @param primitiveType The primitive type name. The default value is
+    /// 'TRIANGLES'.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.drawIndexed = function (count, startIndex, primitiveType)
+    {
+        var type = this.internString(primitiveType || 'TRIANGLES');
+        return this.writeOp(CommandOp.DRAW_INDEXED, [type, count, startIndex || 0, 0]);
+    };
+
+    /// Records a call to @a GLContext.drawPrimitivesInstanced().
+    /// @param count The number of vertices to read per instance.
+    /// @param instanceCount The number of instances to draw.
+    /// @param startIndex The zero-based index of the first vertex to read.
+    /// @param primitiveType The primitive type name. The default value is
+    /// 'TRIANGLES'.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.drawPrimitivesInstanced = function (count, instanceCount, startIndex, primitiveType)
+    {
+        var type = this.internString(primitiveType || 'TRIANGLES');
+        return this.writeOp(CommandOp.DRAW_PRIMITIVES, [type, count, startIndex || 0, instanceCount]);
+    };
+
+    /// Records a call to @a GLContext.drawIndexedInstanced().
+    /// @param count The number of indices to read per instance.
+    /// @param instanceCount The number of instances to draw.
+    /// @param startIndex The zero-based index of the first vertex index.
+    /// @param primitiveType The primitive type name. The default value is
+    /// 'TRIANGLES'.
+    /// @return The CommandBuffer.
+    CommandBuffer.prototype.drawIndexedInstanced = function (count, instanceCount, startIndex, primitiveType)
+    {
+        var type = this.internString(primitiveType || 'TRIANGLES');
+        return this.writeOp(CommandOp.DRAW_INDEXED, [type, count, startIndex || 0, instanceCount]);
+    };
+
+    /// Packages the recorded commands for sending with postMessage. The
+    /// ArrayBuffer should be transferred rather than copied, for example:
+    /// worker.postMessage(msg, [msg.buffer]). Once transferred, the command
+    /// buffer must be reset before recording new commands.
+    /// @return An object that can be passed to postMessage.
+    /// obj.buffer The ArrayBuffer containing the encoded commands.
+    /// obj.count The number of 32-bit words of @a obj.buffer in use.
+    /// obj.strings The string table.
+    CommandBuffer.prototype.toMessage = function ()
+    {
+        return {
+            buffer  : this.buffer,
+            count   : this.count,
+            strings : this.strings
+        };
+    };
+
+    /// Creates a CommandBuffer from a message produced by the function
+    /// @a CommandBuffer.toMessage(), typically received from a worker.
+    /// @param message The message object.
+    /// @return A new CommandBuffer wrapping the message data.
+    CommandBuffer.fromMessage = function (message)
+    {
+        var cb       = new CommandBuffer(1);
+        cb.capacity  = message.buffer.byteLength >>> 2;
+        cb.buffer    = message.buffer;
+        cb.words     = new Uint32Array(cb.buffer);
+        cb.floats    = new Float32Array(cb.buffer);
+        cb.count     = message.count;
+        cb.strings   = message.strings;
+        for (var i   = 0, n = cb.strings.length; i < n; ++i)
+            cb.stringIds[cb.strings[i]] = i;
+        return cb;
+    };
+
+    /// Converts a resource proxy or resource id into a resource id.
+    /// @param resource A resource proxy object, or a resource id.
+    /// @return The resource id.
+    function commandResourceId(resource)
+    {
+        return (typeof resource === 'number') ? resource : resource.id;
+    }
+
+    /// Decodes a state object written by @a CommandBuffer.writeState().
+    /// @param cb The CommandBuffer being executed.
+    /// @param pos The word offset of the first field.
+    /// @param fields One of the StateFields tables.
+    /// @return A new state object.
+    function readState(cb, pos, fields)
+    {
+        var state = {};
+        for (var i = 0, n = fields.length; i < n; ++i)
+        {
+            var name = fields[i][0];
+            switch (fields[i][1])
+            {
+                case 'b':  state[name] = cb.words [pos++] !== 0; break;
+                case 'u':  state[name] = cb.words [pos++];       break;
+                case 'f':  state[name] = cb.floats[pos++];       break;
+                case 'b4':
+                    state[name] = [
+                        cb.words[pos]     !== 0, cb.words[pos + 1] !== 0,
+                        cb.words[pos + 2] !== 0, cb.words[pos + 3] !== 0
+                    ];
+                    pos += 4;
+                    break;
+                case 'f4':
+                    state[name] = [
+                        cb.floats[pos],     cb.floats[pos + 1],
+                        cb.floats[pos + 2], cb.floats[pos + 3]
+                    ];
+                    pos += 4;
+                    break;
+            }
+        }
+        return state;
+    }
+
+    /// Looks up the resource proxy referenced by a command. If the id does not
+    /// identify a proxy of the expected type, a 'command:error' event is
+    /// emitted.
+    /// @param context The GLContext executing the command buffer.
+    /// @param op The opcode of the command being executed.
+    /// @param id The resource id.
+    /// @param type The expected @a ResourceType value.
+    /// @return The resource proxy, or null.
+    function commandResource(context, op, id, type)
+    {
+        var proxy = context.lookupResource(id);
+        if (proxy === null || context.lookupResourceType(id) !== type)
+        {
+            context.emit('command:error', context, op, 'Invalid '+type+' id '+id+'.');
+            return null;
+        }
+        return proxy;
+    }
+
+    /// Replays the commands recorded in a CommandBuffer. Each command calls
+    /// the corresponding GLContext function, so redundant state changes are
+    /// eliminated as usual. Commands referencing a resource id that is not
+    /// registered with this GLContext are skipped and a 'command:error' event
+    /// is emitted. This function can only be called from the main UI thread.
+    /// @param commands The CommandBuffer to execute. See the function
+    /// @a CommandBuffer.fromMessage() for command buffers sent by a worker.
+    /// @return The GLContext.
+    GLContext.prototype.execute = function (commands)
+    {
+        var RT     = ResourceType;
+        var words  = commands.words;
+        var floats = commands.floats;
+        var names  = commands.strings;
+        var end    = commands.count;
+        var pos    = 0;
+        while (pos < end)
+        {
+            var op = words[pos++];
+            var proxy, count, i;
+            switch (op)
+            {
+                case CommandOp.APPLY_VIEWPORT:
+                    this.applyViewport(readState(commands, pos, StateFields.VIEWPORT));
+                    pos += stateFieldWords(StateFields.VIEWPORT);
+                    break;
+                case CommandOp.APPLY_BLEND_STATE:
+                    this.applyBlendState(readState(commands, pos, StateFields.BLEND));
+                    pos += stateFieldWords(StateFields.BLEND);
+                    break;
+                case CommandOp.APPLY_DEPTH_STENCIL_STATE:
+                    this.applyDepthStencilState(readState(commands, pos, StateFields.DEPTH_STENCIL));
+                    pos += stateFieldWords(StateFields.DEPTH_STENCIL);
+                    break;
+                case CommandOp.APPLY_RASTER_STATE:
+                    this.applyRasterState(readState(commands, pos, StateFields.RASTER));
+                    pos += stateFieldWords(StateFields.RASTER);
+                    break;
+                case CommandOp.USE_PROGRAM:
+                    proxy = commandResource(this, op, words[pos++], RT.PROGRAM);
+                    if (proxy) this.useProgram(proxy);
+                    break;
+                case CommandOp.USE_BUFFER:
+                    proxy = commandResource(this, op, words[pos++], RT.BUFFER);
+                    if (proxy) this.useBuffer(proxy);
+                    break;
+                case CommandOp.USE_TEXTURE_UNIT:
+                    this.useTextureUnit(words[pos++]);
+                    break;
+                case CommandOp.USE_TEXTURE:
+                    proxy = commandResource(this, op, words[pos++], RT.TEXTURE);
+                    if (proxy) this.useTexture(proxy);
+                    break;
+                case CommandOp.USE_VERTEX_ARRAY:
+                    proxy = commandResource(this, op, words[pos++], RT.VERTEX_ARRAY);
+                    if (proxy) this.useVertexArray(proxy);
+                    break;
+                case CommandOp.USE_FRAMEBUFFER:
+                    if (words[pos] === 0)
+                    {
+                        this.unbindFramebuffer();
+                        pos++;
+                        break;
+                    }
+                    proxy = commandResource(this, op, words[pos++], RT.FRAMEBUFFER);
+                    if (proxy) this.useFramebuffer(proxy);
+                    break;
+                case CommandOp.ENABLE_ATTRIBUTES:
+                    count = words[pos++];
+                    var attributes = new Array(count);
+                    var buffers    = new Array(count);
+                    var valid      = true;
+                    for (i = 0; i < count; ++i, pos += 7)
+                    {
+                        attributes[i] = {
+                            name       : names[words[pos]],
+                            dataType   : words[pos + 1],
+                            byteOffset : words[pos + 2],
+                            dimension  : words[pos + 3],
+                            normalize  : words[pos + 4] !== 0,
+                            divisor    : words[pos + 5]
+                        };
+                        buffers[i] = commandResource(this, op, words[pos + 6], RT.BUFFER);
+                        valid      = valid && buffers[i] !== null;
+                    }
+                    if (valid) this.enableAttributes(attributes, buffers);
+                    break;
+                case CommandOp.SET_UNIFORM_SCALAR:
+                    this.setUniform(names[words[pos]], floats[pos + 1]);
+                    pos += 2;
+                    break;
+                case CommandOp.SET_UNIFORM_INT:
+                    var bits = words[pos + 2];
+                    this.setUniform(names[words[pos]], words[pos + 1] !== 0 ? (bits | 0) : bits);
+                    pos += 3;
+                    break;
+                case CommandOp.SET_UNIFORM_FLOATS:
+                    count = words[pos + 1];
+                    this.setUniform(names[words[pos]], floats.subarray(pos + 2, pos + 2 + count));
+                    pos += 2 + count;
+                    break;
+                case CommandOp.SET_UNIFORM_INTS:
+                    count = words[pos + 1];
+                    this.setUniform(names[words[pos]], new Int32Array(commands.buffer, (pos + 2) * 4, count));
+                    pos += 2 + count;
+                    break;
+                case CommandOp.SET_UNIFORM_TEXTURES:
+                    var name     = names[words[pos]];
+                    var isArray  = words[pos + 1] !== 0;
+                    count        = words[pos + 2];
+                    var textures = [];
+                    for (i = 0, pos += 3; i < count; ++i, ++pos)
+                    {
+                        // id zero records a null texture.
+                        proxy = words[pos] ? commandResource(this, op, words[pos], RT.TEXTURE) : null;
+                        if (proxy || !words[pos]) textures.push(proxy);
+                    }
+                    if (textures.length === count)
+                        this.setUniform(name, isArray ? textures : textures[0]);
+                    break;
+                case CommandOp.UPLOAD_ARRAY_BUFFER:
+                case CommandOp.UPLOAD_INDEX_BUFFER:
+                    var offset = words[pos++];
+                    var length = words[pos++];
+                    var bytes  = new Uint8Array(commands.buffer, pos * 4, length);
+                    var index  = op === CommandOp.UPLOAD_INDEX_BUFFER;
+                    pos += (length + 3) >>> 2;
+                    if (offset === 0xFFFFFFFF)
+                    {
+                        if (index) this.uploadIndexBufferData(bytes);
+                        else       this.uploadArrayBufferData(bytes);
+                    }
+                    else
+                    {
+                        if (index) this.uploadIndexBufferRegion(offset, bytes);
+                        else       this.uploadArrayBufferRegion(offset, bytes);
+                    }
+                    break;
+                case CommandOp.DRAW_PRIMITIVES:
+                case CommandOp.DRAW_INDEXED:
+                    var type      = names[words[pos]];
+                    var num       = words[pos + 1];
+                    var start     = words[pos + 2];
+                    var instances = words[pos + 3];
+                    var indexed   = op === CommandOp.DRAW_INDEXED;
+                    pos += 4;
+                    if (instances === 0)
+                    {
+                        if (indexed) this.drawIndexed(num, start, type);
+                        else         this.drawPrimitives(num, start, type);
+                    }
+                    else
+                    {
+                        if (indexed) this.drawIndexedInstanced(num, instances, start, type);
+                        else         this.drawPrimitivesInstanced(num, instances, start, type);
+                    }
+                    break;
+                default:
+                    // the remainder of the buffer cannot be decoded.
+                    this.emit('command:error', this, op, 'Unknown opcode '+op+'.');
+                    return this;
+            }
+        }
+        return this;
+    };
+
+    /// The message types used by the resource realization protocol. A worker
+    /// posts a REALIZE message with an array of resource descriptors, and the
+    /// main UI thread replies with a REALIZED message carrying one result per
+    /// descriptor. See @a GLContext.attachWorker().
+    const ResourceMessage = {
+        REALIZE         : 'webgl:realize',
+        REALIZED        : 'webgl:realized'
+    };
+
+    /// The tag assigned to the next resource descriptor created on this thread.
+    var nextDescriptorTag = 1;
+
+    /// Creates a descriptor for a shader program. Descriptors are plain objects
+    /// that can be created on any thread and sent to the main UI thread with
+    /// postMessage, where they are passed to @a GLContext.realizeResource().
+    /// @param vss The vertex shader source code.
+    /// @param fss The fragment shader source code.
+    /// @param options An optional object specifying preprocessor options. See
+    /// @a GLContext.createProgramResource().
+    /// @return A new program descriptor.
+    function describeProgram(vss, fss, options)
+    {
+        return {
+            kind           : ResourceType.PROGRAM,
+            tag            : nextDescriptorTag++,
+            vertexSource   : vss,
+            fragmentSource : fss,
+            options        : options || null
+        };
+    }
+
+    /// Creates a descriptor for a texture. See @a WebGL.describeProgram().
+    /// @param args An object specifying texture attributes. See the function
+    /// @a GLContext.createTextureResource().
+    /// @param data An optional Uint8Array storing the raw data for each level,
+    /// as passed to @a GLContext.uploadTexture().
+    /// @return A new texture descriptor.
+    function describeTexture(args, data)
+    {
+        return {
+            kind           : ResourceType.TEXTURE,
+            tag            : nextDescriptorTag++,
+            args           : args,
+            data           : data || null
+        };
+    }
+
+    /// Creates a descriptor for a vertex or index buffer. See the function
+    /// @a WebGL.describeProgram().
+    /// @param args An object specifying buffer attributes. See the function
+    /// @a GLContext.createBufferResource().
+    /// @param data An optional ArrayBuffer or typed array storing the initial
+    /// contents of the buffer.
+    /// @return A new buffer descriptor.
+    function describeBuffer(args, data)
     {
         return {
-            id             : 0,    /* object list id                     */
-            bufferResource : null, /* WebGLBuffer instance               */
-            webglContext   : this, /* WebGLRenderingContext              */
-            bindTarget     : 0,    /* ARRAY_BUFFER, ELEMENT_ARRAY_BUFFER */
-            usageType      : 0,    /* STATIC_DRAW, STREAM_DRAW, etc.     */
-            totalSize      : 0,    /* total size, specified in bytes     */
-            elementSize    : 0,    /* byte size of a 'vertex' or index   */
-            elementCount   : 0     /* number of vertices or indices      */
+            kind           : ResourceType.BUFFER,
+            tag            : nextDescriptorTag++,
+            args           : args,
+            data           : data || null
         };
-    };
+    }
 
-    /// Deletes a buffer proxy object. WebGL resources must be deleted
-    /// separately. This function may be called from any thread.
-    /// @param proxy The buffer proxy object as returned by the function
-    /// @a GLContext.createBufferProxy().
-    /// @return The GLContext.
-    GLContext.prototype.deleteBufferProxy = function (proxy)
+    /// Builds the list of ArrayBuffers referenced by a set of descriptors, for
+    /// use as the transfer list when posting them to the main UI thread. The
+    /// buffers are no longer accessible on the sending thread afterwards.
+    /// @param descriptors An array of resource descriptors.
+    /// @return An array of unique ArrayBuffer instances.
+    function descriptorTransferList(descriptors)
     {
-        if (proxy)
+        var list = [];
+        for (var i = 0, n = descriptors.length; i < n; ++i)
         {
-            // release references held by the buffer object.
-            proxy.bufferResource = null;
-            proxy.webglContext   = null;
-            proxy.bindTarget     = 0;
-            proxy.usageType      = 0;
-            proxy.totalSize      = 0;
-            proxy.elementSize    = 0;
-            proxy.elementCount   = 0;
+            var data = descriptors[i].data;
+            var buf  = data ? (data.buffer || data) : null;
+            if (buf instanceof ArrayBuffer && list.indexOf(buf) < 0)
+                list.push(buf);
         }
-        return this;
-    };
+        return list;
+    }
 
-    /// Creates the WebGL resources associated with a data buffer. This
-    /// function can only be called from the main UI thread.
-    /// @param proxy The buffer proxy object as returned by the function
-    /// @a GLContext.createBufferProxy().
-    /// @param args An object specifying buffer attributes. All are required.
-    /// @param args.target A value specifying the buffer target: either
-    /// ARRAY_BUFFER or ELEMENT_ARRAY_BUFFER.
-    /// @param args.usage A value specifying the buffer usage type; may be one
-    /// of STATIC_DRAW, STREAM_DRAW or DYNAMIC_DRAW.
-    /// @param args.elementSize The size of a single logical element in bytes.
-    /// @param args.elementCount The total number of logical elements in the
-    /// buffer (the number of vertices or indices).
-    /// @return true if the buffer was created successfully.
-    GLContext.prototype.createBufferResource = function (proxy, args)
+    /// Checks that a resource descriptor received from a worker has the fields
+    /// required to realize it, so that a malformed descriptor is reported in
+    /// its result instead of throwing.
+    /// @param descriptor The resource descriptor.
+    /// @return A string describing the problem, or null if the descriptor is
+    /// well-formed.
+    function checkDescriptor(descriptor)
     {
-        if (proxy && proxy.webglContext === this)
+        if (!descriptor || typeof descriptor !== 'object')
+            return 'Invalid resource descriptor.';
+
+        var args = descriptor.args;
+        switch (descriptor.kind)
         {
-            var gl = proxy.webglContext.gl;
-            proxy.bufferResource = gl.createBuffer();
-            proxy.bindTarget     = gl[args.target];
-            proxy.usageType      = gl[args.usage];
-            proxy.totalSize      = args.elementSize * args.elementCount;
-            proxy.elementSize    = args.elementSize;
-            proxy.elementCount   = args.elementCount;
-            gl.bindBuffer (proxy.bindTarget, proxy.bufferResource);
-            gl.bufferData (proxy.bindTarget, proxy.totalSize, proxy.usageType);
-            this.useBuffer(proxy);
-            return true;
+            case ResourceType.PROGRAM:
+                if (typeof descriptor.vertexSource   !== 'string' ||
+                    typeof descriptor.fragmentSource !== 'string')
+                    return 'Program descriptor is missing shader source code.';
+                return null;
+            case ResourceType.TEXTURE:
+                if (!args || typeof args !== 'object')
+                    return 'Texture descriptor is missing args.';
+                if (!Array.isArray(args.levels) || args.levels.length === 0)
+                    return 'Texture descriptor args specify no levels.';
+                return null;
+            case ResourceType.BUFFER:
+                if (!args || typeof args !== 'object')
+                    return 'Buffer descriptor is missing args.';
+                return null;
+            default:
+                return 'Unknown resource kind ' + descriptor.kind + '.';
         }
-        return false;
-    };
+    }
 
-    /// Deletes the WebGL resources associated with a buffer. This function
-    /// can only be called on the main UI thread.
-    /// @param proxy The buffer proxy object as returned by the function
-    /// @a GLContext.createBufferProxy().
-    /// @return The GLContext.
-    GLContext.prototype.deleteBufferResource = function (proxy)
+    /// Creates the proxy and WebGL resources described by a resource
+    /// descriptor, and uploads any data it carries. Errors emitted while the
+    /// resource is created are captured in the result; on failure the proxy and
+    /// any WebGL resources already created for it are deleted. This function
+    /// can only be called from the main UI thread.
+    /// @param descriptor A descriptor returned by one of the functions
+    /// @a WebGL.describeProgram(), @a WebGL.describeTexture() or
+    /// @a WebGL.describeBuffer().
+    /// @return An object describing the outcome.
+    /// obj.tag: The tag of the descriptor.
+    /// obj.kind: The ResourceType of the descriptor.
+    /// obj.success: true if the resource was created.
+    /// obj.id: The id of the new proxy, or 0 on failure. The proxy can be
+    /// retrieved with @a GLContext.lookupResource() and the id may be used
+    /// when recording a CommandBuffer.
+    /// obj.error: A string describing the first error, or null.
+    GLContext.prototype.realizeResource = function (descriptor)
     {
-        if (proxy && proxy.webglContext  === this)
-        {
-            if (this.activeArrayBuffer   === proxy ||
-                this.activeElementBuffer === proxy)
-                this.unbindBuffer(proxy.bindTarget);
+        var result  = {
+            tag     : descriptor ? descriptor.tag  : 0,
+            kind    : descriptor ? descriptor.kind : null,
+            success : false,
+            id      : 0,
+            error   : checkDescriptor(descriptor)
+        };
+        if (result.error !== null)
+            return result;
 
-            var gl = proxy.webglContext.gl;
-            gl.deleteBuffer(proxy.bufferResource);
-            proxy.bufferResource = null;
-        }
-        return this;
-    };
+        var report  = function (message)
+            {
+                if (result.error === null)
+                    result.error = message;
+            };
+        var onShaderError     = function (context, stage, source, log)
+            {
+                report(log);
+            };
+        var onCapabilityError = function (context, name, message)
+            {
+                report(message);
+            };
+        this.on('compile:error',    onShaderError);
+        this.on('linker:error',     onShaderError);
+        this.on('capability:error', onCapabilityError);
 
-    /// Uploads data into an array buffer.
-    /// @param data The data to upload into the buffer. This may be either a
-    /// standard JavaScript array or a typed array.
-    /// @return The GLContext.
-    GLContext.prototype.uploadArrayBufferData = function (data)
-    {
-        if (!this.activeArrayBuffer)
-            return this;
-        var gl   = this.gl;
-        var buf  = this.activeArrayBuffer;
-        gl.bufferData(gl.ARRAY_BUFFER, data, buf.usageType);
-        return this;
+        var proxy   = null;
+        var release = null;
+        var discard = null;
+        var data    = descriptor.data;
+        try
+        {
+            switch (descriptor.kind)
+            {
+                case ResourceType.PROGRAM:
+                    proxy   = this.createProgramProxy();
+                    release = this.deleteProgramResource;
+                    discard = this.deleteProgramProxy;
+                    result.success = this.createProgramResource(proxy,
+                        descriptor.vertexSource, descriptor.fragmentSource,
+                        descriptor.options || undefined);
+                    break;
+                case ResourceType.TEXTURE:
+                    proxy   = this.createTextureProxy();
+                    release = this.deleteTextureResource;
+                    discard = this.deleteTextureProxy;
+                    result.success = this.createTextureResource(proxy, descriptor.args);
+                    if (result.success && data) this.uploadTexture(data);
+                    break;
+                case ResourceType.BUFFER:
+                    proxy   = this.createBufferProxy();
+                    release = this.deleteBufferResource;
+                    discard = this.deleteBufferProxy;
+                    result.success = this.createBufferResource(proxy, descriptor.args);
+                    if (result.success && data)
+                    {
+                        if (data instanceof ArrayBuffer) data = new Uint8Array(data);
+                        if (proxy.bindTarget === this.gl.ELEMENT_ARRAY_BUFFER)
+                            this.uploadIndexBufferData(data);
+                        else
+                            this.uploadArrayBufferData(data);
+                    }
+                    break;
+            }
+        }
+        catch (error)
+        {
+            // report the failure to the worker rather than dropping the reply.
+            result.success = false;
+            report(error.message);
+        }
+        finally
+        {
+            this.removeListener('capability:error', onCapabilityError);
+            this.removeListener('linker:error',     onShaderError);
+            this.removeListener('compile:error',    onShaderError);
+        }
+        if (result.success)
+        {
+            result.id = proxy.id;
+        }
+        else
+        {
+            if (proxy)
+            {
+                // the failure may follow creation of the WebGL resource.
+                release.call(this, proxy);
+                discard.call(this, proxy);
+            }
+            report('Failed to create ' + descriptor.kind + '.');
+        }
+        return result;
     };
 
-    /// Uploads data into an index buffer.
-    /// @param data The data to upload into the buffer. This may be either a
-    /// standard JavaScript array or a typed array.
-    /// @return The GLContext.
-    GLContext.prototype.uploadIndexBufferData = function (data)
+    /// Realizes a list of resource descriptors in order. See the function
+    /// @a GLContext.realizeResource().
+    /// @param descriptors An array of resource descriptors.
+    /// @return An array of result objects, one per descriptor.
+    GLContext.prototype.realizeResources = function (descriptors)
     {
-        if (!this.activeElementBuffer)
-            return this;
-        var gl   = this.gl;
-        var buf  = this.activeElementBuffer;
-        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, data, buf.usageType);
-        return this;
+        var results = new Array(descriptors.length);
+        for (var i  = 0, n = descriptors.length; i < n; ++i)
+            results[i] = this.realizeResource(descriptors[i]);
+        return results;
     };
 
-    /// Uploads data into a region of an array buffer.
-    /// @param byteOffset The byte offset in the array buffer.
-    /// @param data The data to upload into the buffer. This may be either a
-    /// standard JavaScript array or a typed array.
+    /// Listens for resource realization requests posted by a worker. When the
+    /// worker posts a message of the form { type: ResourceMessage.REALIZE,
+    /// descriptors: [...] } the descriptors are realized and the results are
+    /// posted back as { type: ResourceMessage.REALIZED, results: [...] }.
+    /// Other messages are ignored. A 'resource:realized' event is emitted with
+    /// the array of results. This function can only be called from the main
+    /// UI thread.
+    /// @param worker The Worker (or MessagePort) to listen to.
     /// @return The GLContext.
-    GLContext.prototype.uploadArrayBufferRegion = function (byteOffset, data)
+    GLContext.prototype.attachWorker = function (worker)
     {
-        if (!this.activeArrayBuffer)
-            return this;
-        var gl   = this.gl;
-        var buf  = this.activeArrayBuffer;
-        gl.bufferSubData(gl.ARRAY_BUFFER, byteOffset, data);
+        var self = this;
+        worker.addEventListener('message', function (e)
+            {
+                var msg = e.data;
+                if (msg && msg.type === ResourceMessage.REALIZE)
+                {
+                    var results = self.realizeResources(msg.descriptors || []);
+                    self.emit('resource:realized', self, results);
+                    worker.postMessage({
+                        type    : ResourceMessage.REALIZED,
+                        results : results
+                    });
+                }
+            });
         return this;
     };
 
-    /// Uploads data into a region of an index buffer.
-    /// @param byteOffset The byte offset in the index buffer.
-    /// @param data The data to upload into the buffer. This may be either a
-    /// standard JavaScript array or a typed array.
-    /// @return The GLContext.
-    GLContext.prototype.uploadIndexBufferRegion = function (byteOffset, data)
-    {
-        if (!this.activeElementBuffer)
-            return this;
-        var gl   = this.gl;
-        var buf  = this.activeElementBuffer;
-        gl.bufferSubData(gl.ELEMENT_ARRAY_BUFFER, byteOffset, data);
-        return this;
+    /// Lists, for each GLContext function whose arguments name WebGL enums as
+    /// strings, the fields of the argument object checked by the debug layer.
+    /// See installDebugLayer().
+    const DebugEnumFields = {
+        createBlendState      : [
+            'sourceFactorRGB',
+            'sourceFactorAlpha',
+            'targetFactorRGB',
+            'targetFactorAlpha',
+            'functionRGB',
+            'functionAlpha'
+        ],
+        createTextureResource : [
+            'target',
+            'format',
+            'dataType',
+            'wrapS',
+            'wrapT',
+            'magFilter',
+            'minFilter'
+        ]
     };
 
-    /// Sets the array buffer data sources for each vertex attribute for the
-    /// active program object.
-    /// @param attributes An array of vertex attribute descriptors. See the
-    /// function @a GLContext.createAttribute().
-    /// @param buffers An array of buffer resource proxies specifying the data
-    /// sources for each vertex attribute. Items in this array have a one-to-one
-    /// correspondence with @a attributes, such that attributes[i] is sourced
-    /// from buffers[i].
-    /// @return The GLContext.
-    GLContext.prototype.enableAttributes = function (attributes, buffers)
+    /// Finds the name of a WebGL enum value. The table of names is built from
+    /// the constants of the rendering context the first time it is needed.
+    /// @param context The GLContext.
+    /// @param value The enum value, for example, 0x0502.
+    /// @return The name of the constant, for example, 'INVALID_OPERATION', or
+    /// the value in hexadecimal if no constant has the value.
+    function enumName(context, value)
     {
-        if (!this.activeProgram)
-            return this;
-
-        var gl      = this.gl;
-        var shader  = this.activeProgram;
-        var indices = shader.attributeIndices;
-        for (var i  = 0, n = attributes.length; i < n; ++i)
+        var names = context.debugEnumNames;
+        if (!names)
         {
-            var ar  = attributes[i];
-            var ab  = buffers[i];
-            var ai  = indices[ar.name];
-            gl.enableVertexAttribArray(ai);
-            gl.vertexAttribPointer(
-                ai,
-                ar.dimension,
-                ar.dataType,
-                ar.normalize,
-                ab.elementSize,
-                ar.byteOffset);
+            names = context.debugEnumNames = {};
+            for (var key in context.gl)
+            {
+                var v = context.gl[key];
+                if (typeof v === 'number' && /^[A-Z][A-Z0-9_]*$/.test(key) && names[v] === undefined)
+                    names[v] = key;
+            }
         }
-        return this;
-    };
+        return names[value] || '0x'+value.toString(16).toUpperCase();
+    }
 
-    /// Sets a constant vertex attribute value for the active program object.
-    /// @param name The name of the attribute. This should match the name of
-    /// the attribute in the currently bound vertex shader.
-    /// @param value The constant attribute value. For vector attribute types
-    /// this is either a JavaScript Number array or Float32Array instance. For
-    /// scalar attribute types, this is a single JavaScript Number value.
-    /// @return The GLContext.
-    GLContext.prototype.setConstantAttribute = function (name, value)
+    /// Emits a 'debug:error' event describing a problem detected by the debug
+    /// layer. The stack trace is captured at the point of the call.
+    /// @param context The GLContext.
+    /// @param call The name of the GLContext function being called.
+    /// @param args An array of the arguments passed to the function.
+    /// @param code The WebGL error code returned by getError(), or zero for a
+    /// problem detected by argument validation.
+    /// @param message A string describing the problem.
+    function debugError(context, call, args, code, message)
     {
-        if (!this.activeProgram)
-            return this;
+        context.emit('debug:error', context, {
+            call    : call,
+            args    : args,
+            code    : code,
+            error   : code ? enumName(context, code) : null,
+            message : message,
+            stack   : new Error(message).stack || ''
+        });
+    }
 
-        var gl     = this.gl;
-        var glsl   = TypeNames;
-        var shader = this.activeProgram;
-        var index  = shader.attributeIndices[name];
-        var type   = shader.attributeTypes[name];
-        switch (type)
+    /// Determines whether a value is a power of two.
+    /// @param value The integer value to test.
+    /// @return true if @a value is a power of two.
+    function isPowerOfTwo(value)
+    {
+        return value > 0 && (value & (value - 1)) === 0;
+    }
+
+    /// Validates the arguments of a call to a GLContext function before the
+    /// call is made. Problems are reported with debugError(); the call is
+    /// still made, so behavior is the same as without the debug layer.
+    /// @param context The GLContext.
+    /// @param call The name of the function being called.
+    /// @param args An array of the arguments passed to the function.
+    function validateCall(context, call, args)
+    {
+        var gl     = context.gl;
+        var fields = DebugEnumFields[call];
+        var object = call === 'createTextureResource' ? args[1] : args[0];
+        if (fields && object)
         {
-            case glsl.VEC4:
-                gl.vertexAttrib4fv(index, value);
+            for (var i = 0, n = fields.length; i < n; ++i)
+            {
+                var value = object[fields[i]];
+                if (value === undefined || value === 'HALF_FLOAT_OES' ||
+                    value === 'UNSIGNED_INT_24_8_WEBGL')
+                    continue;
+                if (typeof value !== 'string' || typeof gl[value] !== 'number')
+                    debugError(context, call, args, 0, 'Unknown value \''+value+'\' for '+fields[i]+'.');
+            }
+        }
+        switch (call)
+        {
+            case 'createTextureResource':
+                var level0 = object && object.levels ? object.levels[0] : null;
+                if (level0 && context.capabilities.version < 2 &&
+                   (!isPowerOfTwo(level0.width) || !isPowerOfTwo(level0.height)))
+                {
+                    var size = level0.width+'x'+level0.height;
+                    if (object.wrapS !== 'CLAMP_TO_EDGE' || object.wrapT !== 'CLAMP_TO_EDGE')
+                        debugError(context, call, args, 0, 'Non-power-of-two texture '+size+' must use CLAMP_TO_EDGE wrapping.');
+                    if (object.hasMipmaps || /MIPMAP/.test(object.minFilter))
+                        debugError(context, call, args, 0, 'Non-power-of-two texture '+size+' cannot have mipmaps.');
+                }
                 break;
-            case glsl.VEC3:
-                gl.vertexAttrib3fv(index, value);
+            case 'drawPrimitives':
+            case 'drawPrimitivesInstanced':
+                var vertices = context.activeArrayBuffer;
+                var last     = (call === 'drawPrimitives' ? args[1] : args[2]) || 0;
+                last        += args[0];
+                if (vertices && !context.activeVertexArray && last > vertices.elementCount)
+                    debugError(context, call, args, 0, 'Drawing '+last+' vertices from a buffer of '+vertices.elementCount+'.');
                 break;
-            case glsl.VEC2:
-                gl.vertexAttrib2fv(index, value);
+            case 'drawIndexed':
+            case 'drawIndexedInstanced':
+                var indices  = context.activeElementBuffer;
+                var end      = (call === 'drawIndexed' ? args[1] : args[2]) || 0;
+                end         += args[0];
+                if (indices && end > indices.elementCount)
+                    debugError(context, call, args, 0, 'Drawing '+end+' indices from a buffer of '+indices.elementCount+'.');
                 break;
-            case glsl.FLOAT:
-                gl.vertexAttrib1f(index, value);
+            case 'setUniform':
+                var program  = context.activeProgram;
+                var name     = args[0];
+                if (program && program.uniformLocations[name] === undefined)
+                {
+                    // struct uniforms are set through their members.
+                    var member = false;
+                    for (var key in program.uniformLocations)
+                    {
+                        if (key.indexOf(name+'.') === 0 || key.indexOf(name+'[') === 0)
+                        {
+                            member = true;
+                            break;
+                        }
+                    }
+                    if (!member)
+                        debugError(context, call, args, 0, 'Uniform \''+name+'\' is not active in the current program.');
+                }
                 break;
         }
-        gl.disableVertexAttribArray(index); // use the constant attribute value
-        return this;
     }
 
-    /// Submits a batch of (non-indexed) triangles to be rendered.
-    /// @param count The number of vertices to read. The number of triangles
-    /// submitted in the batch is @a count / 3.
-    /// @param startIndex The zero-based index of the first vertex to read.
-    /// @return The GLContext.
-    GLContext.prototype.drawPrimitives = function (count, startIndex)
-    {
-        startIndex  = startIndex || 0;
-        var gl      = this.gl;
-        gl.drawArrays(gl.TRIANGLES, startIndex, count);
-        return this;
-    };
-
-    /// Submits a batch of indexed triangles to be rendered.
-    /// @param count The number of indices to read. The number of triangles
-    /// submitted in the batch is @a count / 3.
-    /// @param startIndex The zero-based index of the first vertex index.
-    /// @return The GLContext.
-    GLContext.prototype.drawIndexed = function (count, startIndex)
+    /// Installs the debug layer on a GLContext. Every GLContext function is
+    /// replaced on the instance with a wrapper that validates the arguments,
+    /// calls the original function, and then reports any errors returned by
+    /// gl.getError(). Only calls made by the application are checked; calls
+    /// that GLContext functions make to each other are attributed to the
+    /// outermost call. Each problem is emitted as a 'debug:error' event with
+    /// the GLContext and an object describing the problem:
+    /// obj.call The name of the GLContext function that was called.
+    /// obj.args An array of the arguments passed to the function.
+    /// obj.code The WebGL error code, or zero for a validation problem.
+    /// obj.error The name of the WebGL error code, or null.
+    /// obj.message A string describing the problem.
+    /// obj.stack The stack trace at the point the problem was detected.
+    /// The debug layer calls gl.getError() after every call, which stalls the
+    /// GPU pipeline, so it should not be enabled in production.
+    /// @param context The GLContext to instrument.
+    /// @return A reference to @a context.
+    function installDebugLayer(context)
     {
-        if (!this.activeElementBuffer)
-            return this;
+        var depth  = 0;
+        var skip   = ['handleContextLost', 'handleContextRestored', 'capabilityError'];
+        var wrap   = function (name, func)
+            {
+                return function ()
+                {
+                    if (depth > 0)
+                        return func.apply(this, arguments);
 
-        var type;
-        var gl      = this.gl;
-        var indices = this.activeElementBuffer;
-        startIndex  = startIndex || 0;
-        var offset  = startIndex  * indices.elementSize;
-        switch (indices.elementSize)
+                    var gl   = this.gl;
+                    var args = Array.prototype.slice.call(arguments);
+                    var result;
+                    validateCall(this, name, args);
+                    depth++;
+                    try
+                    {
+                        result = func.apply(this, arguments);
+                    }
+                    finally
+                    {
+                        depth--;
+                    }
+                    // report each distinct error; the limit guards against
+                    // implementations that never return NO_ERROR.
+                    for (var i = 0, code = gl.getError(); code !== gl.NO_ERROR && i < 16; ++i)
+                    {
+                        if (code !== gl.CONTEXT_LOST_WEBGL)
+                            debugError(this, name, args, code, enumName(this, code)+' raised by '+name+'().');
+                        code = gl.getError();
+                    }
+                    return result;
+                };
+            };
+        context.debugEnumNames = null;
+        for (var name in GLContext.prototype)
         {
-            case 1:  type = gl.UNSIGNED_BYTE;   break;
-            case 2:  type = gl.UNSIGNED_SHORT;  break;
-            case 4:  type = gl.UNSIGNED_INT;    break;
-            default: return this;
+            var func = GLContext.prototype[name];
+            if (typeof func !== 'function' || skip.indexOf(name) >= 0 ||
+                Emitter.prototype[name] === func)
+                continue;
+            context[name] = wrap(name, func);
         }
-        gl.drawElements(gl.TRIANGLES, count, type, offset);
-        return this;
-    };
+        // discard any errors raised before the layer was installed.
+        for (var i = 0; i < 16 && context.gl.getError() !== context.gl.NO_ERROR; ++i)
+            continue;
+        return context;
+    }
 
     /// Performs a test to determine whether the current runtime environment
     /// supports WebGL; however, just because the runtime environment supports
     /// WebGL does not guarantee that context creation will be successful.
+    /// Outside of a browser (for example, under Node.js) this returns false;
+    /// a mock context can still be passed to createContext().
     /// @return true if the runtime environment supports WebGL.
     function isSupported()
     {
+        if (typeof window === 'undefined')
+            return false;
         return (window.WebGLRenderingContext ? true : false);
     }
 
-    /// Attempts to create a new WebGL rendering context.
-    /// @param canvas The DOM Canvas element to which WebGL will render.
+    /// Attempts to create a new WebGL rendering context. A WebGL 2 context is
+    /// created if possible, falling back to WebGL 1; the version of the new
+    /// context is available as GLContext.capabilities.version.
+    /// @param canvas The DOM Canvas element to which WebGL will render. This
+    /// may instead be an existing rendering context, such as one created by
+    /// WebGLMock.createContext(), in which case its canvas field is used.
     /// @param attributes A WebGLContextAttributes object. See
     /// https://www.khronos.org/registry/webgl/specs/1.0/#5.2
+    /// @param options An optional object specifying GLContext options:
+    /// options.debug: Specify true to install the debug layer, which validates
+    /// arguments and checks for WebGL errors after every GLContext call, and
+    /// reports problems through the 'debug:error' event. The default is false.
     /// @return A new instance of GLContext, or undefined if WebGL is not
     /// supported or the context cannot be created (blacklisted driver, etc.)
-    function createContext(canvas, attributes)
+    function createContext(canvas, attributes, options)
     {
+        var op    = options || {};
         var gl    = null;
         var names = [
+            'webgl2',
             'webgl',
             'experimental-webgl',
             'webkit-3d',
             'moz-webgl'
         ];
 
+        if (canvas && typeof canvas.getContext !== 'function' && canvas.canvas)
+        {
+            // a rendering context was supplied by the caller.
+            gl     = canvas;
+            canvas = canvas.canvas;
+            names  = [];
+        }
+
         // attempt to create the WebGLRenderingContext:
         // https://www.khronos.org/registry/webgl/specs/1.0/#5.13
         // different browsers use different names, so try them all.
         // eventually, we should only have to support 'webgl'.
-        for (var i = 0, n = names.length; i < n; ++i)
+        for (var i = 0, n = names.length; i < n && !gl; ++i)
         {
             try
             {
@@ -1829,7 +6360,11 @@ var WebGL = (function (exports)
             {
                 // don't do anything here, we'll try the next name.
             }
-            if (gl) return new GLContext(gl, canvas);
+        }
+        if (gl)
+        {
+            var context = new GLContext(gl, canvas);
+            return op.debug ? installDebugLayer(context) : context;
         }
     }
 
@@ -1845,6 +6380,10 @@ var WebGL = (function (exports)
     /// @param normalize A boolean value indicating whether the hardware should
     /// convert non-floating point data into the range [0, 1] before use. The
     /// default value is false.
+    /// @param divisor The number of instances drawn with each value of the
+    /// attribute when using instanced drawing, or zero to advance the
+    /// attribute once per vertex. The default value is zero. Non-zero values
+    /// require @a GLContext.capabilities.instancing.
     /// @return An object describing the vertex attribute.
     /// obj.name The name of the attribute.
     /// obj.dataType The WebGL data type of the attribute.
@@ -1852,14 +6391,16 @@ var WebGL = (function (exports)
     /// obj.dimension The number of values that make up the attribute.
     /// obj.normalize A boolean value indicating whether the hardware will
     /// convert non-floating point data into the range [0, 1] before use.
-    function createAttribute(name, type, offset, dimension, normalize)
+    /// obj.divisor The instance divisor of the attribute.
+    function createAttribute(name, type, offset, dimension, normalize, divisor)
     {
         return {
             name       : name      || '',
             dataType   : DataType[(type || 'FLOAT')],
             byteOffset : offset    || 0,
             dimension  : dimension || 4,
-            normalize  : normalize || false
+            normalize  : normalize || false,
+            divisor    : divisor   || 0
         };
     }
 
@@ -1885,6 +6426,7 @@ var WebGL = (function (exports)
                 return 1 * attribute.dimension;
             case Types.SHORT:
             case Types.UNSIGNED_SHORT:
+            case Types.HALF_FLOAT:
                 return 2 * attribute.dimension;
             default:
                 break;
@@ -2058,15 +6600,36 @@ var WebGL = (function (exports)
     }
 
     /// Set the functions exported from this module.
-    exports.Emitter              = Emitter;
-    exports.inherits             = inherits;
-    exports.isSupported          = isSupported;
-    exports.createContext        = createContext;
-    exports.createAttribute      = createAttribute;
-    exports.computeAttributeSize = computeAttributeSize;
-    exports.computeBufferStride  = computeBufferStride;
-    exports.createBufferViews    = createBufferViews;
-    exports.resetBufferViews     = resetBufferViews;
-    exports.interleaveArrays     = interleaveArrays;
+    exports.Emitter                   = Emitter;
+    exports.ResourceType              = ResourceType;
+    exports.ResourceMessage           = ResourceMessage;
+    exports.CommandOp                 = CommandOp;
+    exports.CommandBuffer             = CommandBuffer;
+    exports.BuildStage                = BuildStage;
+    exports.DiagnosticSeverity        = DiagnosticSeverity;
+    exports.preprocessShader          = preprocessShader;
+    exports.formatDiagnostics         = formatDiagnostics;
+    exports.formatResources           = formatResources;
+    exports.describeProgram           = describeProgram;
+    exports.describeTexture           = describeTexture;
+    exports.describeBuffer            = describeBuffer;
+    exports.descriptorTransferList    = descriptorTransferList;
+    exports.inherits                  = inherits;
+    exports.isSupported               = isSupported;
+    exports.createContext             = createContext;
+    exports.createAttribute           = createAttribute;
+    exports.computeAttributeSize      = computeAttributeSize;
+    exports.computePrimitiveCount     = computePrimitiveCount;
+    exports.computeVertexCount        = computeVertexCount;
+    exports.computeBufferStride       = computeBufferStride;
+    exports.computeUniformBlockLayout = computeUniformBlockLayout;
+    exports.createBufferViews         = createBufferViews;
+    exports.resetBufferViews          = resetBufferViews;
+    exports.interleaveArrays          = interleaveArrays;
     return exports;
 }  (WebGL || {}));
+
+if (typeof module !== 'undefined' && module.exports)
+{
+    module.exports = WebGL;
+}
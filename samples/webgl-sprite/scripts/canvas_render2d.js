@@ -0,0 +1,335 @@
+/*/////////////////////////////////////////////////////////////////////////////
+/// @summary Implements a 2d rendering system with a Canvas 2D back end. The
+/// interface mirrors webgl_render2d.js, and batches are stored in the same
+/// WebGLRenderer.QuadBatch type, so applications can select a back end at
+/// startup without changing the code that submits quads.
+/// @author Russell Klenk (russ@ninjabirdstudios.com)
+///////////////////////////////////////////////////////////////////////////80*/
+var CanvasRenderer = (function (exports)
+{
+    /// The maximum number of tinted images kept by a QuadEffect before the
+    /// cache is discarded and rebuilt.
+    const MAX_TINT_CACHE_SIZE = 1024;
+
+    /// Creates an offscreen canvas element used to generate tinted images.
+    /// @param width The width of the canvas, in pixels.
+    /// @param height The height of the canvas, in pixels.
+    /// @return A new HTMLCanvasElement.
+    function createScratchCanvas(width, height)
+    {
+        var canvas    = document.createElement('canvas');
+        canvas.width  = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /// Converts a packed 0xRRGGBB color value into a CSS color string.
+    /// @param rgb The color value, with the red channel in the high byte.
+    /// @return A string of the form '#RRGGBB'.
+    function cssColor(rgb)
+    {
+        var hex = (rgb & 0xFFFFFF).toString(16);
+        while (hex.length < 6) hex = '0' + hex;
+        return '#' + hex;
+    }
+
+    /// Constructor function for a type representing a unique render method for
+    /// batches of screen space quads. Each quad is drawn with a single call to
+    /// drawImage, with the quad position, orientation and origin expressed as
+    /// a canvas transform.
+    /// @param context The CanvasRenderingContext2D used for rendering.
+    var QuadEffect = function (context)
+    {
+        if (!(this instanceof QuadEffect))
+        {
+            return new QuadEffect(context);
+        }
+        this.context            = context;
+        this.projection         = new Float32Array(6);
+        this.currentState       = null; // current per-quad state, opaque to us
+        this.currentImage       = null; // image source for the current state
+        this.blendState         = null; // references a blend state object.
+        this.blendStateNone     = null; // globalCompositeOperation presets,
+        this.blendStateAlpha    = null; // mirroring the blend states of
+        this.blendStateAdditive = null; // WebGLRenderer.QuadEffect
+        this.tintCache          = [];   // [{ image, tints }] for each image
+        this.tintCacheSize      = 0;    // number of cached tinted images
+        return this;
+    };
+
+    /// Creates the blend state presets used by the render method. The other
+    /// arguments accepted by WebGLRenderer.QuadEffect are ignored, as the
+    /// canvas does not use shaders or vertex buffers.
+    /// @return The QuadEffect.
+    QuadEffect.prototype.createResources = function ()
+    {
+        // canvas always blends, so 'none' is standard alpha blending;
+        // it matches the WebGL result for opaque images and tints.
+        this.blendStateNone     = {
+            compositeOperation  : 'source-over'
+        };
+        this.blendStateAlpha    = {
+            compositeOperation  : 'source-over'
+        };
+        this.blendStateAdditive = {
+            compositeOperation  : 'lighter'
+        };
+        this.blendState         = this.blendStateNone;
+        return this;
+    };
+
+    /// Discards the tinted images generated by the render method.
+    /// @return The QuadEffect.
+    QuadEffect.prototype.deleteResources = function ()
+    {
+        this.tintCache     = [];
+        this.tintCacheSize = 0;
+        this.currentState  = null;
+        this.currentImage  = null;
+        return this;
+    };
+
+    /// Constructs the transform used for rendering in screen space pixel
+    /// coordinates. Canvas coordinates are already specified in pixels, so
+    /// this is the identity transform.
+    /// @param width The viewport width, in pixels.
+    /// @param height The viewport height, in pixels.
+    /// @return A 6-element Float32Array [a, b, c, d, e, f] in the form used
+    /// by CanvasRenderingContext2D.setTransform().
+    QuadEffect.prototype.applyViewport = function (width, height)
+    {
+        var dst6 = this.projection;
+        dst6[0]  = 1.0; dst6[1] = 0.0;
+        dst6[2]  = 0.0; dst6[3] = 1.0;
+        dst6[4]  = 0.0; dst6[5] = 0.0;
+        return dst6;
+    };
+
+    /// Performs any one-time setup for the render method prior to submitting
+    /// draw calls. Per-quad state changes should be handled elsewhere.
+    /// @param setupProgram A function with the signature:
+    /// function (effect, CanvasRenderingContext2D, null, float32Transform)
+    /// This function should perform any custom setup for the effect.
+    /// @return The QuadEffect.
+    QuadEffect.prototype.makeCurrent = function (setupProgram)
+    {
+        var ctx = this.context;
+        ctx.globalCompositeOperation = this.blendState.compositeOperation;
+        ctx.globalAlpha              = 1.0;
+        if (setupProgram) setupProgram(this, ctx, null, this.projection);
+        this.currentState = null;
+        this.currentImage = null;
+        return this;
+    };
+
+    /// Specifies the image drawn for subsequent quads. This is typically
+    /// called from the applyState callback passed to drawBatch().
+    /// @param image An HTMLImageElement, HTMLCanvasElement, HTMLVideoElement
+    /// or ImageBitmap, or null to skip drawing.
+    /// @return The QuadEffect.
+    QuadEffect.prototype.useImage = function (image)
+    {
+        this.currentImage = image;
+        return this;
+    };
+
+    /// Retrieves a copy of a region of an image multiplied by a tint color,
+    /// generating and caching it if necessary. The alpha channel of the
+    /// image is preserved; the tint alpha is applied with globalAlpha.
+    /// @param image The source image.
+    /// @param sx The x-coordinate of the region on the source image.
+    /// @param sy The y-coordinate of the region on the source image.
+    /// @param sw The width of the region, in pixels.
+    /// @param sh The height of the region, in pixels.
+    /// @param rgb The tint color, 0xRRGGBB.
+    /// @return An HTMLCanvasElement of size @a sw x @a sh.
+    QuadEffect.prototype.tintImage = function (image, sx, sy, sw, sh, rgb)
+    {
+        var cache = this.tintCache;
+        var entry = null;
+        for (var i = 0, n = cache.length; i < n; ++i)
+        {
+            if (cache[i].image === image)
+            {
+                entry = cache[i];
+                break;
+            }
+        }
+        if (entry === null)
+        {
+            entry = { image : image, tints : {} };
+            cache.push(entry);
+        }
+
+        var key    = sx+','+sy+','+sw+','+sh+','+rgb;
+        var tinted = entry.tints[key];
+        if (tinted)
+            return tinted;
+
+        if (this.tintCacheSize >= MAX_TINT_CACHE_SIZE)
+        {
+            // the tints in use have changed; start over.
+            this.tintCache     = [entry];
+            this.tintCacheSize = 0;
+            entry.tints        = {};
+        }
+        tinted  = createScratchCanvas(sw, sh);
+        var tc  = tinted.getContext('2d');
+        tc.drawImage(image, sx, sy, sw, sh, 0, 0, sw, sh);
+        tc.globalCompositeOperation = 'multiply';
+        tc.fillStyle                = cssColor(rgb);
+        tc.fillRect(0, 0, sw, sh);
+        // multiply also fills transparent pixels; restore the image alpha.
+        tc.globalCompositeOperation = 'destination-in';
+        tc.drawImage(image, sx, sy, sw, sh, 0, 0, sw, sh);
+        entry.tints[key] = tinted;
+        this.tintCacheSize++;
+        return tinted;
+    };
+
+    /// Renders a portion of a quad batch. State changes within the batch are
+    /// applied as necessary.
+    /// @param batch The @a WebGLRenderer.QuadBatch being rendered.
+    /// @param offset The zero-based index of the first quad in the batch.
+    /// @param count The number of quads to render.
+    /// @param applyState A function with signature:
+    /// function (effect, context, null, state)
+    /// Called to apply per-quad state; it should call effect.useImage(). If
+    /// omitted, the per-quad state is used as the image.
+    /// @return The QuadEffect.
+    QuadEffect.prototype.drawRegion = function (batch, offset, count, applyState)
+    {
+        var ctx     = this.context;
+        var view    = this.projection;
+        var order   = batch.order;
+        var state   = batch.state;
+        var srcRect = batch.sourceRects;
+        var dstRect = batch.targetRects;
+        var origin  = batch.originPoint;
+        var color   = batch.tintColor;
+        var angle   = batch.orientation;
+        var state0  = this.currentState;
+        var state1  = this.currentState;
+        var ai1, ai2, ai4;                // quad attribute indices
+        var sx, sy, sw, sh;               // source rectangle
+        var dx, dy, dw, dh;               // destination rectangle
+        var xc, yc;                       // normalized origin point
+        var st, ct;                       // sin and cos of orientation
+        var c,  rgb, image;
+        for (var i = offset, n = offset + count; i < n; ++i)
+        {
+            ai1    = order[i];
+            ai2    = ai1 << 1;
+            ai4    = ai1 << 2;
+            state1 = state[ai1];
+            if (state1 !== state0)
+            {
+                if (applyState) applyState(this, ctx, null, state1);
+                else this.currentImage = state1;
+                state0 = state1;
+            }
+            image  = this.currentImage;
+            c      = color[ai1];
+            if (!image || (c & 0xFF) === 0)
+                continue; // nothing to draw, or fully transparent.
+
+            sx  = srcRect[ai4+0];
+            sy  = srcRect[ai4+1];
+            sw  = srcRect[ai4+2];
+            sh  = srcRect[ai4+3];
+            dx  = dstRect[ai4+0];
+            dy  = dstRect[ai4+1];
+            dw  = dstRect[ai4+2];
+            dh  = dstRect[ai4+3];
+            xc  = origin[ai2+0] / sw;
+            yc  = origin[ai2+1] / sh;
+            st  = Math.sin(angle[ai1]);
+            ct  = Math.cos(angle[ai1]);
+            rgb = c >>> 8;
+
+            // rotate about the origin point, then move it to (dx, dy),
+            // matching the corner positions generated by QuadVertex.ptcg.
+            ctx.setTransform(view[0], view[1], view[2], view[3], view[4], view[5]);
+            ctx.transform(ct, st, -st, ct, dx, dy);
+            ctx.globalAlpha = (c & 0xFF) / 255.0;
+            if (rgb === 0xFFFFFF)
+            {
+                ctx.drawImage(image, sx, sy, sw, sh, -xc * dw, -yc * dh, dw, dh);
+            }
+            else
+            {
+                var tinted = this.tintImage(image, sx, sy, sw, sh, rgb);
+                ctx.drawImage(tinted, 0, 0, sw, sh, -xc * dw, -yc * dh, dw, dh);
+            }
+        }
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha   = 1.0;
+        this.currentState = state1;
+        return this;
+    };
+
+    /// Submits an entire batch of quads for rendering. Quads are drawn in the
+    /// order stored in batch.order, so sort the batch by depth first (see
+    /// WebGLRenderer.QuadBatch.backToFront) to honor the layer depth.
+    /// @param batch The @a WebGLRenderer.QuadBatch to render.
+    /// @param generateVertices Ignored; accepted so that calls written for
+    /// WebGLRenderer.QuadEffect.drawBatch() work unchanged.
+    /// @param applyState A function with signature:
+    /// function (effect, context, null, state)
+    /// See @a QuadEffect.drawRegion().
+    /// @return The QuadEffect.
+    QuadEffect.prototype.drawBatch = function (batch, generateVertices, applyState)
+    {
+        return this.drawRegion(batch, 0, batch.quadCount, applyState);
+    };
+
+    /// Constructor function for the Renderer2d type. The renderer translates
+    /// batches of quads into drawing operations on a 2D canvas context.
+    /// @param context The CanvasRenderingContext2D used for rendering.
+    /// @return The Renderer2d instance.
+    var Renderer2d = function (context)
+    {
+        if (!(this instanceof Renderer2d))
+        {
+            return new Renderer2d(context);
+        }
+        this.context = context;
+        return this;
+    };
+
+    /// Creates a new QuadEffect instance that can be used for rendering
+    /// batches of quads.
+    /// @return The new @a QuadEffect instance.
+    Renderer2d.prototype.createQuadEffect = function ()
+    {
+        return new QuadEffect(this.context);
+    };
+
+    /// Creates a new renderer instance for a canvas element.
+    /// @param canvas The DOM Canvas element to which the renderer will draw.
+    /// @return The new @a Renderer2d instance, or undefined if the 2D context
+    /// cannot be created.
+    function createRenderer(canvas)
+    {
+        var context = canvas.getContext('2d');
+        if (context) return new Renderer2d(context);
+    }
+
+    /// Creates a new quad batch instance with the specified capacity. Batches
+    /// are shared with the WebGL back end; see the function
+    /// @a WebGLRenderer.createQuadBatch().
+    /// @param capacity The maximum number of quads that can be specified in
+    /// the batch.
+    /// @return The new @a WebGLRenderer.QuadBatch instance.
+    function createQuadBatch(capacity)
+    {
+        return new WebGLRenderer.QuadBatch(capacity);
+    }
+
+    /// Set the functions exported from this module.
+    exports.QuadEffect      = QuadEffect;
+    exports.Renderer2d      = Renderer2d;
+    exports.createRenderer  = createRenderer;
+    exports.createQuadBatch = createQuadBatch;
+    return exports;
+}  (CanvasRenderer || {}));
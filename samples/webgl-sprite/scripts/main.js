@@ -1,6 +1,7 @@
 /*/////////////////////////////////////////////////////////////////////////////
 /// @summary Implements the entry point of a real-time JavaScript application.
-/// This sample uses webgl.js to render sprites in screen-space.
+/// This sample uses webgl.js to render sprites in screen-space, falling back
+/// to canvas_render2d.js if WebGL is not available.
 /// @author Russell Klenk (russ@ninjabirdstudios.com)
 ///////////////////////////////////////////////////////////////////////////80*/
 /// An object storing the global application state.
@@ -26,17 +27,18 @@ var State                     = {
     domImage                  : null,
     /// The global application real-time clock state.
     clock                     : null,
-    /// The WebGL rendering context.
+    /// The WebGL rendering context, or null if the canvas back end is used.
     webglContext              : null,
-    /// The WebGLRenderer.Renderer2d instance.
+    /// The WebGLRenderer.Renderer2d or CanvasRenderer.Renderer2d instance.
     renderer                  : null,
-    /// The WebGLRenderer.QuadBatch instance.
+    /// The WebGLRenderer.QuadBatch instance, used by both back ends.
     batch                     : null,
-    /// The WebGLRenderer.QuadEffect instance.
+    /// The WebGLRenderer.QuadEffect or CanvasRenderer.QuadEffect instance.
     effect                    : null,
     /// The WebGL viewport descriptor.
     viewport                  : null,
-    /// The WebGL texture object proxy for our loaded texture.
+    /// The WebGL texture object proxy for our loaded texture. With the canvas
+    /// back end, this is the loaded image element.
     texture                   : null
 };
 
@@ -295,16 +297,12 @@ function loadScriptFromDOM(element_id)
     return scriptSource;
 }
 
-/// Creates any GPU resources depending on having a valid WebGL context. This
+/// Applies the render state that is not tracked by the GLContext. This
 /// function is called at init time, and whenever the WebGL context is restored.
-function createGraphicsResources()
+function applyGraphicsState()
 {
     var dom = State.domElement;
     var gl  = State.webglContext;
-    var gr  = State.renderer;
-    var vss = loadScriptFromDOM('vert'); // @note: shouldn't reload each time
-    var fss = loadScriptFromDOM('frag'); // @note: shouldn't reload each time
-    var url = 'https://lh3.googleusercontent.com/-nGV4Ts7a3ZE/UK0h-yHOyyI/AAAAAAAAAOM/VPpste26ceQ/s912/2012_11_21_19_47.jpg';
 
     State.webglContext.gl.clearColor(0.0, 0.0, 0.0, 1.0);
     State.webglContext.gl.clearDepth(0.0);
@@ -318,6 +316,20 @@ function createGraphicsResources()
     State.viewport.near   = 1.0;
     State.viewport.far    = 1000.0;
     gl.applyViewport(State.viewport);
+}
+
+/// Creates any GPU resources depending on having a valid WebGL context. This
+/// function is called once at init time; the GLContext re-creates the GPU
+/// resources automatically whenever the WebGL context is restored.
+function createGraphicsResources()
+{
+    var dom = State.domElement;
+    var gl  = State.webglContext;
+    var vss = loadScriptFromDOM('vert');
+    var fss = loadScriptFromDOM('frag');
+    var url = 'https://lh3.googleusercontent.com/-nGV4Ts7a3ZE/UK0h-yHOyyI/AAAAAAAAAOM/VPpste26ceQ/s912/2012_11_21_19_47.jpg';
+
+    applyGraphicsState();
 
     // setup the effect used to render the QuadBatch.
     // PTCG means vertices have position, texture, color and generic attributes.
@@ -373,7 +385,7 @@ function webGL_ContextLost(context)
 function webGL_ContextRestored(context)
 {
     console.log('Rendering context was restored.');
-    createGraphicsResources();
+    applyGraphicsState();
 }
 
 /// Callback invoked when the GLContext encounters an error compiling vertex or
@@ -383,11 +395,12 @@ function webGL_ContextRestored(context)
 /// error occurred while compiling the vertex shader or the fragment shader.
 /// @param sourceCode The shader source code being compiled.
 /// @param log The error log generated by the compiler.
-function webGL_CompileError(context, stage, sourceCode, log)
+/// @param lineMap The line map produced by @a WebGL.preprocessShader().
+/// @param diagnostics The errors parsed from @a log, with source excerpts.
+function webGL_CompileError(context, stage, sourceCode, log, lineMap, diagnostics)
 {
     console.log('Error compiling shader program:');
-    console.log('Message: '+log);
-    console.log('Source:  '+sourceCode);
+    console.log(WebGL.formatDiagnostics(diagnostics));
 }
 
 /// Callback invoked when the GLContext encounters an error linking a vertex
@@ -396,11 +409,33 @@ function webGL_CompileError(context, stage, sourceCode, log)
 /// @param stage This value is always @a WebGL.BuildStage.LINK_PROGRAM.
 /// @param sourceCode The concatenated vertex and fragment shader source code.
 /// @param log The error log generated by the compiler.
-function webGL_LinkerError(context, stage, sourceCode, log)
+/// @param lineMap This value is always null.
+/// @param diagnostics The errors parsed from @a log.
+function webGL_LinkerError(context, stage, sourceCode, log, lineMap, diagnostics)
 {
     console.log('Error linking shader program:');
-    console.log('Message: '+log);
-    console.log('Source:  '+sourceCode);
+    console.log(WebGL.formatDiagnostics(diagnostics));
+}
+
+/// Initializes the canvas back end. This is used when a WebGL context cannot
+/// be created; quads are submitted to the same QuadBatch either way.
+/// @param dom The DOM Canvas element.
+function initCanvas(dom)
+{
+    var url               = 'https://lh3.googleusercontent.com/-nGV4Ts7a3ZE/UK0h-yHOyyI/AAAAAAAAAOM/VPpste26ceQ/s912/2012_11_21_19_47.jpg';
+    State.webglContext    = null;
+    State.renderer        = CanvasRenderer.createRenderer(dom);
+    State.batch           = CanvasRenderer.createQuadBatch(4096);
+    State.effect          = State.renderer.createQuadEffect();
+    State.effect.applyViewport(dom.width, dom.height);
+    State.effect.createResources();
+    State.domImage        = new Image();
+    State.domImage.onload = function ()
+        {
+            State.texture = State.domImage;
+        };
+    State.domImage.crossOrigin = '';  // for CORS
+    State.domImage.src         = url;
 }
 
 /// Callback invoked when all DOM elements have been loaded. The global State
@@ -427,6 +462,12 @@ function init()
         antialias         : true,
         premultipliedAlpha: true
     });
+    if (!State.webglContext)
+    {
+        // WebGL is not supported; render with the canvas instead.
+        initCanvas(dom);
+        return;
+    }
     State.viewport        = State.webglContext.createViewport();
     State.texture         = State.webglContext.createTextureProxy();
     State.renderer        = WebGLRenderer.createRenderer(State.webglContext);
@@ -476,7 +517,6 @@ function tick(elapsedTime, currentTime)
 /// @a WebGLRenderer.QuadEffect.applyViewport(width, height).
 function setupEffect(effect, gl, program, matrix)
 {
-    program.boundTextureCount = 0;
     gl.setUniform('uMSS', matrix);
 }
 
@@ -492,6 +532,17 @@ function applyState(effect, gl, program, state)
     gl.setUniform('uTEX', state);
 }
 
+/// Callback invoked when the canvas effect needs to change the per-quad
+/// state. The state is the image to draw the quad with.
+/// @param effect The CanvasRenderer.QuadEffect instance calling the function.
+/// @param context The CanvasRenderingContext2D used for rendering.
+/// @param program Always null.
+/// @param state The application-defined, per-quad state to apply.
+function applyCanvasState(effect, context, program, state)
+{
+    effect.useImage(state);
+}
+
 /// The default runtime driver module presentation callback function. The
 /// presentation callback is invoked exactly once per requested animation
 /// frame, as long as simulation data is available.
@@ -501,13 +552,9 @@ function applyState(effect, gl, program, state)
 /// into the current tick the driver is at the time of the call.
 function present(elapsedTime, currentTime, tickTime)
 {
-    var gl         = State.webglContext.gl;
     var gr         = State.renderer;
     var batch      = State.batch;
     var effect     = State.effect;
-    var clearFlags = gl.COLOR_BUFFER_BIT |
-                     gl.DEPTH_BUFFER_BIT |
-                     gl.STENCIL_BUFFER_BIT;
 
     // quad submission. this adds quads to the batch.
     // the rendering doesn't happen until later.
@@ -539,9 +586,21 @@ function present(elapsedTime, currentTime, tickTime)
 
     // perform the actual rendering. note that the same
     // effect can be used to render multiple batches.
-    gl.clear(clearFlags);
-    effect.makeCurrent(setupEffect);
-    effect.drawBatch(batch, QuadVertex.ptcg, applyState);
+    if (State.webglContext)
+    {
+        var gl = State.webglContext.gl;
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT | gl.STENCIL_BUFFER_BIT);
+        effect.makeCurrent(setupEffect);
+        effect.drawBatch(batch, QuadVertex.ptcg, applyState);
+    }
+    else
+    {
+        var dom = State.domElement;
+        effect.context.fillStyle = '#000';
+        effect.context.fillRect(0, 0, dom.width, dom.height);
+        effect.makeCurrent(null);
+        effect.drawBatch(batch, QuadVertex.ptcg, applyCanvasState);
+    }
     batch.flush();
 }
 
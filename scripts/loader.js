@@ -0,0 +1,179 @@
+/*/////////////////////////////////////////////////////////////////////////////
+/// @summary Implements a minimal conditional script loader, used to select
+/// between rendering back ends (for example, webgl.js and webgl_render2d.js
+/// versus canvas_render2d.js) at startup based on what the browser supports.
+/// @author Russell Klenk (russ@ninjabirdstudios.com)
+///////////////////////////////////////////////////////////////////////////80*/
+var Loader = (function (exports)
+{
+    /// The default number of milliseconds to wait for a script to load before
+    /// it is reported as having failed.
+    const DEFAULT_TIMEOUT = 10000;
+
+    /// Defines the string values reported as the reason a script failed to
+    /// load. These are passed to the error callback of loadScript().
+    const LoadError       = {
+        /// The browser raised an error event for the script element; the file
+        /// could not be fetched, or it could not be parsed.
+        ERROR             : 'error',
+        /// The script did not finish loading within the timeout interval.
+        TIMEOUT           : 'timeout'
+    };
+
+    /// Inserts a script element into the document head. Scripts inserted with
+    /// async set to false are downloaded in parallel but executed in the order
+    /// they were inserted.
+    /// @param url The URL of the script to load.
+    /// @param timeout The number of milliseconds to wait for the script to
+    /// load, or zero to wait indefinitely.
+    /// @param callback A function (url:String, error:String) : void invoked
+    /// exactly once when the script has loaded or failed. The error argument
+    /// is null on success, or one of the LoadError values.
+    function insertScript(url, timeout, callback)
+    {
+        var timer    = null;
+        var se       = document.createElement('script');
+        var head     = document.head || document.getElementsByTagName('head')[0];
+        var finish   = function (error)
+            {
+                // remove the handlers so we don't get notified again.
+                se.onload  = se.onreadystatechange = se.onerror = null;
+                if (timer !== null)
+                {
+                    clearTimeout(timer);
+                    timer  = null;
+                }
+                callback(url, error);
+            };
+        se.src       = url;
+        se.type      = 'text/javascript';
+        se.async     = false;   // force execution in insertion order.
+        se.onload    = se.onreadystatechange = function ()
+            {
+                var  rs  = se.readyState; // undefined for all but IE
+                if (!rs || rs === 'loaded' || rs === 'complete')
+                    finish(null);
+            };
+        se.onerror   = function ()
+            {
+                finish(LoadError.ERROR);
+            };
+        if (timeout > 0)
+        {
+            timer    = setTimeout(function ()
+                {
+                    timer = null;
+                    finish(LoadError.TIMEOUT);
+                }, timeout);
+        }
+        // insert the script node. this causes the script to load async.
+        head.appendChild(se);
+    }
+
+    /// Determines whether WebGL is available. Checking for the presence of
+    /// WebGLRenderingContext is not sufficient, since context creation fails
+    /// on blacklisted drivers, so a context is created on a scratch canvas and
+    /// then released. If webgl.js has already been loaded, WebGL.isSupported()
+    /// and WebGL.createContext() are used to perform the test.
+    /// @param attributes An optional WebGLContextAttributes object specifying
+    /// the attributes the application will request.
+    /// @return true if a WebGL rendering context can be created.
+    function supportsWebGL(attributes)
+    {
+        var canvas = null;
+        var gl     = null;
+        var names  = ['webgl2', 'webgl', 'experimental-webgl'];
+
+        if (typeof window === 'undefined' || !window.WebGLRenderingContext)
+            return false;
+
+        canvas     = document.createElement('canvas');
+        if (typeof WebGL !== 'undefined' && WebGL.isSupported)
+        {
+            var context = WebGL.isSupported() ?
+                WebGL.createContext(canvas, attributes) : undefined;
+            gl = context ? context.gl : null;
+        }
+        else
+        {
+            for (var i = 0, n = names.length; i < n && !gl; ++i)
+            {
+                try
+                {
+                    gl = canvas.getContext(names[i], attributes);
+                }
+                catch (error)
+                {
+                    // don't do anything here, we'll try the next name.
+                }
+            }
+        }
+        if (gl)
+        {
+            // release the context now rather than waiting for the garbage
+            // collector; browsers limit the number of live contexts.
+            var ext = gl.getExtension('WEBGL_lose_context');
+            if (ext)  ext.loseContext();
+            return true;
+        }
+        return false;
+    }
+
+    /// Conditionally loads a set of scripts. The scripts are executed in the
+    /// order they are specified, and a script that fails to load is reported
+    /// rather than preventing the done callback from running.
+    /// @param args An object specifying the load parameters.
+    /// @param args.test Either a boolean value, or a function () : Boolean
+    /// used to select the set of scripts to load. For example, pass
+    /// Loader.supportsWebGL to choose between WebGL and Canvas back ends. If
+    /// not specified, the pass scripts are loaded.
+    /// @param args.pass An array of script URLs to load if the test passes.
+    /// @param args.fail An array of script URLs to load if the test fails.
+    /// @param args.timeout The number of milliseconds to wait for each script
+    /// to load before reporting a timeout, or zero to wait indefinitely. The
+    /// default value is DEFAULT_TIMEOUT.
+    /// @param args.error An optional function (url:String, reason:String) :
+    /// void invoked for each script that fails to load. The reason is one of
+    /// the LoadError values.
+    /// @param args.done An optional function (errors:Array, passed:Boolean) :
+    /// void invoked once all scripts have loaded or failed. The errors array
+    /// is empty if all scripts were loaded successfully; otherwise, each
+    /// element has url and reason fields.
+    /// @return true if the test passed and the pass scripts are being loaded.
+    function loadScript(args)
+    {
+        args          = args || {};
+        var test      = args.test !== undefined ? args.test : true;
+        var passed    = typeof test === 'function' ? !!test() : !!test;
+        var scripts   = (passed ? args.pass : args.fail) || [];
+        var timeout   = args.timeout !== undefined ? args.timeout : DEFAULT_TIMEOUT;
+        var onerror   = args.error || function () { /* empty */ };
+        var ondone    = args.done  || function () { /* empty */ };
+        var ntotal    = scripts.length;
+        var ndone     = 0;
+        var errors    = [];
+        var complete  = function (url, reason)
+            {
+                if (reason)
+                {
+                    errors.push({ url: url, reason: reason });
+                    onerror(url, reason);
+                }
+                // notify the caller if all scripts are loaded.
+                if (++ndone === ntotal) ondone(errors, passed);
+            };
+        for (var i    = 0; i < ntotal; ++i)
+        {
+            insertScript(scripts[i], timeout, complete);
+        }
+        if (0 === ntotal) ondone(errors, passed);
+        return passed;
+    }
+
+    /// Set the functions exported from this module.
+    exports.DEFAULT_TIMEOUT = DEFAULT_TIMEOUT;
+    exports.LoadError       = LoadError;
+    exports.supportsWebGL   = supportsWebGL;
+    exports.loadScript      = loadScript;
+    return exports;
+}  (Loader || {}));
@@ -0,0 +1,2246 @@
+/*/////////////////////////////////////////////////////////////////////////////
+/// @summary Implements a recording stand-in for WebGLRenderingContext and the
+/// HTML Canvas element that runs without a browser or GPU, so code built on
+/// webgl.js can be tested under Node.js. Nothing is rendered; the mock tracks
+/// object lifetimes and bound state, and records every call in order.
+/// @author Russell Klenk (russ@ninjabirdstudios.com)
+///////////////////////////////////////////////////////////////////////////80*/
+var WebGLMock = (function (exports)
+{
+    /// The WebGL 1.0 constant values, as defined by the WebGLRenderingContext
+    /// IDL. These are available on MockContext instances and on the
+    /// MockContext constructor, as they are for WebGLRenderingContext.
+    const Constants     = {
+        DEPTH_BUFFER_BIT                             : 0x00000100,
+        STENCIL_BUFFER_BIT                           : 0x00000400,
+        COLOR_BUFFER_BIT                             : 0x00004000,
+        POINTS                                       : 0x0000,
+        LINES                                        : 0x0001,
+        LINE_LOOP                                    : 0x0002,
+        LINE_STRIP                                   : 0x0003,
+        TRIANGLES                                    : 0x0004,
+        TRIANGLE_STRIP                               : 0x0005,
+        TRIANGLE_FAN                                 : 0x0006,
+        ZERO                                         : 0,
+        ONE                                          : 1,
+        SRC_COLOR                                    : 0x0300,
+        ONE_MINUS_SRC_COLOR                          : 0x0301,
+        SRC_ALPHA                                    : 0x0302,
+        ONE_MINUS_SRC_ALPHA                          : 0x0303,
+        DST_ALPHA                                    : 0x0304,
+        ONE_MINUS_DST_ALPHA                          : 0x0305,
+        DST_COLOR                                    : 0x0306,
+        ONE_MINUS_DST_COLOR                          : 0x0307,
+        SRC_ALPHA_SATURATE                           : 0x0308,
+        FUNC_ADD                                     : 0x8006,
+        BLEND_EQUATION                               : 0x8009,
+        BLEND_EQUATION_RGB                           : 0x8009,
+        BLEND_EQUATION_ALPHA                         : 0x883D,
+        FUNC_SUBTRACT                                : 0x800A,
+        FUNC_REVERSE_SUBTRACT                        : 0x800B,
+        BLEND_DST_RGB                                : 0x80C8,
+        BLEND_SRC_RGB                                : 0x80C9,
+        BLEND_DST_ALPHA                              : 0x80CA,
+        BLEND_SRC_ALPHA                              : 0x80CB,
+        CONSTANT_COLOR                               : 0x8001,
+        ONE_MINUS_CONSTANT_COLOR                     : 0x8002,
+        CONSTANT_ALPHA                               : 0x8003,
+        ONE_MINUS_CONSTANT_ALPHA                     : 0x8004,
+        BLEND_COLOR                                  : 0x8005,
+        ARRAY_BUFFER                                 : 0x8892,
+        ELEMENT_ARRAY_BUFFER                         : 0x8893,
+        ARRAY_BUFFER_BINDING                         : 0x8894,
+        ELEMENT_ARRAY_BUFFER_BINDING                 : 0x8895,
+        STREAM_DRAW                                  : 0x88E0,
+        STATIC_DRAW                                  : 0x88E4,
+        DYNAMIC_DRAW                                 : 0x88E8,
+        BUFFER_SIZE                                  : 0x8764,
+        BUFFER_USAGE                                 : 0x8765,
+        CURRENT_VERTEX_ATTRIB                        : 0x8626,
+        FRONT                                        : 0x0404,
+        BACK                                         : 0x0405,
+        FRONT_AND_BACK                               : 0x0408,
+        CULL_FACE                                    : 0x0B44,
+        BLEND                                        : 0x0BE2,
+        DITHER                                       : 0x0BD0,
+        STENCIL_TEST                                 : 0x0B90,
+        DEPTH_TEST                                   : 0x0B71,
+        SCISSOR_TEST                                 : 0x0C11,
+        POLYGON_OFFSET_FILL                          : 0x8037,
+        SAMPLE_ALPHA_TO_COVERAGE                     : 0x809E,
+        SAMPLE_COVERAGE                              : 0x80A0,
+        NO_ERROR                                     : 0,
+        INVALID_ENUM                                 : 0x0500,
+        INVALID_VALUE                                : 0x0501,
+        INVALID_OPERATION                            : 0x0502,
+        OUT_OF_MEMORY                                : 0x0505,
+        CW                                           : 0x0900,
+        CCW                                          : 0x0901,
+        LINE_WIDTH                                   : 0x0B21,
+        ALIASED_POINT_SIZE_RANGE                     : 0x846D,
+        ALIASED_LINE_WIDTH_RANGE                     : 0x846E,
+        CULL_FACE_MODE                               : 0x0B45,
+        FRONT_FACE                                   : 0x0B46,
+        DEPTH_RANGE                                  : 0x0B70,
+        DEPTH_WRITEMASK                              : 0x0B72,
+        DEPTH_CLEAR_VALUE                            : 0x0B73,
+        DEPTH_FUNC                                   : 0x0B74,
+        STENCIL_CLEAR_VALUE                          : 0x0B91,
+        STENCIL_FUNC                                 : 0x0B92,
+        STENCIL_FAIL                                 : 0x0B94,
+        STENCIL_PASS_DEPTH_FAIL                      : 0x0B95,
+        STENCIL_PASS_DEPTH_PASS                      : 0x0B96,
+        STENCIL_REF                                  : 0x0B97,
+        STENCIL_VALUE_MASK                           : 0x0B93,
+        STENCIL_WRITEMASK                            : 0x0B98,
+        STENCIL_BACK_FUNC                            : 0x8800,
+        STENCIL_BACK_FAIL                            : 0x8801,
+        STENCIL_BACK_PASS_DEPTH_FAIL                 : 0x8802,
+        STENCIL_BACK_PASS_DEPTH_PASS                 : 0x8803,
+        STENCIL_BACK_REF                             : 0x8CA3,
+        STENCIL_BACK_VALUE_MASK                      : 0x8CA4,
+        STENCIL_BACK_WRITEMASK                       : 0x8CA5,
+        VIEWPORT                                     : 0x0BA2,
+        SCISSOR_BOX                                  : 0x0C10,
+        COLOR_CLEAR_VALUE                            : 0x0C22,
+        COLOR_WRITEMASK                              : 0x0C23,
+        UNPACK_ALIGNMENT                             : 0x0CF5,
+        PACK_ALIGNMENT                               : 0x0D05,
+        MAX_TEXTURE_SIZE                             : 0x0D33,
+        MAX_VIEWPORT_DIMS                            : 0x0D3A,
+        SUBPIXEL_BITS                                : 0x0D50,
+        RED_BITS                                     : 0x0D52,
+        GREEN_BITS                                   : 0x0D53,
+        BLUE_BITS                                    : 0x0D54,
+        ALPHA_BITS                                   : 0x0D55,
+        DEPTH_BITS                                   : 0x0D56,
+        STENCIL_BITS                                 : 0x0D57,
+        POLYGON_OFFSET_UNITS                         : 0x2A00,
+        POLYGON_OFFSET_FACTOR                        : 0x8038,
+        TEXTURE_BINDING_2D                           : 0x8069,
+        SAMPLE_BUFFERS                               : 0x80A8,
+        SAMPLES                                      : 0x80A9,
+        SAMPLE_COVERAGE_VALUE                        : 0x80AA,
+        SAMPLE_COVERAGE_INVERT                       : 0x80AB,
+        COMPRESSED_TEXTURE_FORMATS                   : 0x86A3,
+        DONT_CARE                                    : 0x1100,
+        FASTEST                                      : 0x1101,
+        NICEST                                       : 0x1102,
+        GENERATE_MIPMAP_HINT                         : 0x8192,
+        BYTE                                         : 0x1400,
+        UNSIGNED_BYTE                                : 0x1401,
+        SHORT                                        : 0x1402,
+        UNSIGNED_SHORT                               : 0x1403,
+        INT                                          : 0x1404,
+        UNSIGNED_INT                                 : 0x1405,
+        FLOAT                                        : 0x1406,
+        DEPTH_COMPONENT                              : 0x1902,
+        ALPHA                                        : 0x1906,
+        RGB                                          : 0x1907,
+        RGBA                                         : 0x1908,
+        LUMINANCE                                    : 0x1909,
+        LUMINANCE_ALPHA                              : 0x190A,
+        UNSIGNED_SHORT_4_4_4_4                       : 0x8033,
+        UNSIGNED_SHORT_5_5_5_1                       : 0x8034,
+        UNSIGNED_SHORT_5_6_5                         : 0x8363,
+        FRAGMENT_SHADER                              : 0x8B30,
+        VERTEX_SHADER                                : 0x8B31,
+        MAX_VERTEX_ATTRIBS                           : 0x8869,
+        MAX_VERTEX_UNIFORM_VECTORS                   : 0x8DFB,
+        MAX_VARYING_VECTORS                          : 0x8DFC,
+        MAX_COMBINED_TEXTURE_IMAGE_UNITS             : 0x8B4D,
+        MAX_VERTEX_TEXTURE_IMAGE_UNITS               : 0x8B4C,
+        MAX_TEXTURE_IMAGE_UNITS                      : 0x8872,
+        MAX_FRAGMENT_UNIFORM_VECTORS                 : 0x8DFD,
+        SHADER_TYPE                                  : 0x8B4F,
+        DELETE_STATUS                                : 0x8B80,
+        LINK_STATUS                                  : 0x8B82,
+        VALIDATE_STATUS                              : 0x8B83,
+        ATTACHED_SHADERS                             : 0x8B85,
+        ACTIVE_UNIFORMS                              : 0x8B86,
+        ACTIVE_ATTRIBUTES                            : 0x8B89,
+        SHADING_LANGUAGE_VERSION                     : 0x8B8C,
+        CURRENT_PROGRAM                              : 0x8B8D,
+        NEVER                                        : 0x0200,
+        LESS                                         : 0x0201,
+        EQUAL                                        : 0x0202,
+        LEQUAL                                       : 0x0203,
+        GREATER                                      : 0x0204,
+        NOTEQUAL                                     : 0x0205,
+        GEQUAL                                       : 0x0206,
+        ALWAYS                                       : 0x0207,
+        KEEP                                         : 0x1E00,
+        REPLACE                                      : 0x1E01,
+        INCR                                         : 0x1E02,
+        DECR                                         : 0x1E03,
+        INVERT                                       : 0x150A,
+        INCR_WRAP                                    : 0x8507,
+        DECR_WRAP                                    : 0x8508,
+        VENDOR                                       : 0x1F00,
+        RENDERER                                     : 0x1F01,
+        VERSION                                      : 0x1F02,
+        NEAREST                                      : 0x2600,
+        LINEAR                                       : 0x2601,
+        NEAREST_MIPMAP_NEAREST                       : 0x2700,
+        LINEAR_MIPMAP_NEAREST                        : 0x2701,
+        NEAREST_MIPMAP_LINEAR                        : 0x2702,
+        LINEAR_MIPMAP_LINEAR                         : 0x2703,
+        TEXTURE_MAG_FILTER                           : 0x2800,
+        TEXTURE_MIN_FILTER                           : 0x2801,
+        TEXTURE_WRAP_S                               : 0x2802,
+        TEXTURE_WRAP_T                               : 0x2803,
+        TEXTURE_2D                                   : 0x0DE1,
+        TEXTURE                                      : 0x1702,
+        TEXTURE_CUBE_MAP                             : 0x8513,
+        TEXTURE_BINDING_CUBE_MAP                     : 0x8514,
+        TEXTURE_CUBE_MAP_POSITIVE_X                  : 0x8515,
+        TEXTURE_CUBE_MAP_NEGATIVE_X                  : 0x8516,
+        TEXTURE_CUBE_MAP_POSITIVE_Y                  : 0x8517,
+        TEXTURE_CUBE_MAP_NEGATIVE_Y                  : 0x8518,
+        TEXTURE_CUBE_MAP_POSITIVE_Z                  : 0x8519,
+        TEXTURE_CUBE_MAP_NEGATIVE_Z                  : 0x851A,
+        MAX_CUBE_MAP_TEXTURE_SIZE                    : 0x851C,
+        TEXTURE0                                     : 0x84C0,
+        ACTIVE_TEXTURE                               : 0x84E0,
+        REPEAT                                       : 0x2901,
+        CLAMP_TO_EDGE                                : 0x812F,
+        MIRRORED_REPEAT                              : 0x8370,
+        FLOAT_VEC2                                   : 0x8B50,
+        FLOAT_VEC3                                   : 0x8B51,
+        FLOAT_VEC4                                   : 0x8B52,
+        INT_VEC2                                     : 0x8B53,
+        INT_VEC3                                     : 0x8B54,
+        INT_VEC4                                     : 0x8B55,
+        BOOL                                         : 0x8B56,
+        BOOL_VEC2                                    : 0x8B57,
+        BOOL_VEC3                                    : 0x8B58,
+        BOOL_VEC4                                    : 0x8B59,
+        FLOAT_MAT2                                   : 0x8B5A,
+        FLOAT_MAT3                                   : 0x8B5B,
+        FLOAT_MAT4                                   : 0x8B5C,
+        SAMPLER_2D                                   : 0x8B5E,
+        SAMPLER_CUBE                                 : 0x8B60,
+        VERTEX_ATTRIB_ARRAY_ENABLED                  : 0x8622,
+        VERTEX_ATTRIB_ARRAY_SIZE                     : 0x8623,
+        VERTEX_ATTRIB_ARRAY_STRIDE                   : 0x8624,
+        VERTEX_ATTRIB_ARRAY_TYPE                     : 0x8625,
+        VERTEX_ATTRIB_ARRAY_NORMALIZED               : 0x886A,
+        VERTEX_ATTRIB_ARRAY_POINTER                  : 0x8645,
+        VERTEX_ATTRIB_ARRAY_BUFFER_BINDING           : 0x889F,
+        IMPLEMENTATION_COLOR_READ_TYPE               : 0x8B9A,
+        IMPLEMENTATION_COLOR_READ_FORMAT             : 0x8B9B,
+        COMPILE_STATUS                               : 0x8B81,
+        LOW_FLOAT                                    : 0x8DF0,
+        MEDIUM_FLOAT                                 : 0x8DF1,
+        HIGH_FLOAT                                   : 0x8DF2,
+        LOW_INT                                      : 0x8DF3,
+        MEDIUM_INT                                   : 0x8DF4,
+        HIGH_INT                                     : 0x8DF5,
+        FRAMEBUFFER                                  : 0x8D40,
+        RENDERBUFFER                                 : 0x8D41,
+        RGBA4                                        : 0x8056,
+        RGB5_A1                                      : 0x8057,
+        RGB565                                       : 0x8D62,
+        DEPTH_COMPONENT16                            : 0x81A5,
+        STENCIL_INDEX                                : 0x1901,
+        STENCIL_INDEX8                               : 0x8D48,
+        DEPTH_STENCIL                                : 0x84F9,
+        RENDERBUFFER_WIDTH                           : 0x8D42,
+        RENDERBUFFER_HEIGHT                          : 0x8D43,
+        RENDERBUFFER_INTERNAL_FORMAT                 : 0x8D44,
+        RENDERBUFFER_RED_SIZE                        : 0x8D50,
+        RENDERBUFFER_GREEN_SIZE                      : 0x8D51,
+        RENDERBUFFER_BLUE_SIZE                       : 0x8D52,
+        RENDERBUFFER_ALPHA_SIZE                      : 0x8D53,
+        RENDERBUFFER_DEPTH_SIZE                      : 0x8D54,
+        RENDERBUFFER_STENCIL_SIZE                    : 0x8D55,
+        FRAMEBUFFER_ATTACHMENT_OBJECT_TYPE           : 0x8CD0,
+        FRAMEBUFFER_ATTACHMENT_OBJECT_NAME           : 0x8CD1,
+        FRAMEBUFFER_ATTACHMENT_TEXTURE_LEVEL         : 0x8CD2,
+        FRAMEBUFFER_ATTACHMENT_TEXTURE_CUBE_MAP_FACE : 0x8CD3,
+        COLOR_ATTACHMENT0                            : 0x8CE0,
+        DEPTH_ATTACHMENT                             : 0x8D00,
+        STENCIL_ATTACHMENT                           : 0x8D20,
+        DEPTH_STENCIL_ATTACHMENT                     : 0x821A,
+        NONE                                         : 0,
+        FRAMEBUFFER_COMPLETE                         : 0x8CD5,
+        FRAMEBUFFER_INCOMPLETE_ATTACHMENT            : 0x8CD6,
+        FRAMEBUFFER_INCOMPLETE_MISSING_ATTACHMENT    : 0x8CD7,
+        FRAMEBUFFER_INCOMPLETE_DIMENSIONS            : 0x8CD9,
+        FRAMEBUFFER_UNSUPPORTED                      : 0x8CDD,
+        FRAMEBUFFER_BINDING                          : 0x8CA6,
+        RENDERBUFFER_BINDING                         : 0x8CA7,
+        MAX_RENDERBUFFER_SIZE                        : 0x84E8,
+        INVALID_FRAMEBUFFER_OPERATION                : 0x0506,
+        UNPACK_FLIP_Y_WEBGL                          : 0x9240,
+        UNPACK_PREMULTIPLY_ALPHA_WEBGL               : 0x9241,
+        CONTEXT_LOST_WEBGL                           : 0x9242,
+        UNPACK_COLORSPACE_CONVERSION_WEBGL           : 0x9243,
+        BROWSER_DEFAULT_WEBGL                        : 0x9244
+    };
+
+    /// The names of all WebGL 1.0 entry points. Every entry point is present
+    /// on MockContext and records its name and arguments in the call log;
+    /// entry points without a specific implementation have no other effect.
+    const EntryPoints   = [
+        'getContextAttributes', 'isContextLost', 'getSupportedExtensions',
+        'getExtension', 'activeTexture', 'attachShader', 'bindAttribLocation',
+        'bindBuffer', 'bindFramebuffer', 'bindRenderbuffer', 'bindTexture',
+        'blendColor', 'blendEquation', 'blendEquationSeparate', 'blendFunc',
+        'blendFuncSeparate', 'bufferData', 'bufferSubData',
+        'checkFramebufferStatus', 'clear', 'clearColor', 'clearDepth',
+        'clearStencil', 'colorMask', 'compileShader', 'compressedTexImage2D',
+        'compressedTexSubImage2D', 'copyTexImage2D', 'copyTexSubImage2D',
+        'createBuffer', 'createFramebuffer', 'createProgram',
+        'createRenderbuffer', 'createShader', 'createTexture', 'cullFace',
+        'deleteBuffer', 'deleteFramebuffer', 'deleteProgram',
+        'deleteRenderbuffer', 'deleteShader', 'deleteTexture', 'depthFunc',
+        'depthMask', 'depthRange', 'detachShader', 'disable',
+        'disableVertexAttribArray', 'drawArrays', 'drawElements', 'enable',
+        'enableVertexAttribArray', 'finish', 'flush', 'framebufferRenderbuffer',
+        'framebufferTexture2D', 'frontFace', 'generateMipmap',
+        'getActiveAttrib', 'getActiveUniform', 'getAttachedShaders',
+        'getAttribLocation', 'getBufferParameter', 'getParameter', 'getError',
+        'getFramebufferAttachmentParameter', 'getProgramParameter',
+        'getProgramInfoLog', 'getRenderbufferParameter', 'getShaderParameter',
+        'getShaderPrecisionFormat', 'getShaderInfoLog', 'getShaderSource',
+        'getTexParameter', 'getUniform', 'getUniformLocation',
+        'getVertexAttrib', 'getVertexAttribOffset', 'hint', 'isBuffer',
+        'isEnabled', 'isFramebuffer', 'isProgram', 'isRenderbuffer',
+        'isShader', 'isTexture', 'lineWidth', 'linkProgram', 'pixelStorei',
+        'polygonOffset', 'readPixels', 'renderbufferStorage', 'sampleCoverage',
+        'scissor', 'shaderSource', 'stencilFunc', 'stencilFuncSeparate',
+        'stencilMask', 'stencilMaskSeparate', 'stencilOp', 'stencilOpSeparate',
+        'texImage2D', 'texParameterf', 'texParameteri', 'texSubImage2D',
+        'uniform1f', 'uniform1fv', 'uniform1i', 'uniform1iv', 'uniform2f',
+        'uniform2fv', 'uniform2i', 'uniform2iv', 'uniform3f', 'uniform3fv',
+        'uniform3i', 'uniform3iv', 'uniform4f', 'uniform4fv', 'uniform4i',
+        'uniform4iv', 'uniformMatrix2fv', 'uniformMatrix3fv',
+        'uniformMatrix4fv', 'useProgram', 'validateProgram', 'vertexAttrib1f',
+        'vertexAttrib1fv', 'vertexAttrib2f', 'vertexAttrib2fv',
+        'vertexAttrib3f', 'vertexAttrib3fv', 'vertexAttrib4f',
+        'vertexAttrib4fv', 'vertexAttribPointer', 'viewport'
+    ];
+
+    /// The implementation-dependent limits reported by getParameter(). These
+    /// are typical desktop values; individual values can be overridden with
+    /// the parameters option of createContext().
+    const DefaultLimits = {
+        MAX_TEXTURE_SIZE                 : 4096,
+        MAX_CUBE_MAP_TEXTURE_SIZE        : 4096,
+        MAX_RENDERBUFFER_SIZE            : 4096,
+        MAX_TEXTURE_IMAGE_UNITS          : 16,
+        MAX_VERTEX_TEXTURE_IMAGE_UNITS   : 16,
+        MAX_COMBINED_TEXTURE_IMAGE_UNITS : 32,
+        MAX_VERTEX_ATTRIBS               : 16,
+        MAX_VARYING_VECTORS              : 15,
+        MAX_VERTEX_UNIFORM_VECTORS       : 1024,
+        MAX_FRAGMENT_UNIFORM_VECTORS     : 1024,
+        SUBPIXEL_BITS                    : 4,
+        RED_BITS                         : 8,
+        GREEN_BITS                       : 8,
+        BLUE_BITS                        : 8,
+        ALPHA_BITS                       : 8,
+        DEPTH_BITS                       : 24,
+        STENCIL_BITS                     : 8,
+        SAMPLE_BUFFERS                   : 0,
+        SAMPLES                          : 0,
+        VENDOR                           : 'webgl.js',
+        RENDERER                         : 'WebGLMock',
+        VERSION                          : 'WebGL 1.0 (WebGLMock)',
+        SHADING_LANGUAGE_VERSION         : 'WebGL GLSL ES 1.0 (WebGLMock)'
+    };
+
+    /// Maps GLSL ES 1.00 type names to the type enumeration values reported
+    /// by getActiveUniform() and getActiveAttrib().
+    const GLSLTypes     = {
+        'float'         : Constants.FLOAT,
+        'vec2'          : Constants.FLOAT_VEC2,
+        'vec3'          : Constants.FLOAT_VEC3,
+        'vec4'          : Constants.FLOAT_VEC4,
+        'int'           : Constants.INT,
+        'ivec2'         : Constants.INT_VEC2,
+        'ivec3'         : Constants.INT_VEC3,
+        'ivec4'         : Constants.INT_VEC4,
+        'bool'          : Constants.BOOL,
+        'bvec2'         : Constants.BOOL_VEC2,
+        'bvec3'         : Constants.BOOL_VEC3,
+        'bvec4'         : Constants.BOOL_VEC4,
+        'mat2'          : Constants.FLOAT_MAT2,
+        'mat3'          : Constants.FLOAT_MAT3,
+        'mat4'          : Constants.FLOAT_MAT4,
+        'sampler2D'     : Constants.SAMPLER_2D,
+        'samplerCube'   : Constants.SAMPLER_CUBE
+    };
+
+    /// The capabilities accepted by enable(), disable() and isEnabled(),
+    /// mapped to their initial state.
+    const Capabilities  = [
+        [Constants.BLEND,                    false],
+        [Constants.CULL_FACE,                false],
+        [Constants.DEPTH_TEST,               false],
+        [Constants.DITHER,                   true ],
+        [Constants.POLYGON_OFFSET_FILL,      false],
+        [Constants.SAMPLE_ALPHA_TO_COVERAGE, false],
+        [Constants.SAMPLE_COVERAGE,          false],
+        [Constants.SCISSOR_TEST,             false],
+        [Constants.STENCIL_TEST,             false]
+    ];
+
+    /// Constructor function for the objects returned by the create*()
+    /// functions of MockContext, standing in for WebGLBuffer, WebGLTexture,
+    /// and so on. Tests can inspect the fields directly.
+    /// @param context The MockContext that created the object.
+    /// @param kind One of 'buffer', 'framebuffer', 'program', 'renderbuffer',
+    /// 'shader', 'texture' or 'vertexarray'.
+    /// @param id A unique integer identifier for the object.
+    var MockObject = function (context, kind, id)
+    {
+        if (!(this instanceof MockObject))
+        {
+            return new MockObject(context, kind, id);
+        }
+        this.context    = context;
+        this.kind       = kind;
+        this.id         = id;
+        this.generation = context.generation;
+        this.deleted    = false;
+        this.target     = 0;
+        return this;
+    };
+
+    /// Constructor function for the objects returned by getUniformLocation(),
+    /// standing in for WebGLUniformLocation.
+    /// @param program The MockObject representing the linked program.
+    /// @param name The name of the uniform or uniform array element.
+    var MockUniformLocation = function (program, name)
+    {
+        if (!(this instanceof MockUniformLocation))
+        {
+            return new MockUniformLocation(program, name);
+        }
+        this.program   = program;
+        this.name      = name;
+        this.linkCount = program.linkCount;
+        return this;
+    };
+
+    /// Constructor function for the DOM event objects dispatched by MockCanvas
+    /// to simulate webglcontextlost and webglcontextrestored.
+    /// @param type The event type string.
+    var MockEvent = function (type)
+    {
+        if (!(this instanceof MockEvent))
+        {
+            return new MockEvent(type);
+        }
+        this.type             = type;
+        this.statusMessage    = '';
+        this.defaultPrevented = false;
+        return this;
+    };
+
+    /// Marks the event as handled. For webglcontextlost, this allows the
+    /// context to be restored.
+    MockEvent.prototype.preventDefault = function ()
+    {
+        this.defaultPrevented = true;
+    };
+
+    /// Constructor function for the stand-in for the HTML Canvas element. Only
+    /// the members used by webgl.js are provided.
+    /// @param width The width of the canvas, in pixels. The default is 300.
+    /// @param height The height of the canvas, in pixels. The default is 150.
+    /// @param options An optional object passed to createContext() when the
+    /// rendering context is first requested.
+    var MockCanvas = function (width, height, options)
+    {
+        if (!(this instanceof MockCanvas))
+        {
+            return new MockCanvas(width, height, options);
+        }
+        this.width     = width  || 300;
+        this.height    = height || 150;
+        this.options   = options || {};
+        this.context   = null;
+        this.listeners = {};
+        return this;
+    };
+
+    /// Retrieves the rendering context for the canvas. Only WebGL 1 contexts
+    /// are supported; the same MockContext is returned for every request.
+    /// @param name The context name, for example, 'webgl'.
+    /// @param attributes An optional WebGLContextAttributes object.
+    /// @return The MockContext, or null if @a name is not a WebGL 1 context
+    /// name or the createContext option of the canvas is false.
+    MockCanvas.prototype.getContext = function (name, attributes)
+    {
+        if (name !== 'webgl' && name !== 'experimental-webgl')
+            return null;
+        if (this.options.createContext === false)
+            return null;
+        if (this.context === null)
+            this.context = new MockContext(this, this.options, attributes);
+        return this.context;
+    };
+
+    /// Registers a listener for a DOM event on the canvas.
+    /// @param type The event type string.
+    /// @param listener A function (event) : void.
+    MockCanvas.prototype.addEventListener = function (type, listener)
+    {
+        var list = this.listeners[type] || (this.listeners[type] = []);
+        if (list.indexOf(listener) < 0)
+            list.push(listener);
+    };
+
+    /// Removes a listener registered with addEventListener().
+    /// @param type The event type string.
+    /// @param listener The listener function to remove.
+    MockCanvas.prototype.removeEventListener = function (type, listener)
+    {
+        var list  = this.listeners[type] || [];
+        var index = list.indexOf(listener);
+        if (index >= 0)
+            list.splice(index, 1);
+    };
+
+    /// Synchronously invokes the listeners registered for an event.
+    /// @param event An object with a type field, such as a MockEvent.
+    /// @return false if a listener called preventDefault() on the event.
+    MockCanvas.prototype.dispatchEvent = function (event)
+    {
+        var list = (this.listeners[event.type] || []).slice();
+        for (var i = 0, n = list.length; i < n; ++i)
+            list[i].call(this, event);
+        return !event.defaultPrevented;
+    };
+
+    /// Creates the initial per-vertex-array state: the attribute arrays and
+    /// the element array buffer binding.
+    /// @param count The number of vertex attribute slots.
+    /// @return An object with attributes and elementBuffer fields.
+    function createVertexArrayState(count)
+    {
+        var attributes = new Array(count);
+        for (var i = 0; i < count; ++i)
+        {
+            attributes[i] = {
+                enabled    : false,
+                buffer     : null,
+                size       : 4,
+                type       : Constants.FLOAT,
+                normalized : false,
+                stride     : 0,
+                offset     : 0,
+                divisor    : 0,
+                current    : new Float32Array([0, 0, 0, 1])
+            };
+        }
+        return {
+            attributes    : attributes,
+            elementBuffer : null
+        };
+    }
+
+    /// Constructor function for the WebGLRenderingContext stand-in. This is
+    /// typically created through MockCanvas.getContext() or createContext().
+    /// @param canvas The MockCanvas that owns the context.
+    /// @param options An optional object specifying the behavior of the mock.
+    /// See createContext().
+    /// @param attributes The WebGLContextAttributes requested by the caller.
+    var MockContext = function (canvas, options, attributes)
+    {
+        if (!(this instanceof MockContext))
+        {
+            return new MockContext(canvas, options, attributes);
+        }
+        var op                    = options || {};
+        this.canvas               = canvas;
+        this.contextAttributes    = attributes || {};
+        this.extensionOptions     = op.extensions || { WEBGL_lose_context: true };
+        this.parameterOverrides   = op.parameters || {};
+        this.calls                = [];
+        this.recording            = true;
+        this.generation           = 1;
+        this.nextObjectId         = 1;
+        this.objects              = [];
+        this.lost                 = false;
+        this.restorable           = false;
+        this.lostErrorPending     = false;
+        this.compileFailures      = [];
+        this.linkFailures         = [];
+        this.extensionObjects     = {};
+        this.resetState();
+        return this;
+    };
+
+    /// Resets all bound state to the defaults of a newly created context.
+    /// This is called when the context is created and when it is restored.
+    /// @return The MockContext.
+    MockContext.prototype.resetState = function ()
+    {
+        var C      = Constants;
+        var width  = this.canvas ? this.canvas.width  : 300;
+        var height = this.canvas ? this.canvas.height : 150;
+        var units  = this.limit('MAX_COMBINED_TEXTURE_IMAGE_UNITS');
+        var params = {};
+        this.errors               = [];
+        this.enabled              = {};
+        this.arrayBuffer          = null;
+        this.framebuffer          = null;
+        this.renderbuffer         = null;
+        this.program              = null;
+        this.activeTextureUnit    = 0;
+        this.textureUnits         = [];
+        this.defaultVertexArray   = createVertexArrayState(this.limit('MAX_VERTEX_ATTRIBS'));
+        this.vertexArray          = this.defaultVertexArray;
+        this.vertexArrayObject    = null;
+        for (var i = 0; i < units; ++i)
+            this.textureUnits.push({ texture2d: null, textureCube: null });
+        for (var j = 0, n = Capabilities.length; j < n; ++j)
+            this.enabled[Capabilities[j][0]] = Capabilities[j][1];
+
+        params[C.VIEWPORT]                 = new Int32Array([0, 0, width, height]);
+        params[C.SCISSOR_BOX]              = new Int32Array([0, 0, width, height]);
+        params[C.COLOR_CLEAR_VALUE]        = new Float32Array([0, 0, 0, 0]);
+        params[C.DEPTH_CLEAR_VALUE]        = 1;
+        params[C.STENCIL_CLEAR_VALUE]      = 0;
+        params[C.COLOR_WRITEMASK]          = [true, true, true, true];
+        params[C.DEPTH_WRITEMASK]          = true;
+        params[C.DEPTH_FUNC]               = C.LESS;
+        params[C.DEPTH_RANGE]              = new Float32Array([0, 1]);
+        params[C.BLEND_COLOR]              = new Float32Array([0, 0, 0, 0]);
+        params[C.BLEND_SRC_RGB]            = C.ONE;
+        params[C.BLEND_SRC_ALPHA]          = C.ONE;
+        params[C.BLEND_DST_RGB]            = C.ZERO;
+        params[C.BLEND_DST_ALPHA]          = C.ZERO;
+        params[C.BLEND_EQUATION_RGB]       = C.FUNC_ADD;
+        params[C.BLEND_EQUATION_ALPHA]     = C.FUNC_ADD;
+        params[C.CULL_FACE_MODE]           = C.BACK;
+        params[C.FRONT_FACE]               = C.CCW;
+        params[C.LINE_WIDTH]               = 1;
+        params[C.POLYGON_OFFSET_FACTOR]    = 0;
+        params[C.POLYGON_OFFSET_UNITS]     = 0;
+        params[C.SAMPLE_COVERAGE_VALUE]    = 1;
+        params[C.SAMPLE_COVERAGE_INVERT]   = false;
+        params[C.STENCIL_FUNC]             = C.ALWAYS;
+        params[C.STENCIL_REF]              = 0;
+        params[C.STENCIL_VALUE_MASK]       = 0x7FFFFFFF;
+        params[C.STENCIL_WRITEMASK]        = 0x7FFFFFFF;
+        params[C.STENCIL_FAIL]             = C.KEEP;
+        params[C.STENCIL_PASS_DEPTH_FAIL]  = C.KEEP;
+        params[C.STENCIL_PASS_DEPTH_PASS]  = C.KEEP;
+        params[C.STENCIL_BACK_FUNC]        = C.ALWAYS;
+        params[C.STENCIL_BACK_REF]         = 0;
+        params[C.STENCIL_BACK_VALUE_MASK]  = 0x7FFFFFFF;
+        params[C.STENCIL_BACK_WRITEMASK]   = 0x7FFFFFFF;
+        params[C.STENCIL_BACK_FAIL]        = C.KEEP;
+        params[C.STENCIL_BACK_PASS_DEPTH_FAIL] = C.KEEP;
+        params[C.STENCIL_BACK_PASS_DEPTH_PASS] = C.KEEP;
+        params[C.UNPACK_ALIGNMENT]         = 4;
+        params[C.PACK_ALIGNMENT]           = 4;
+        params[C.UNPACK_FLIP_Y_WEBGL]      = false;
+        params[C.UNPACK_PREMULTIPLY_ALPHA_WEBGL]     = false;
+        params[C.UNPACK_COLORSPACE_CONVERSION_WEBGL] = C.BROWSER_DEFAULT_WEBGL;
+        params[C.GENERATE_MIPMAP_HINT]     = C.DONT_CARE;
+        this.state = params;
+        return this;
+    };
+
+    /// Retrieves an implementation-dependent limit, taking any override
+    /// specified with the parameters option into account.
+    /// @param name The name of the limit, for example, 'MAX_TEXTURE_SIZE'.
+    /// @return The value of the limit.
+    MockContext.prototype.limit = function (name)
+    {
+        var value = this.parameterOverrides[name];
+        return value !== undefined ? value : DefaultLimits[name];
+    };
+
+    /// Records a GL error. As with WebGL, only the first error is reported
+    /// until getError() is called.
+    /// @param code One of the GL error codes, for example, INVALID_OPERATION.
+    /// @return undefined.
+    MockContext.prototype.raise = function (code)
+    {
+        if (this.errors.indexOf(code) < 0)
+            this.errors.push(code);
+        return undefined;
+    };
+
+    /// Allocates a new object standing in for a WebGL object.
+    /// @param kind The kind of object. See MockObject.
+    /// @return A new MockObject instance.
+    MockContext.prototype.allocate = function (kind)
+    {
+        var object = new MockObject(this, kind, this.nextObjectId++);
+        this.objects.push(object);
+        return object;
+    };
+
+    /// Determines whether an object was created by this context, in the
+    /// current generation (that is, since the last context restore), and of
+    /// the expected kind. If not, INVALID_OPERATION is raised.
+    /// @param object The object to check.
+    /// @param kind The expected kind of object.
+    /// @param allowDeleted true if a deleted object is acceptable.
+    /// @return true if @a object can be used.
+    MockContext.prototype.validate = function (object, kind, allowDeleted)
+    {
+        if (!(object instanceof MockObject) || object.kind !== kind)
+        {
+            this.raise(Constants.INVALID_OPERATION);
+            return false;
+        }
+        if (object.context !== this || object.generation !== this.generation ||
+           (object.deleted && !allowDeleted))
+        {
+            this.raise(Constants.INVALID_OPERATION);
+            return false;
+        }
+        return true;
+    };
+
+    /// Retrieves the texture unit state for the active texture unit.
+    /// @param target One of TEXTURE_2D or TEXTURE_CUBE_MAP.
+    /// @return The name of the field of the texture unit state object, or null
+    /// if @a target is not valid.
+    function textureUnitField(target)
+    {
+        if (target === Constants.TEXTURE_2D)       return 'texture2d';
+        if (target === Constants.TEXTURE_CUBE_MAP) return 'textureCube';
+        return null;
+    }
+
+    /// Determines the texture binding target for a texImage2D() target, which
+    /// may be one of the cube map faces.
+    /// @param target The target passed to texImage2D() or similar.
+    /// @return One of TEXTURE_2D or TEXTURE_CUBE_MAP, or 0 if invalid.
+    function textureBindTarget(target)
+    {
+        if (target === Constants.TEXTURE_2D) return Constants.TEXTURE_2D;
+        if (target >= Constants.TEXTURE_CUBE_MAP_POSITIVE_X &&
+            target <= Constants.TEXTURE_CUBE_MAP_NEGATIVE_Z)
+            return Constants.TEXTURE_CUBE_MAP;
+        return 0;
+    }
+
+    /// Retrieves the texture bound to the active texture unit for a given
+    /// target, raising an error if there is none.
+    /// @param context The MockContext.
+    /// @param target The target passed to texImage2D(), texParameteri(), etc.
+    /// @return The bound MockObject, or null.
+    function boundTexture(context, target)
+    {
+        var field = textureUnitField(textureBindTarget(target) || target);
+        if (field === null)
+            return context.raise(Constants.INVALID_ENUM) || null;
+        var texture = context.textureUnits[context.activeTextureUnit][field];
+        if (texture === null)
+            return context.raise(Constants.INVALID_OPERATION) || null;
+        return texture;
+    }
+
+    /// Retrieves the buffer bound to a buffer target, raising an error if
+    /// there is none.
+    /// @param context The MockContext.
+    /// @param target One of ARRAY_BUFFER or ELEMENT_ARRAY_BUFFER.
+    /// @return The bound MockObject, or null.
+    function boundBuffer(context, target)
+    {
+        var buffer = null;
+        if (target === Constants.ARRAY_BUFFER)
+            buffer = context.arrayBuffer;
+        else if (target === Constants.ELEMENT_ARRAY_BUFFER)
+            buffer = context.vertexArray.elementBuffer;
+        else
+            return context.raise(Constants.INVALID_ENUM) || null;
+        if (buffer === null)
+            return context.raise(Constants.INVALID_OPERATION) || null;
+        return buffer;
+    }
+
+    /// Copies the bytes of an ArrayBuffer or ArrayBufferView.
+    /// @param data An ArrayBuffer or ArrayBufferView.
+    /// @return A new Uint8Array, or null if @a data is not binary data.
+    function copyBytes(data)
+    {
+        if (data instanceof ArrayBuffer)
+            return new Uint8Array(data.slice(0));
+        if (data && data.buffer instanceof ArrayBuffer)
+            return new Uint8Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+        return null;
+    }
+
+    /// Removes comments from GLSL source code so that declarations can be
+    /// found with regular expressions.
+    /// @param source The GLSL source code.
+    /// @return The source code with comments replaced by whitespace.
+    function stripComments(source)
+    {
+        return String(source || '')
+            .replace(/\/\*[\s\S]*?\*\//g, ' ')
+            .replace(/\/\/[^\n]*/g, '');
+    }
+
+    /// Finds the uniform and attribute declarations in a shader. Every
+    /// declared variable is treated as active; the mock does not determine
+    /// whether a variable is actually used. Struct uniforms are ignored.
+    /// @param source The GLSL ES 1.00 source code.
+    /// @param qualifier Either 'uniform' or 'attribute'.
+    /// @return An array of objects with name, type and size fields.
+    function findDeclarations(source, qualifier)
+    {
+        var result = [];
+        var regex  = new RegExp('\\b'+qualifier+'\\s+(?:(?:lowp|mediump|highp)\\s+)?(\\w+)\\s+([^;]+);', 'g');
+        var text   = stripComments(source);
+        var match  = null;
+        while ((match = regex.exec(text)) !== null)
+        {
+            var type = GLSLTypes[match[1]];
+            if (type === undefined)
+                continue;
+            var names = match[2].split(',');
+            for (var i = 0, n = names.length; i < n; ++i)
+            {
+                var decl = /^\s*(\w+)\s*(?:\[\s*(\d+)\s*\])?\s*$/.exec(names[i]);
+                if (decl)
+                {
+                    result.push({
+                        name : decl[1],
+                        type : type,
+                        size : decl[2] ? parseInt(decl[2], 10) : 1
+                    });
+                }
+            }
+        }
+        return result;
+    }
+
+    /// Adds declarations to a list, skipping names already present.
+    /// @param list The array of declarations to update.
+    /// @param decls The array of declarations to add.
+    function mergeDeclarations(list, decls)
+    {
+        for (var i = 0, n = decls.length; i < n; ++i)
+        {
+            var found = false;
+            for (var j = 0, m = list.length; j < m && !found; ++j)
+                found = list[j].name === decls[i].name;
+            if (!found)
+                list.push(decls[i]);
+        }
+    }
+
+    /// Creates an object standing in for WebGLActiveInfo. Arrays are reported
+    /// with a '[0]' suffix, as browsers do.
+    /// @param decl An object with name, type and size fields.
+    /// @return An object with name, type and size fields.
+    function activeInfo(decl)
+    {
+        return {
+            name : decl.size > 1 ? decl.name+'[0]' : decl.name,
+            type : decl.type,
+            size : decl.size
+        };
+    }
+
+    /// Creates the built-in extension objects enabled by specifying true for
+    /// an extension in the extensions option. Extensions not listed here are
+    /// returned as empty objects.
+    /// @param context The MockContext.
+    /// @param name The extension name.
+    /// @return The extension object.
+    function createExtension(context, name)
+    {
+        switch (name)
+        {
+            case 'WEBGL_lose_context':
+                return {
+                    loseContext    : function () { context.loseContext();    },
+                    restoreContext : function () { context.restoreContext(); }
+                };
+            case 'OES_vertex_array_object':
+                return {
+                    VERTEX_ARRAY_BINDING_OES : 0x85B5,
+                    createVertexArrayOES     : function ()    { return context.record('createVertexArrayOES', arguments, createVertexArray); },
+                    deleteVertexArrayOES     : function (vao) { return context.record('deleteVertexArrayOES', arguments, deleteVertexArray); },
+                    isVertexArrayOES         : function (vao) { return context.record('isVertexArrayOES',     arguments, isVertexArray);     },
+                    bindVertexArrayOES       : function (vao) { return context.record('bindVertexArrayOES',   arguments, bindVertexArray);   }
+                };
+            case 'ANGLE_instanced_arrays':
+                return {
+                    VERTEX_ATTRIB_ARRAY_DIVISOR_ANGLE : 0x88FE,
+                    drawArraysInstancedANGLE   : function () { return context.record('drawArraysInstancedANGLE',   arguments, drawArrays);        },
+                    drawElementsInstancedANGLE : function () { return context.record('drawElementsInstancedANGLE', arguments, drawElements);      },
+                    vertexAttribDivisorANGLE   : function () { return context.record('vertexAttribDivisorANGLE',   arguments, vertexAttribDivisor); }
+                };
+            case 'EXT_texture_filter_anisotropic':
+                return {
+                    TEXTURE_MAX_ANISOTROPY_EXT     : 0x84FE,
+                    MAX_TEXTURE_MAX_ANISOTROPY_EXT : 0x84FF
+                };
+            case 'WEBGL_depth_texture':
+                return {
+                    UNSIGNED_INT_24_8_WEBGL : 0x84FA
+                };
+            case 'OES_texture_half_float':
+                return {
+                    HALF_FLOAT_OES : 0x8D61
+                };
+        }
+        return {};
+    }
+
+    /// Implements createVertexArrayOES() from OES_vertex_array_object.
+    function createVertexArray()
+    {
+        var vao   = this.allocate('vertexarray');
+        vao.state = createVertexArrayState(this.limit('MAX_VERTEX_ATTRIBS'));
+        return vao;
+    }
+
+    /// Implements deleteVertexArrayOES() from OES_vertex_array_object.
+    function deleteVertexArray(vao)
+    {
+        if (vao === null || !this.validate(vao, 'vertexarray', true) || vao.deleted)
+            return;
+        if (this.vertexArrayObject === vao)
+            bindVertexArray.call(this, null);
+        vao.deleted = true;
+    }
+
+    /// Implements isVertexArrayOES() from OES_vertex_array_object.
+    function isVertexArray(vao)
+    {
+        return vao instanceof MockObject && vao.kind === 'vertexarray' &&
+               vao.context === this && vao.generation === this.generation &&
+              !vao.deleted && vao.target !== 0;
+    }
+
+    /// Implements bindVertexArrayOES() from OES_vertex_array_object.
+    function bindVertexArray(vao)
+    {
+        if (vao !== null && !this.validate(vao, 'vertexarray', false))
+            return;
+        if (vao !== null)
+            vao.target = 0x85B5; // VERTEX_ARRAY_BINDING_OES; marks as bound.
+        this.vertexArrayObject = vao;
+        this.vertexArray       = vao ? vao.state : this.defaultVertexArray;
+    }
+
+    /// Implements drawArrays() and drawArraysInstancedANGLE().
+    function drawArrays(mode, first, count)
+    {
+        if (this.program === null)
+            return this.raise(Constants.INVALID_OPERATION);
+        if (first < 0 || count < 0)
+            return this.raise(Constants.INVALID_VALUE);
+    }
+
+    /// Implements drawElements() and drawElementsInstancedANGLE().
+    function drawElements(mode, count, type, offset)
+    {
+        if (this.program === null || this.vertexArray.elementBuffer === null)
+            return this.raise(Constants.INVALID_OPERATION);
+        if (count < 0 || offset < 0)
+            return this.raise(Constants.INVALID_VALUE);
+    }
+
+    /// Implements vertexAttribDivisorANGLE() from ANGLE_instanced_arrays.
+    function vertexAttribDivisor(index, divisor)
+    {
+        var attribute = this.vertexArray.attributes[index];
+        if (attribute === undefined)
+            return this.raise(Constants.INVALID_VALUE);
+        attribute.divisor = divisor;
+    }
+
+    /// Appends an entry to the call log, then invokes the implementation of an
+    /// entry point unless the context is lost. While the context is lost,
+    /// entry points return the values specified by WebGL for a lost context.
+    /// @param name The name of the entry point.
+    /// @param args The arguments object of the call.
+    /// @param impl The implementation function, invoked with this set to the
+    /// MockContext, or undefined.
+    /// @return The return value of the entry point.
+    MockContext.prototype.record = function (name, args, impl)
+    {
+        var list = Array.prototype.slice.call(args);
+        if (this.recording)
+            this.calls.push({ name: name, args: list });
+        if (this.lost && name !== 'isContextLost' && name !== 'getError')
+        {
+            if (name === 'checkFramebufferStatus')
+                return Constants.FRAMEBUFFER_UNSUPPORTED;
+            if (name === 'getAttribLocation')
+                return -1;
+            if (/^is/.test(name))
+                return false;
+            if (/^(get|create)/.test(name))
+                return null;
+            return undefined;
+        }
+        return impl ? impl.apply(this, list) : undefined;
+    };
+
+    /// The implementations of the WebGL entry points. Each function is invoked
+    /// through MockContext.record() with this set to the MockContext.
+    const Entry         = {};
+
+    Entry.getContextAttributes = function ()
+    {
+        return this.contextAttributes;
+    };
+
+    Entry.isContextLost = function ()
+    {
+        return this.lost;
+    };
+
+    Entry.getSupportedExtensions = function ()
+    {
+        return Object.keys(this.extensionOptions);
+    };
+
+    Entry.getExtension = function (name)
+    {
+        var option = this.extensionOptions[name];
+        if (!option)
+            return null;
+        if (!this.extensionObjects[name])
+        {
+            this.extensionObjects[name] = (option === true) ?
+                createExtension(this, name) : option;
+        }
+        return this.extensionObjects[name];
+    };
+
+    Entry.getError = function ()
+    {
+        if (this.lostErrorPending)
+        {
+            this.lostErrorPending = false;
+            return Constants.CONTEXT_LOST_WEBGL;
+        }
+        return this.errors.length > 0 ? this.errors.shift() : Constants.NO_ERROR;
+    };
+
+    Entry.getParameter = function (pname)
+    {
+        var C = Constants;
+        switch (pname)
+        {
+            case C.ARRAY_BUFFER_BINDING:
+                return this.arrayBuffer;
+            case C.ELEMENT_ARRAY_BUFFER_BINDING:
+                return this.vertexArray.elementBuffer;
+            case C.FRAMEBUFFER_BINDING:
+                return this.framebuffer;
+            case C.RENDERBUFFER_BINDING:
+                return this.renderbuffer;
+            case C.CURRENT_PROGRAM:
+                return this.program;
+            case C.ACTIVE_TEXTURE:
+                return C.TEXTURE0 + this.activeTextureUnit;
+            case C.TEXTURE_BINDING_2D:
+                return this.textureUnits[this.activeTextureUnit].texture2d;
+            case C.TEXTURE_BINDING_CUBE_MAP:
+                return this.textureUnits[this.activeTextureUnit].textureCube;
+            case 0x85B5: // VERTEX_ARRAY_BINDING_OES
+                return this.vertexArrayObject;
+            case C.MAX_VIEWPORT_DIMS:
+                var size = this.limit('MAX_TEXTURE_SIZE');
+                return new Int32Array([size, size]);
+            case C.ALIASED_LINE_WIDTH_RANGE:
+            case C.ALIASED_POINT_SIZE_RANGE:
+                return new Float32Array([1, 1]);
+            case C.COMPRESSED_TEXTURE_FORMATS:
+                return new Uint32Array(0);
+        }
+        if (this.enabled[pname] !== undefined)
+            return this.enabled[pname];
+        if (this.state[pname] !== undefined)
+            return this.state[pname];
+        for (var name in Constants)
+        {
+            if (Constants[name] === pname && this.limit(name) !== undefined)
+                return this.limit(name);
+        }
+        if (pname === 0x84FF) // MAX_TEXTURE_MAX_ANISOTROPY_EXT
+            return this.limit('MAX_TEXTURE_MAX_ANISOTROPY_EXT') || 16;
+        return this.raise(C.INVALID_ENUM) || null;
+    };
+
+    Entry.getShaderPrecisionFormat = function (shaderType, precisionType)
+    {
+        var C = Constants;
+        if (precisionType >= C.LOW_FLOAT && precisionType <= C.HIGH_FLOAT)
+            return { rangeMin: 127, rangeMax: 127, precision: 23 };
+        if (precisionType >= C.LOW_INT   && precisionType <= C.HIGH_INT)
+            return { rangeMin: 31,  rangeMax: 30,  precision: 0  };
+        return this.raise(C.INVALID_ENUM) || null;
+    };
+
+    Entry.enable = function (cap)
+    {
+        if (this.enabled[cap] === undefined)
+            return this.raise(Constants.INVALID_ENUM);
+        this.enabled[cap] = true;
+    };
+
+    Entry.disable = function (cap)
+    {
+        if (this.enabled[cap] === undefined)
+            return this.raise(Constants.INVALID_ENUM);
+        this.enabled[cap] = false;
+    };
+
+    Entry.isEnabled = function (cap)
+    {
+        if (this.enabled[cap] === undefined)
+            return this.raise(Constants.INVALID_ENUM) || false;
+        return this.enabled[cap];
+    };
+
+    Entry.viewport = function (x, y, width, height)
+    {
+        if (width < 0 || height < 0)
+            return this.raise(Constants.INVALID_VALUE);
+        this.state[Constants.VIEWPORT] = new Int32Array([x, y, width, height]);
+    };
+
+    Entry.scissor = function (x, y, width, height)
+    {
+        if (width < 0 || height < 0)
+            return this.raise(Constants.INVALID_VALUE);
+        this.state[Constants.SCISSOR_BOX] = new Int32Array([x, y, width, height]);
+    };
+
+    Entry.clearColor = function (r, g, b, a)
+    {
+        this.state[Constants.COLOR_CLEAR_VALUE] = new Float32Array([r, g, b, a]);
+    };
+
+    Entry.clearDepth = function (depth)
+    {
+        this.state[Constants.DEPTH_CLEAR_VALUE] = depth;
+    };
+
+    Entry.clearStencil = function (s)
+    {
+        this.state[Constants.STENCIL_CLEAR_VALUE] = s;
+    };
+
+    Entry.colorMask = function (r, g, b, a)
+    {
+        this.state[Constants.COLOR_WRITEMASK] = [!!r, !!g, !!b, !!a];
+    };
+
+    Entry.depthMask = function (flag)
+    {
+        this.state[Constants.DEPTH_WRITEMASK] = !!flag;
+    };
+
+    Entry.depthFunc = function (func)
+    {
+        this.state[Constants.DEPTH_FUNC] = func;
+    };
+
+    Entry.depthRange = function (zNear, zFar)
+    {
+        this.state[Constants.DEPTH_RANGE] = new Float32Array([zNear, zFar]);
+    };
+
+    Entry.blendColor = function (r, g, b, a)
+    {
+        this.state[Constants.BLEND_COLOR] = new Float32Array([r, g, b, a]);
+    };
+
+    Entry.blendEquation = function (mode)
+    {
+        Entry.blendEquationSeparate.call(this, mode, mode);
+    };
+
+    Entry.blendEquationSeparate = function (modeRGB, modeAlpha)
+    {
+        this.state[Constants.BLEND_EQUATION_RGB]   = modeRGB;
+        this.state[Constants.BLEND_EQUATION_ALPHA] = modeAlpha;
+    };
+
+    Entry.blendFunc = function (sfactor, dfactor)
+    {
+        Entry.blendFuncSeparate.call(this, sfactor, dfactor, sfactor, dfactor);
+    };
+
+    Entry.blendFuncSeparate = function (srcRGB, dstRGB, srcAlpha, dstAlpha)
+    {
+        this.state[Constants.BLEND_SRC_RGB]   = srcRGB;
+        this.state[Constants.BLEND_DST_RGB]   = dstRGB;
+        this.state[Constants.BLEND_SRC_ALPHA] = srcAlpha;
+        this.state[Constants.BLEND_DST_ALPHA] = dstAlpha;
+    };
+
+    Entry.cullFace = function (mode)
+    {
+        this.state[Constants.CULL_FACE_MODE] = mode;
+    };
+
+    Entry.frontFace = function (mode)
+    {
+        this.state[Constants.FRONT_FACE] = mode;
+    };
+
+    Entry.lineWidth = function (width)
+    {
+        this.state[Constants.LINE_WIDTH] = width;
+    };
+
+    Entry.polygonOffset = function (factor, units)
+    {
+        this.state[Constants.POLYGON_OFFSET_FACTOR] = factor;
+        this.state[Constants.POLYGON_OFFSET_UNITS]  = units;
+    };
+
+    Entry.sampleCoverage = function (value, invert)
+    {
+        this.state[Constants.SAMPLE_COVERAGE_VALUE]  = value;
+        this.state[Constants.SAMPLE_COVERAGE_INVERT] = !!invert;
+    };
+
+    Entry.hint = function (target, mode)
+    {
+        this.state[target] = mode;
+    };
+
+    Entry.pixelStorei = function (pname, param)
+    {
+        this.state[pname] = param;
+    };
+
+    Entry.stencilFunc = function (func, ref, mask)
+    {
+        Entry.stencilFuncSeparate.call(this, Constants.FRONT_AND_BACK, func, ref, mask);
+    };
+
+    Entry.stencilFuncSeparate = function (face, func, ref, mask)
+    {
+        var C = Constants;
+        if (face !== C.BACK)
+        {
+            this.state[C.STENCIL_FUNC]            = func;
+            this.state[C.STENCIL_REF]             = ref;
+            this.state[C.STENCIL_VALUE_MASK]      = mask;
+        }
+        if (face !== C.FRONT)
+        {
+            this.state[C.STENCIL_BACK_FUNC]       = func;
+            this.state[C.STENCIL_BACK_REF]        = ref;
+            this.state[C.STENCIL_BACK_VALUE_MASK] = mask;
+        }
+    };
+
+    Entry.stencilMask = function (mask)
+    {
+        Entry.stencilMaskSeparate.call(this, Constants.FRONT_AND_BACK, mask);
+    };
+
+    Entry.stencilMaskSeparate = function (face, mask)
+    {
+        if (face !== Constants.BACK)  this.state[Constants.STENCIL_WRITEMASK]      = mask;
+        if (face !== Constants.FRONT) this.state[Constants.STENCIL_BACK_WRITEMASK] = mask;
+    };
+
+    Entry.stencilOp = function (fail, zfail, zpass)
+    {
+        Entry.stencilOpSeparate.call(this, Constants.FRONT_AND_BACK, fail, zfail, zpass);
+    };
+
+    Entry.stencilOpSeparate = function (face, fail, zfail, zpass)
+    {
+        var C = Constants;
+        if (face !== C.BACK)
+        {
+            this.state[C.STENCIL_FAIL]                 = fail;
+            this.state[C.STENCIL_PASS_DEPTH_FAIL]      = zfail;
+            this.state[C.STENCIL_PASS_DEPTH_PASS]      = zpass;
+        }
+        if (face !== C.FRONT)
+        {
+            this.state[C.STENCIL_BACK_FAIL]            = fail;
+            this.state[C.STENCIL_BACK_PASS_DEPTH_FAIL] = zfail;
+            this.state[C.STENCIL_BACK_PASS_DEPTH_PASS] = zpass;
+        }
+    };
+
+    Entry.createBuffer = function ()
+    {
+        var buffer   = this.allocate('buffer');
+        buffer.size  = 0;
+        buffer.usage = Constants.STATIC_DRAW;
+        buffer.data  = null;
+        return buffer;
+    };
+
+    Entry.deleteBuffer = function (buffer)
+    {
+        if (buffer === null || !this.validate(buffer, 'buffer', true) || buffer.deleted)
+            return;
+        if (this.arrayBuffer === buffer)
+            this.arrayBuffer = null;
+        if (this.vertexArray.elementBuffer === buffer)
+            this.vertexArray.elementBuffer = null;
+        var attributes = this.vertexArray.attributes;
+        for (var i = 0, n = attributes.length; i < n; ++i)
+        {
+            if (attributes[i].buffer === buffer)
+                attributes[i].buffer = null;
+        }
+        buffer.deleted = true;
+    };
+
+    Entry.isBuffer = function (buffer)
+    {
+        return buffer instanceof MockObject && buffer.kind === 'buffer' &&
+               buffer.context === this && buffer.generation === this.generation &&
+              !buffer.deleted && buffer.target !== 0;
+    };
+
+    Entry.bindBuffer = function (target, buffer)
+    {
+        var C = Constants;
+        if (target !== C.ARRAY_BUFFER && target !== C.ELEMENT_ARRAY_BUFFER)
+            return this.raise(C.INVALID_ENUM);
+        if (buffer !== null && !this.validate(buffer, 'buffer', false))
+            return;
+        if (buffer !== null)
+        {
+            // a buffer can only ever be bound to one target.
+            if (buffer.target !== 0 && buffer.target !== target)
+                return this.raise(C.INVALID_OPERATION);
+            buffer.target = target;
+        }
+        if (target === C.ARRAY_BUFFER) this.arrayBuffer = buffer;
+        else this.vertexArray.elementBuffer = buffer;
+    };
+
+    Entry.bufferData = function (target, data, usage)
+    {
+        var buffer = boundBuffer(this, target);
+        if (buffer === null)
+            return;
+        if (typeof data === 'number')
+        {
+            if (data < 0)
+                return this.raise(Constants.INVALID_VALUE);
+            buffer.data = new Uint8Array(data);
+        }
+        else
+        {
+            buffer.data = copyBytes(data);
+            if (buffer.data === null)
+                return this.raise(Constants.INVALID_VALUE);
+        }
+        buffer.size  = buffer.data.length;
+        buffer.usage = usage;
+    };
+
+    Entry.bufferSubData = function (target, offset, data)
+    {
+        var buffer = boundBuffer(this, target);
+        var bytes  = copyBytes(data);
+        if (buffer === null)
+            return;
+        if (bytes === null || offset < 0 || offset + bytes.length > buffer.size)
+            return this.raise(Constants.INVALID_VALUE);
+        buffer.data.set(bytes, offset);
+    };
+
+    Entry.getBufferParameter = function (target, pname)
+    {
+        var buffer = boundBuffer(this, target);
+        if (buffer === null)
+            return null;
+        if (pname === Constants.BUFFER_SIZE)  return buffer.size;
+        if (pname === Constants.BUFFER_USAGE) return buffer.usage;
+        return this.raise(Constants.INVALID_ENUM) || null;
+    };
+
+    Entry.createTexture = function ()
+    {
+        var texture        = this.allocate('texture');
+        texture.levels     = {};
+        texture.parameters = {};
+        return texture;
+    };
+
+    Entry.deleteTexture = function (texture)
+    {
+        if (texture === null || !this.validate(texture, 'texture', true) || texture.deleted)
+            return;
+        for (var i = 0, n = this.textureUnits.length; i < n; ++i)
+        {
+            var unit = this.textureUnits[i];
+            if (unit.texture2d   === texture) unit.texture2d   = null;
+            if (unit.textureCube === texture) unit.textureCube = null;
+        }
+        texture.deleted = true;
+    };
+
+    Entry.isTexture = function (texture)
+    {
+        return texture instanceof MockObject && texture.kind === 'texture' &&
+               texture.context === this && texture.generation === this.generation &&
+              !texture.deleted && texture.target !== 0;
+    };
+
+    Entry.activeTexture = function (unit)
+    {
+        var index = unit - Constants.TEXTURE0;
+        if (index < 0 || index >= this.textureUnits.length)
+            return this.raise(Constants.INVALID_ENUM);
+        this.activeTextureUnit = index;
+    };
+
+    Entry.bindTexture = function (target, texture)
+    {
+        var field = textureUnitField(target);
+        if (field === null)
+            return this.raise(Constants.INVALID_ENUM);
+        if (texture !== null && !this.validate(texture, 'texture', false))
+            return;
+        if (texture !== null)
+        {
+            if (texture.target !== 0 && texture.target !== target)
+                return this.raise(Constants.INVALID_OPERATION);
+            texture.target = target;
+        }
+        this.textureUnits[this.activeTextureUnit][field] = texture;
+    };
+
+    Entry.texParameteri = function (target, pname, param)
+    {
+        var texture = boundTexture(this, target);
+        if (texture !== null)
+            texture.parameters[pname] = param;
+    };
+
+    Entry.texParameterf = Entry.texParameteri;
+
+    Entry.getTexParameter = function (target, pname)
+    {
+        var texture = boundTexture(this, target);
+        if (texture === null)
+            return null;
+        var value = texture.parameters[pname];
+        return value !== undefined ? value : null;
+    };
+
+    Entry.texImage2D = function (target, level, internalFormat)
+    {
+        var texture = boundTexture(this, target);
+        var width, height, format, type, source;
+        if (texture === null)
+            return;
+        if (arguments.length >= 9)
+        {
+            // (target, level, internalFormat, width, height, border, format, type, pixels)
+            width  = arguments[3];
+            height = arguments[4];
+            format = arguments[6];
+            type   = arguments[7];
+            source = arguments[8];
+        }
+        else
+        {
+            // (target, level, internalFormat, format, type, source)
+            format = arguments[3];
+            type   = arguments[4];
+            source = arguments[5];
+            width  = source ? source.width  : 0;
+            height = source ? source.height : 0;
+        }
+        if (level < 0 || width < 0 || height < 0)
+            return this.raise(Constants.INVALID_VALUE);
+        texture.levels[target+':'+level] = {
+            target         : target,
+            level          : level,
+            width          : width,
+            height         : height,
+            internalFormat : internalFormat,
+            format         : format,
+            type           : type
+        };
+    };
+
+    Entry.texSubImage2D = function (target, level, x, y)
+    {
+        var texture = boundTexture(this, target);
+        if (texture === null)
+            return;
+        if (texture.levels[target+':'+level] === undefined)
+            return this.raise(Constants.INVALID_OPERATION);
+    };
+
+    Entry.compressedTexImage2D = function (target, level, internalFormat, width, height)
+    {
+        Entry.texImage2D.call(this, target, level, internalFormat, width, height, 0, internalFormat, 0, null);
+    };
+
+    Entry.copyTexImage2D = function (target, level, internalFormat, x, y, width, height)
+    {
+        Entry.texImage2D.call(this, target, level, internalFormat, width, height, 0, internalFormat, Constants.UNSIGNED_BYTE, null);
+    };
+
+    Entry.generateMipmap = function (target)
+    {
+        boundTexture(this, target);
+    };
+
+    Entry.createFramebuffer = function ()
+    {
+        var framebuffer         = this.allocate('framebuffer');
+        framebuffer.attachments = {};
+        return framebuffer;
+    };
+
+    Entry.deleteFramebuffer = function (framebuffer)
+    {
+        if (framebuffer === null || !this.validate(framebuffer, 'framebuffer', true) || framebuffer.deleted)
+            return;
+        if (this.framebuffer === framebuffer)
+            this.framebuffer = null;
+        framebuffer.deleted = true;
+    };
+
+    Entry.isFramebuffer = function (framebuffer)
+    {
+        return framebuffer instanceof MockObject && framebuffer.kind === 'framebuffer' &&
+               framebuffer.context === this && framebuffer.generation === this.generation &&
+              !framebuffer.deleted && framebuffer.target !== 0;
+    };
+
+    Entry.bindFramebuffer = function (target, framebuffer)
+    {
+        if (target !== Constants.FRAMEBUFFER)
+            return this.raise(Constants.INVALID_ENUM);
+        if (framebuffer !== null && !this.validate(framebuffer, 'framebuffer', false))
+            return;
+        if (framebuffer !== null)
+            framebuffer.target = target;
+        this.framebuffer = framebuffer;
+    };
+
+    Entry.framebufferTexture2D = function (target, attachment, textarget, texture, level)
+    {
+        if (this.framebuffer === null)
+            return this.raise(Constants.INVALID_OPERATION);
+        if (texture !== null && !this.validate(texture, 'texture', false))
+            return;
+        if (texture === null) delete this.framebuffer.attachments[attachment];
+        else this.framebuffer.attachments[attachment] = {
+            object : texture,
+            target : textarget,
+            level  : level
+        };
+    };
+
+    Entry.framebufferRenderbuffer = function (target, attachment, rbtarget, renderbuffer)
+    {
+        if (this.framebuffer === null)
+            return this.raise(Constants.INVALID_OPERATION);
+        if (renderbuffer !== null && !this.validate(renderbuffer, 'renderbuffer', false))
+            return;
+        if (renderbuffer === null) delete this.framebuffer.attachments[attachment];
+        else this.framebuffer.attachments[attachment] = {
+            object : renderbuffer,
+            target : rbtarget,
+            level  : 0
+        };
+    };
+
+    Entry.checkFramebufferStatus = function (target)
+    {
+        if (this.framebuffer === null)
+            return Constants.FRAMEBUFFER_COMPLETE;
+        for (var key in this.framebuffer.attachments)
+        {
+            if (this.framebuffer.attachments[key].object.deleted)
+                return Constants.FRAMEBUFFER_INCOMPLETE_ATTACHMENT;
+        }
+        if (Object.keys(this.framebuffer.attachments).length === 0)
+            return Constants.FRAMEBUFFER_INCOMPLETE_MISSING_ATTACHMENT;
+        return Constants.FRAMEBUFFER_COMPLETE;
+    };
+
+    Entry.getFramebufferAttachmentParameter = function (target, attachment, pname)
+    {
+        if (this.framebuffer === null)
+            return this.raise(Constants.INVALID_OPERATION) || null;
+        var record = this.framebuffer.attachments[attachment];
+        switch (pname)
+        {
+            case Constants.FRAMEBUFFER_ATTACHMENT_OBJECT_TYPE:
+                if (!record) return Constants.NONE;
+                return record.object.kind === 'texture' ? Constants.TEXTURE : Constants.RENDERBUFFER;
+            case Constants.FRAMEBUFFER_ATTACHMENT_OBJECT_NAME:
+                return record ? record.object : null;
+            case Constants.FRAMEBUFFER_ATTACHMENT_TEXTURE_LEVEL:
+                return record ? record.level : null;
+        }
+        return null;
+    };
+
+    Entry.createRenderbuffer = function ()
+    {
+        var renderbuffer            = this.allocate('renderbuffer');
+        renderbuffer.width          = 0;
+        renderbuffer.height         = 0;
+        renderbuffer.internalFormat = Constants.RGBA4;
+        return renderbuffer;
+    };
+
+    Entry.deleteRenderbuffer = function (renderbuffer)
+    {
+        if (renderbuffer === null || !this.validate(renderbuffer, 'renderbuffer', true) || renderbuffer.deleted)
+            return;
+        if (this.renderbuffer === renderbuffer)
+            this.renderbuffer = null;
+        renderbuffer.deleted = true;
+    };
+
+    Entry.isRenderbuffer = function (renderbuffer)
+    {
+        return renderbuffer instanceof MockObject && renderbuffer.kind === 'renderbuffer' &&
+               renderbuffer.context === this && renderbuffer.generation === this.generation &&
+              !renderbuffer.deleted && renderbuffer.target !== 0;
+    };
+
+    Entry.bindRenderbuffer = function (target, renderbuffer)
+    {
+        if (target !== Constants.RENDERBUFFER)
+            return this.raise(Constants.INVALID_ENUM);
+        if (renderbuffer !== null && !this.validate(renderbuffer, 'renderbuffer', false))
+            return;
+        if (renderbuffer !== null)
+            renderbuffer.target = target;
+        this.renderbuffer = renderbuffer;
+    };
+
+    Entry.renderbufferStorage = function (target, internalFormat, width, height)
+    {
+        if (this.renderbuffer === null)
+            return this.raise(Constants.INVALID_OPERATION);
+        if (width  < 0 || width  > this.limit('MAX_RENDERBUFFER_SIZE') ||
+            height < 0 || height > this.limit('MAX_RENDERBUFFER_SIZE'))
+            return this.raise(Constants.INVALID_VALUE);
+        this.renderbuffer.width          = width;
+        this.renderbuffer.height         = height;
+        this.renderbuffer.internalFormat = internalFormat;
+    };
+
+    Entry.getRenderbufferParameter = function (target, pname)
+    {
+        if (this.renderbuffer === null)
+            return this.raise(Constants.INVALID_OPERATION) || null;
+        if (pname === Constants.RENDERBUFFER_WIDTH)           return this.renderbuffer.width;
+        if (pname === Constants.RENDERBUFFER_HEIGHT)          return this.renderbuffer.height;
+        if (pname === Constants.RENDERBUFFER_INTERNAL_FORMAT) return this.renderbuffer.internalFormat;
+        return 0;
+    };
+
+    Entry.createShader = function (type)
+    {
+        if (type !== Constants.VERTEX_SHADER && type !== Constants.FRAGMENT_SHADER)
+            return this.raise(Constants.INVALID_ENUM) || null;
+        var shader      = this.allocate('shader');
+        shader.type     = type;
+        shader.source   = '';
+        shader.compiled = false;
+        shader.infoLog  = '';
+        shader.attached = 0;
+        return shader;
+    };
+
+    Entry.deleteShader = function (shader)
+    {
+        if (shader === null || !this.validate(shader, 'shader', true) || shader.deleted)
+            return;
+        shader.deleted = true;
+    };
+
+    Entry.isShader = function (shader)
+    {
+        return shader instanceof MockObject && shader.kind === 'shader' &&
+               shader.context === this && shader.generation === this.generation &&
+              !shader.deleted;
+    };
+
+    Entry.shaderSource = function (shader, source)
+    {
+        if (this.validate(shader, 'shader', false))
+            shader.source = String(source);
+    };
+
+    Entry.getShaderSource = function (shader)
+    {
+        return this.validate(shader, 'shader', true) ? shader.source : null;
+    };
+
+    Entry.compileShader = function (shader)
+    {
+        if (!this.validate(shader, 'shader', false))
+            return;
+        for (var i = 0, n = this.compileFailures.length; i < n; ++i)
+        {
+            var failure = this.compileFailures[i];
+            if (failure.type === 0 || failure.type === shader.type)
+            {
+                this.compileFailures.splice(i, 1);
+                shader.compiled = false;
+                shader.infoLog  = failure.log;
+                return;
+            }
+        }
+        shader.compiled = true;
+        shader.infoLog  = '';
+    };
+
+    Entry.getShaderParameter = function (shader, pname)
+    {
+        if (!this.validate(shader, 'shader', true))
+            return null;
+        switch (pname)
+        {
+            case Constants.COMPILE_STATUS: return shader.compiled;
+            case Constants.DELETE_STATUS:  return shader.deleted;
+            case Constants.SHADER_TYPE:    return shader.type;
+        }
+        return this.raise(Constants.INVALID_ENUM) || null;
+    };
+
+    Entry.getShaderInfoLog = function (shader)
+    {
+        return this.validate(shader, 'shader', true) ? shader.infoLog : null;
+    };
+
+    Entry.createProgram = function ()
+    {
+        var program            = this.allocate('program');
+        program.shaders        = [];
+        program.linked         = false;
+        program.linkCount      = 0;
+        program.infoLog        = '';
+        program.uniforms       = [];
+        program.attributes     = [];
+        program.attribBindings = {};
+        program.attribIndices  = {};
+        program.uniformValues  = {};
+        return program;
+    };
+
+    Entry.deleteProgram = function (program)
+    {
+        if (program === null || !this.validate(program, 'program', true) || program.deleted)
+            return;
+        if (this.program === program)
+            this.program = null;
+        program.deleted = true;
+    };
+
+    Entry.isProgram = function (program)
+    {
+        return program instanceof MockObject && program.kind === 'program' &&
+               program.context === this && program.generation === this.generation &&
+              !program.deleted;
+    };
+
+    Entry.attachShader = function (program, shader)
+    {
+        if (!this.validate(program, 'program', false) || !this.validate(shader, 'shader', false))
+            return;
+        for (var i = 0, n = program.shaders.length; i < n; ++i)
+        {
+            if (program.shaders[i].type === shader.type)
+                return this.raise(Constants.INVALID_OPERATION);
+        }
+        program.shaders.push(shader);
+    };
+
+    Entry.detachShader = function (program, shader)
+    {
+        if (!this.validate(program, 'program', true) || !this.validate(shader, 'shader', true))
+            return;
+        var index = program.shaders.indexOf(shader);
+        if (index < 0)
+            return this.raise(Constants.INVALID_OPERATION);
+        program.shaders.splice(index, 1);
+    };
+
+    Entry.getAttachedShaders = function (program)
+    {
+        return this.validate(program, 'program', true) ? program.shaders.slice() : null;
+    };
+
+    Entry.bindAttribLocation = function (program, index, name)
+    {
+        if (!this.validate(program, 'program', false))
+            return;
+        if (index < 0 || index >= this.limit('MAX_VERTEX_ATTRIBS'))
+            return this.raise(Constants.INVALID_VALUE);
+        program.attribBindings[name] = index;
+    };
+
+    Entry.linkProgram = function (program)
+    {
+        if (!this.validate(program, 'program', false))
+            return;
+
+        var vs = null, fs = null;
+        for (var i = 0, n = program.shaders.length; i < n; ++i)
+        {
+            var shader = program.shaders[i];
+            if (shader.type === Constants.VERTEX_SHADER)   vs = shader;
+            if (shader.type === Constants.FRAGMENT_SHADER) fs = shader;
+        }
+        program.linkCount++;
+        program.linked        = false;
+        program.uniforms      = [];
+        program.attributes    = [];
+        program.attribIndices = {};
+        program.uniformValues = {};
+        if (vs === null || fs === null || !vs.compiled || !fs.compiled)
+        {
+            program.infoLog = 'ERROR: Program must have a compiled vertex and fragment shader.';
+            return;
+        }
+        if (this.linkFailures.length > 0)
+        {
+            program.infoLog = this.linkFailures.shift();
+            return;
+        }
+
+        // every declared variable is considered active.
+        mergeDeclarations(program.uniforms,   findDeclarations(vs.source, 'uniform'));
+        mergeDeclarations(program.uniforms,   findDeclarations(fs.source, 'uniform'));
+        mergeDeclarations(program.attributes, findDeclarations(vs.source, 'attribute'));
+
+        // assign attribute locations; explicitly bound locations come first.
+        var used = {};
+        for (var name in program.attribBindings)
+            used[program.attribBindings[name]] = true;
+        for (var j = 0, next = 0, m = program.attributes.length; j < m; ++j)
+        {
+            var attrib = program.attributes[j].name;
+            if (program.attribBindings[attrib] !== undefined)
+            {
+                program.attribIndices[attrib] = program.attribBindings[attrib];
+                continue;
+            }
+            while (used[next]) ++next;
+            program.attribIndices[attrib] = next;
+            used[next] = true;
+        }
+        program.infoLog = '';
+        program.linked  = true;
+    };
+
+    Entry.validateProgram = function (program)
+    {
+        this.validate(program, 'program', false);
+    };
+
+    Entry.getProgramParameter = function (program, pname)
+    {
+        if (!this.validate(program, 'program', true))
+            return null;
+        switch (pname)
+        {
+            case Constants.LINK_STATUS:       return program.linked;
+            case Constants.VALIDATE_STATUS:   return program.linked;
+            case Constants.DELETE_STATUS:     return program.deleted;
+            case Constants.ATTACHED_SHADERS:  return program.shaders.length;
+            case Constants.ACTIVE_UNIFORMS:   return program.uniforms.length;
+            case Constants.ACTIVE_ATTRIBUTES: return program.attributes.length;
+        }
+        return this.raise(Constants.INVALID_ENUM) || null;
+    };
+
+    Entry.getProgramInfoLog = function (program)
+    {
+        return this.validate(program, 'program', true) ? program.infoLog : null;
+    };
+
+    Entry.getActiveUniform = function (program, index)
+    {
+        if (!this.validate(program, 'program', true))
+            return null;
+        if (index < 0 || index >= program.uniforms.length)
+            return this.raise(Constants.INVALID_VALUE) || null;
+        return activeInfo(program.uniforms[index]);
+    };
+
+    Entry.getActiveAttrib = function (program, index)
+    {
+        if (!this.validate(program, 'program', true))
+            return null;
+        if (index < 0 || index >= program.attributes.length)
+            return this.raise(Constants.INVALID_VALUE) || null;
+        return activeInfo(program.attributes[index]);
+    };
+
+    Entry.getAttribLocation = function (program, name)
+    {
+        if (!this.validate(program, 'program', false) || !program.linked)
+            return -1;
+        var index = program.attribIndices[name];
+        return index !== undefined ? index : -1;
+    };
+
+    Entry.getUniformLocation = function (program, name)
+    {
+        if (!this.validate(program, 'program', false) || !program.linked)
+            return null;
+        var parts = /^(\w+)(?:\[(\d+)\])?$/.exec(name);
+        if (parts === null)
+            return null;
+        for (var i = 0, n = program.uniforms.length; i < n; ++i)
+        {
+            var decl = program.uniforms[i];
+            if (decl.name !== parts[1])
+                continue;
+            if (parts[2] !== undefined && parseInt(parts[2], 10) >= decl.size)
+                return null;
+            if (parts[2] === '0' || (parts[2] === undefined && decl.size > 1))
+                name = decl.name+'[0]';
+            return new MockUniformLocation(program, name);
+        }
+        return null;
+    };
+
+    Entry.getUniform = function (program, location)
+    {
+        if (!this.validate(program, 'program', false) || location === null)
+            return null;
+        var value = program.uniformValues[location.name];
+        return value !== undefined ? value : null;
+    };
+
+    Entry.useProgram = function (program)
+    {
+        if (program !== null && !this.validate(program, 'program', false))
+            return;
+        if (program !== null && !program.linked)
+            return this.raise(Constants.INVALID_OPERATION);
+        this.program = program;
+    };
+
+    /// Stores the value passed to one of the uniform*() entry points.
+    /// @param context The MockContext.
+    /// @param location The MockUniformLocation, or null.
+    /// @param value The value to store. Arrays are copied.
+    function setUniformValue(context, location, value)
+    {
+        if (location === null || location === undefined)
+            return;
+        if (!(location instanceof MockUniformLocation) ||
+            location.program !== context.program ||
+            location.linkCount !== location.program.linkCount)
+            return context.raise(Constants.INVALID_OPERATION);
+        location.program.uniformValues[location.name] = value;
+    }
+
+    ['1f', '2f', '3f', '4f', '1i', '2i', '3i', '4i'].forEach(function (suffix)
+    {
+        Entry['uniform'+suffix] = function (location)
+        {
+            var values = Array.prototype.slice.call(arguments, 1);
+            setUniformValue(this, location, values.length === 1 ? values[0] : values);
+        };
+    });
+
+    ['1fv', '2fv', '3fv', '4fv', '1iv', '2iv', '3iv', '4iv'].forEach(function (suffix)
+    {
+        Entry['uniform'+suffix] = function (location, value)
+        {
+            setUniformValue(this, location, Array.prototype.slice.call(value));
+        };
+    });
+
+    ['Matrix2fv', 'Matrix3fv', 'Matrix4fv'].forEach(function (suffix)
+    {
+        Entry['uniform'+suffix] = function (location, transpose, value)
+        {
+            if (transpose)
+                return this.raise(Constants.INVALID_VALUE);
+            setUniformValue(this, location, Array.prototype.slice.call(value));
+        };
+    });
+
+    ['1f', '2f', '3f', '4f', '1fv', '2fv', '3fv', '4fv'].forEach(function (suffix)
+    {
+        var count = parseInt(suffix, 10);
+        Entry['vertexAttrib'+suffix] = function (index)
+        {
+            var attribute = this.vertexArray.attributes[index];
+            if (attribute === undefined)
+                return this.raise(Constants.INVALID_VALUE);
+            var values = suffix.length === 3 ? arguments[1] : Array.prototype.slice.call(arguments, 1);
+            var value  = new Float32Array([0, 0, 0, 1]);
+            for (var i = 0; i < count; ++i)
+                value[i] = values[i];
+            attribute.current = value;
+        };
+    });
+
+    Entry.enableVertexAttribArray = function (index)
+    {
+        var attribute = this.vertexArray.attributes[index];
+        if (attribute === undefined)
+            return this.raise(Constants.INVALID_VALUE);
+        attribute.enabled = true;
+    };
+
+    Entry.disableVertexAttribArray = function (index)
+    {
+        var attribute = this.vertexArray.attributes[index];
+        if (attribute === undefined)
+            return this.raise(Constants.INVALID_VALUE);
+        attribute.enabled = false;
+    };
+
+    Entry.vertexAttribPointer = function (index, size, type, normalized, stride, offset)
+    {
+        var attribute = this.vertexArray.attributes[index];
+        if (attribute === undefined || size < 1 || size > 4 || stride < 0 || offset < 0)
+            return this.raise(Constants.INVALID_VALUE);
+        if (this.arrayBuffer === null && offset !== 0)
+            return this.raise(Constants.INVALID_OPERATION);
+        attribute.buffer     = this.arrayBuffer;
+        attribute.size       = size;
+        attribute.type       = type;
+        attribute.normalized = !!normalized;
+        attribute.stride     = stride;
+        attribute.offset     = offset;
+    };
+
+    Entry.getVertexAttrib = function (index, pname)
+    {
+        var C         = Constants;
+        var attribute = this.vertexArray.attributes[index];
+        if (attribute === undefined)
+            return this.raise(C.INVALID_VALUE) || null;
+        switch (pname)
+        {
+            case C.VERTEX_ATTRIB_ARRAY_BUFFER_BINDING: return attribute.buffer;
+            case C.VERTEX_ATTRIB_ARRAY_ENABLED:        return attribute.enabled;
+            case C.VERTEX_ATTRIB_ARRAY_SIZE:           return attribute.size;
+            case C.VERTEX_ATTRIB_ARRAY_STRIDE:         return attribute.stride;
+            case C.VERTEX_ATTRIB_ARRAY_TYPE:           return attribute.type;
+            case C.VERTEX_ATTRIB_ARRAY_NORMALIZED:     return attribute.normalized;
+            case C.CURRENT_VERTEX_ATTRIB:              return attribute.current;
+            case 0x88FE: /* VERTEX_ATTRIB_ARRAY_DIVISOR_ANGLE */ return attribute.divisor;
+        }
+        return this.raise(C.INVALID_ENUM) || null;
+    };
+
+    Entry.getVertexAttribOffset = function (index, pname)
+    {
+        var attribute = this.vertexArray.attributes[index];
+        if (attribute === undefined)
+            return this.raise(Constants.INVALID_VALUE) || 0;
+        return attribute.offset;
+    };
+
+    Entry.drawArrays   = drawArrays;
+    Entry.drawElements = drawElements;
+
+    Entry.readPixels = function (x, y, width, height, format, type, pixels)
+    {
+        if (pixels === null || pixels === undefined)
+            return this.raise(Constants.INVALID_VALUE);
+    };
+
+    // install the constants and the recording entry points.
+    for (var constantName in Constants)
+    {
+        MockContext[constantName]           = Constants[constantName];
+        MockContext.prototype[constantName] = Constants[constantName];
+    }
+    EntryPoints.forEach(function (name)
+    {
+        var impl = Entry[name];
+        MockContext.prototype[name] = function ()
+        {
+            return this.record(name, arguments, impl);
+        };
+    });
+
+    /// The width of the drawing buffer, which matches the canvas width.
+    Object.defineProperty(MockContext.prototype, 'drawingBufferWidth', {
+        get : function () { return this.canvas ? this.canvas.width  : 0; }
+    });
+
+    /// The height of the drawing buffer, which matches the canvas height.
+    Object.defineProperty(MockContext.prototype, 'drawingBufferHeight', {
+        get : function () { return this.canvas ? this.canvas.height : 0; }
+    });
+
+    /// Causes the next call to compileShader() to fail. Failures are queued,
+    /// so multiple failures can be simulated.
+    /// @param log The info log returned by getShaderInfoLog() for the failed
+    /// shader, for example, "ERROR: 0:12: 'foo' : undeclared identifier".
+    /// @param shaderType An optional value, either VERTEX_SHADER or
+    /// FRAGMENT_SHADER, restricting the failure to one type of shader.
+    /// @return The MockContext.
+    MockContext.prototype.simulateCompileError = function (log, shaderType)
+    {
+        this.compileFailures.push({
+            log  : log || 'ERROR: 0:1: compilation failed',
+            type : shaderType || 0
+        });
+        return this;
+    };
+
+    /// Causes the next call to linkProgram() that would otherwise succeed to
+    /// fail. Failures are queued, so multiple failures can be simulated.
+    /// @param log The info log returned by getProgramInfoLog().
+    /// @return The MockContext.
+    MockContext.prototype.simulateLinkError = function (log)
+    {
+        this.linkFailures.push(log || 'ERROR: link failed');
+        return this;
+    };
+
+    /// Simulates loss of the rendering context. All objects created by the
+    /// context become invalid, and a webglcontextlost event is dispatched to
+    /// the canvas synchronously.
+    /// @return The MockContext.
+    MockContext.prototype.loseContext = function ()
+    {
+        if (this.lost)
+            return this;
+        this.lost              = true;
+        this.lostErrorPending  = true;
+        this.extensionObjects  = {};
+        for (var i = 0, n = this.objects.length; i < n; ++i)
+            this.objects[i].deleted = true;
+        this.objects           = [];
+        var event              = new MockEvent('webglcontextlost');
+        if (this.canvas)  this.canvas.dispatchEvent(event);
+        // as with WebGL, the context can only be restored if the event
+        // handler called preventDefault().
+        this.restorable        = event.defaultPrevented;
+        return this;
+    };
+
+    /// Simulates restoration of a lost rendering context. All state is reset
+    /// to its defaults and a webglcontextrestored event is dispatched to the
+    /// canvas synchronously.
+    /// @return true if the context was restored, or false if the context is
+    /// not lost or the webglcontextlost event was not prevented.
+    MockContext.prototype.restoreContext = function ()
+    {
+        if (!this.lost || !this.restorable)
+            return false;
+        this.lost             = false;
+        this.restorable       = false;
+        this.lostErrorPending = false;
+        this.generation++;
+        this.resetState();
+        if (this.canvas) this.canvas.dispatchEvent(new MockEvent('webglcontextrestored'));
+        return true;
+    };
+
+    /// Retrieves the recorded calls, optionally filtered by entry point name.
+    /// @param name An optional entry point name, or an array of names.
+    /// @return A new array of objects with name and args fields, in the order
+    /// the calls were made.
+    MockContext.prototype.getCalls = function (name)
+    {
+        if (name === undefined)
+            return this.calls.slice();
+        var names = Array.isArray(name) ? name : [name];
+        return this.calls.filter(function (call)
+            {
+                return names.indexOf(call.name) >= 0;
+            });
+    };
+
+    /// Retrieves the names of the recorded calls, in order. This is convenient
+    /// for asserting on the exact sequence of calls made by a function.
+    /// @return A new array of entry point names.
+    MockContext.prototype.getCallNames = function ()
+    {
+        return this.calls.map(function (call) { return call.name; });
+    };
+
+    /// Discards all recorded calls.
+    /// @return The MockContext.
+    MockContext.prototype.clearCalls = function ()
+    {
+        this.calls = [];
+        return this;
+    };
+
+    /// Retrieves the objects that have been created and not yet deleted.
+    /// @param kind An optional object kind, for example, 'texture'.
+    /// @return A new array of MockObject instances, in creation order.
+    MockContext.prototype.liveObjects = function (kind)
+    {
+        return this.objects.filter(function (object)
+            {
+                return !object.deleted && (kind === undefined || object.kind === kind);
+            });
+    };
+
+    /// Creates a mock canvas and WebGL rendering context.
+    /// @param options An optional object specifying the behavior of the mock:
+    /// options.width: The width of the canvas, in pixels. The default is 300.
+    /// options.height: The height of the canvas, in pixels. The default is 150.
+    /// options.extensions: An object mapping extension name to either true,
+    /// to use the built-in extension object (for example, OES_vertex_array_object
+    /// and ANGLE_instanced_arrays are functional), or an object returned
+    /// as-is from getExtension(). The default enables only WEBGL_lose_context.
+    /// options.parameters: An object mapping limit name (for example,
+    /// 'MAX_TEXTURE_SIZE') to the value reported by getParameter().
+    /// options.createContext: Specify false to simulate a browser that cannot
+    /// create a WebGL context; getContext() returns null.
+    /// @return The MockContext, or null if options.createContext is false.
+    /// The canvas is available as the canvas field. Pass the context, or its
+    /// canvas, to WebGL.createContext().
+    function createContext(options)
+    {
+        var op     = options || {};
+        var canvas = new MockCanvas(op.width, op.height, op);
+        return canvas.getContext('webgl');
+    }
+
+    /// Creates a mock canvas. The rendering context is created when it is
+    /// first requested with getContext().
+    /// @param options An optional object. See createContext().
+    /// @return A new MockCanvas instance.
+    function createCanvas(options)
+    {
+        var op = options || {};
+        return new MockCanvas(op.width, op.height, op);
+    }
+
+    /// Set the functions exported from this module.
+    exports.Constants           = Constants;
+    exports.EntryPoints         = EntryPoints;
+    exports.MockObject          = MockObject;
+    exports.MockUniformLocation = MockUniformLocation;
+    exports.MockEvent           = MockEvent;
+    exports.MockCanvas          = MockCanvas;
+    exports.MockContext         = MockContext;
+    exports.createContext       = createContext;
+    exports.createCanvas        = createCanvas;
+    return exports;
+}  (WebGLMock || {}));
+
+if (typeof module !== 'undefined' && module.exports)
+{
+    module.exports = WebGLMock;
+}
@@ -0,0 +1,478 @@
+/*/////////////////////////////////////////////////////////////////////////////
+/// @summary Drives GLContext through the WebGLMock rendering context so that
+/// webgl.js can be tested under Node.js without a browser or GPU. Run with:
+/// node tests/webgl_test.js
+/// @author Russell Klenk (russ@ninjabirdstudios.com)
+///////////////////////////////////////////////////////////////////////////80*/
+var assert    = require('assert');
+var path      = require('path');
+var WebGL     = require(path.join(__dirname, '..', 'scripts', 'webgl.js'));
+var WebGLMock = require(path.join(__dirname, '..', 'scripts', 'webgl_mock.js'));
+
+/// A minimal vertex and fragment shader pair with one attribute and one
+/// float uniform.
+const VertexSource   = [
+    'attribute vec2 aPOS;',
+    'uniform float uScale;',
+    'void main() {',
+    '    gl_Position = vec4(aPOS * uScale, 0.0, 1.0);',
+    '}'
+].join('\n');
+const FragmentSource = [
+    'precision mediump float;',
+    'void main() {',
+    '    gl_FragColor = vec4(1.0);',
+    '}'
+].join('\n');
+
+/// The list of registered test cases, in the order they are run.
+var tests = [];
+
+/// Registers a test case.
+/// @param name A short description of the behavior under test.
+/// @param func The test body, called with a new mock rendering context and
+/// a GLContext wrapping it.
+/// @param options Optional options passed to WebGLMock.createContext(), for
+/// example to enable extensions. Specify debug : true to create the
+/// GLContext with the debug layer installed.
+function test(name, func, options)
+{
+    tests.push({ name : name, func : func, options : options || {} });
+}
+
+/// Creates the arguments for a 2x2 RGBA texture with a single level.
+/// @return An object suitable for GLContext.createTextureResource().
+function textureArgs()
+{
+    return {
+        type      : 'COLOR',
+        target    : 'TEXTURE_2D',
+        format    : 'RGBA',
+        dataType  : 'UNSIGNED_BYTE',
+        wrapS     : 'CLAMP_TO_EDGE',
+        wrapT     : 'CLAMP_TO_EDGE',
+        magFilter : 'LINEAR',
+        minFilter : 'LINEAR',
+        levels    : [{ width : 2, height : 2, byteSize : 16, byteOffset : 0 }]
+    };
+}
+
+/// Creates the arguments for an array buffer of four 8-byte elements.
+/// @return An object suitable for GLContext.createBufferResource().
+function bufferArgs()
+{
+    return {
+        target       : 'ARRAY_BUFFER',
+        usage        : 'STATIC_DRAW',
+        elementSize  : 8,
+        elementCount : 4
+    };
+}
+
+/// Creates a program proxy and its WebGL resources.
+/// @param gc The GLContext.
+/// @param vss The vertex shader source. The default is VertexSource.
+/// @param fss The fragment shader source. The default is FragmentSource.
+/// @return The program proxy.
+function createProgram(gc, vss, fss)
+{
+    var proxy = gc.createProgramProxy();
+    assert.ok(gc.createProgramResource(proxy, vss || VertexSource, fss || FragmentSource));
+    return proxy;
+}
+
+/// Creates a buffer proxy and its WebGL resources.
+/// @param gc The GLContext.
+/// @return The buffer proxy.
+function createBuffer(gc)
+{
+    var proxy = gc.createBufferProxy();
+    assert.ok(gc.createBufferResource(proxy, bufferArgs()));
+    return proxy;
+}
+
+test('creating a program compiles, links and reflects it', function (gl, gc)
+{
+    gl.clearCalls();
+    var proxy = createProgram(gc);
+    var names = gl.getCallNames();
+    assert.deepStrictEqual(names.slice(0, 4), ['createShader', 'shaderSource', 'compileShader', 'getShaderParameter']);
+    assert.ok(names.indexOf('bindAttribLocation') < names.indexOf('linkProgram'));
+    assert.ok(names.indexOf('linkProgram') < names.indexOf('getActiveUniform'));
+    assert.deepStrictEqual(proxy.uniformNames,   ['uScale']);
+    assert.deepStrictEqual(proxy.attributeNames, ['aPOS']);
+    assert.strictEqual(gl.liveObjects('program').length, 1);
+});
+
+test('creating a texture uploads every level', function (gl, gc)
+{
+    var proxy = gc.createTextureProxy();
+    gl.clearCalls();
+    assert.ok(gc.createTextureResource(proxy, textureArgs()));
+    var names = gl.getCallNames();
+    assert.strictEqual(names[0], 'createTexture');
+    assert.ok(names.indexOf('bindTexture') > 0);
+    assert.strictEqual(gl.getCalls('texImage2D').length, 1);
+    assert.strictEqual(gl.liveObjects('texture').length, 1);
+});
+
+test('losing and restoring the context re-creates resources', function (gl, gc)
+{
+    var events  = [];
+    var program = createProgram(gc);
+    var texture = gc.createTextureProxy();
+    assert.ok(gc.createTextureResource(texture, textureArgs()));
+    gc.on('context:lost',     function () { events.push('lost');     });
+    gc.on('context:restored', function () { events.push('restored'); });
+
+    var oldProgram = program.programResource;
+    var oldTexture = texture.textureResource;
+    gl.loseContext();
+    assert.ok(gl.isContextLost());
+    assert.ok(oldProgram.deleted && oldTexture.deleted);
+    assert.ok(gl.restoreContext());
+    assert.deepStrictEqual(events, ['lost', 'restored']);
+    assert.notStrictEqual(program.programResource, oldProgram);
+    assert.notStrictEqual(texture.textureResource, oldTexture);
+    assert.strictEqual(gl.liveObjects('program').length, 1);
+    assert.strictEqual(gl.liveObjects('texture').length, 1);
+});
+
+test('setting a uniform to null does not throw', function (gl, gc)
+{
+    createProgram(gc);
+    gc.setUniform('uScale', null);
+    gc.setUniform('uScale', null);
+    gc.setUniform('uScale', 2);
+    assert.strictEqual(gl.getCalls('uniform1f').length, 2);
+});
+
+test('an emulated vertex array applies attributes with no active program', function (gl, gc)
+{
+    var program = createProgram(gc);
+    var buffer  = createBuffer(gc);
+    var vao     = gc.createVertexArrayProxy();
+    gc.unbindProgram();
+    assert.ok(gc.createVertexArrayResource(vao, {
+        program    : program,
+        attributes : [WebGL.createAttribute('aPOS', 'FLOAT', 0, 2, false)],
+        buffers    : [buffer]
+    }));
+    assert.ok(vao.emulated);
+    gl.clearCalls();
+    gc.useVertexArray(vao);
+    assert.strictEqual(gl.getCalls('vertexAttribPointer').length, 1);
+    assert.strictEqual(gl.getCalls('enableVertexAttribArray').length, 1);
+});
+
+test('realizing malformed descriptors fails without leaking listeners or resources', function (gl, gc)
+{
+    var events = ['compile:error', 'linker:error', 'capability:error'];
+    var counts = events.map(function (event)
+        {
+            return (gc.listeners && gc.listeners[event] || []).length;
+        });
+    var leaked = 0;
+    gc.on('resource:leaked', function () { leaked++; });
+    var results = gc.realizeResources([
+        null,
+        { kind : 'unknown' },
+        WebGL.describeTexture({ target : 'TEXTURE_2D', format : 'RGBA', dataType : 'UNSIGNED_BYTE' }),
+        WebGL.describeTexture(textureArgs(), new Uint8Array(4)) /* too short */
+    ]);
+    results.forEach(function (result)
+        {
+            assert.strictEqual(result.success, false);
+            assert.ok(result.error);
+        });
+    events.forEach(function (event, index)
+        {
+            assert.strictEqual((gc.listeners && gc.listeners[event] || []).length, counts[index]);
+        });
+    assert.strictEqual(gl.liveObjects('texture').length, 0);
+    assert.strictEqual(leaked, 0);
+});
+
+test('recording a vertex array leaves the default divisor cache alone', function (gl, gc)
+{
+    var vss     = 'attribute vec2 aPOS;\nattribute vec2 aOFF;\nvoid main() {}';
+    var program = createProgram(gc, vss);
+    var buffer  = createBuffer(gc);
+    var attribs = [
+        WebGL.createAttribute('aPOS', 'FLOAT', 0, 2, false, 0),
+        WebGL.createAttribute('aOFF', 'FLOAT', 0, 2, false, 1)
+    ];
+    var vao     = gc.createVertexArrayProxy();
+    assert.ok(gc.createVertexArrayResource(vao, {
+        program    : program,
+        attributes : attribs,
+        buffers    : [buffer, buffer]
+    }));
+    assert.ok(!vao.emulated);
+    assert.strictEqual(gc.activeVertexArray, null);
+    gl.clearCalls();
+    gc.useProgram(program);
+    gc.enableAttributes(attribs, [buffer, buffer]);
+    var divisors = gl.getCalls('vertexAttribDivisorANGLE');
+    assert.strictEqual(divisors.length, 1);
+    assert.deepStrictEqual(Array.prototype.slice.call(divisors[0].args), [program.attributeIndices.aOFF, 1]);
+}, { extensions : { OES_vertex_array_object : true, ANGLE_instanced_arrays : true } });
+
+test('setting a sampler uniform to null unbinds its texture units', function (gl, gc)
+{
+    var fss     = [
+        'precision mediump float;',
+        'uniform sampler2D uTex;',
+        'uniform sampler2D uTexs[2];',
+        'void main() {',
+        '    gl_FragColor = texture2D(uTex, vec2(0.0)) + texture2D(uTexs[1], vec2(0.0));',
+        '}'
+    ].join('\n');
+    var program = createProgram(gc, null, fss);
+    var texture = gc.createTextureProxy();
+    assert.ok(gc.createTextureResource(texture, textureArgs()));
+    var unit    = program.samplerUnits.uTex;
+    var units   = program.samplerUnits.uTexs;
+    gc.setUniform('uTex',  texture);
+    gc.setUniform('uTexs', [texture, texture]);
+    assert.strictEqual(gc.activeTextures[unit], texture);
+    gc.setUniform('uTex',  null);
+    gc.setUniform('uTexs', null);
+    assert.strictEqual(gc.activeTextures[unit], null);
+    assert.strictEqual(gc.activeTextures[units], null);
+    assert.strictEqual(gc.activeTextures[units + 1], null);
+    gc.setUniform('uTexs[1]', texture);
+    gc.setUniform('uTexs[1]', null);
+    assert.strictEqual(gc.activeTextures[units + 1], null);
+});
+
+test('attribute locations follow declaration order around explicit locations', function (gl, gc)
+{
+    var vss = [
+        '#version 300 es',
+        'layout(location = 0) in vec4 aA;',
+        '/* in vec2 aSkip; */',
+        'in highp vec2 aB, aC;',
+        'in mat2 aM;',
+        'layout(location=3) in float aD;',
+        'void main() {}',
+        'in vec3 aE;'
+    ].join('\n');
+    gl.clearCalls();
+    createProgram(gc, vss);
+    var bound = gl.getCalls('bindAttribLocation').map(function (call)
+        {
+            return call.args[2] + '=' + call.args[1];
+        });
+    assert.deepStrictEqual(bound, ['aB=1', 'aC=2', 'aM=4', 'aE=6']);
+});
+
+test('a command buffer round-trips integer, float and null uniforms', function (gl, gc)
+{
+    var vss     = 'attribute vec2 aPOS;\nuniform int uMode;\nuniform float uScale;\nvoid main() {}';
+    var fss     = 'precision mediump float;\nuniform sampler2D uTex;\nvoid main() {}';
+    var program = createProgram(gc, vss, fss);
+    var texture = gc.createTextureProxy();
+    assert.ok(gc.createTextureResource(texture, textureArgs()));
+    var cb      = new WebGL.CommandBuffer();
+    cb.useProgram(program)
+      .setUniform('uMode',  16777217)
+      .setUniform('uScale', 0.5)
+      .setUniform('uTex',   texture)
+      .setUniform('uTex',   null)
+      .setUniform('uScale', null)
+      .setUniform('uMode',  -3);
+    var msg     = cb.toMessage();
+    gc.unbindProgram();
+    gl.clearCalls();
+    gc.execute(WebGL.CommandBuffer.fromMessage(msg));
+    var ints    = gl.getCalls('uniform1i').map(function (call) { return call.args[1]; });
+    var floats  = gl.getCalls('uniform1f').map(function (call) { return call.args[1]; });
+    assert.deepStrictEqual(ints.slice(-2), [16777217, -3]);
+    assert.deepStrictEqual(floats, [0.5, null]);
+    assert.strictEqual(gc.activeTextures[program.samplerUnits.uTex], null);
+});
+
+test('link errors pass the original sources and locate the named symbol', function (gl, gc)
+{
+    var vss = '#include "varyings"\nattribute vec2 aPOS;\nvoid main() {}';
+    var fss = 'precision mediump float;\nvarying vec2 vUV;\nvoid main() {}';
+    var got = null;
+    gc.defineShaderChunk('varyings', 'varying vec4 vColor;\nvarying vec2 vUV;');
+    gc.on('linker:error', function (context, stage, source, log, lineMap, diagnostics)
+        {
+            got = { source : source, lineMap : lineMap, diagnostics : diagnostics };
+        });
+    gl.simulateLinkError('error: varying vColor not written by vertex shader');
+    var proxy = gc.createProgramProxy();
+    assert.ok(!gc.createProgramResource(proxy, vss, fss));
+    assert.deepStrictEqual(got.source, { vertex : vss, fragment : fss });
+    assert.ok(got.lineMap.vertex && got.lineMap.fragment);
+    var diag = got.diagnostics[0];
+    assert.strictEqual(diag.stage, WebGL.BuildStage.LINK_PROGRAM);
+    assert.strictEqual(diag.file, 'varyings');
+    assert.strictEqual(diag.line, 1);
+    assert.ok(diag.excerpt.some(function (row) { return row.current && row.text === 'varying vec4 vColor;'; }));
+    assert.ok(/^> +1 \| varying vec4 vColor;$/m.test(WebGL.formatDiagnostics(got.diagnostics)));
+});
+
+test('buffer data given as JavaScript arrays is retained across a restore', function (gl, gc)
+{
+    var vertices = createBuffer(gc);
+    var indices  = gc.createBufferProxy();
+    assert.ok(gc.createBufferResource(indices, {
+        target       : 'ELEMENT_ARRAY_BUFFER',
+        usage        : 'STATIC_DRAW',
+        elementSize  : 2,
+        elementCount : 3
+    }));
+    gc.useBuffer(vertices).uploadArrayBufferData([1, 2, 3, 4, 5, 6, 7, 8]);
+    gc.useBuffer(indices).uploadIndexBufferData([0, 1, 2]);
+    gc.useBuffer(indices).uploadIndexBufferRegion(2, [3]);
+    gl.loseContext();
+    gl.restoreContext();
+    var restored = function (target)
+        {
+            var uploads = gl.getCalls('bufferData').filter(function (call)
+                {
+                    return call.args[0] === target && ArrayBuffer.isView(call.args[1]);
+                });
+            return uploads[uploads.length - 1].args[1];
+        };
+    var vdata    = restored(gl.ARRAY_BUFFER);
+    var idata    = restored(gl.ELEMENT_ARRAY_BUFFER);
+    assert.deepStrictEqual(Array.from(new Float32Array(vdata.buffer, vdata.byteOffset, 8)), [1, 2, 3, 4, 5, 6, 7, 8]);
+    assert.deepStrictEqual(Array.from(new Uint16Array(idata.buffer, idata.byteOffset, 3)), [0, 3, 2]);
+});
+
+test('dumping resources returns the listing without writing to the console', function (gl, gc)
+{
+    var buffer  = createBuffer(gc);
+    var texture = gc.createTextureProxy();
+    var leaked  = gc.createBufferProxy();
+    assert.ok(gc.createBufferResource(leaked, bufferArgs()));
+    gc.deleteBufferProxy(leaked); /* without deleting its resource */
+    var log     = console.log;
+    var written = 0;
+    console.log = function () { written++; };
+    try
+    {
+        var list = gc.dumpResources();
+    }
+    finally
+    {
+        console.log = log;
+    }
+    assert.strictEqual(written, 0);
+    assert.deepStrictEqual(list.map(function (r) { return r.id + ':' + r.state; }),
+        [buffer.id + ':live', texture.id + ':proxy', leaked.id + ':leaked']);
+    assert.strictEqual(WebGL.formatResources(list).split('\n')[2], '#' + leaked.id + ' buffer [leaked]');
+});
+
+test('compile errors pass the original source with the remapped log', function (gl, gc)
+{
+    var vss = '#include "common"\nvoid main() {}';
+    var got = null;
+    gc.defineShaderChunk('common', 'float x;\nfloat y;');
+    gc.on('compile:error', function (context, stage, source, log, lineMap, diagnostics)
+        {
+            got = { source : source, log : log, diagnostics : diagnostics };
+        });
+    gl.simulateCompileError('0:2(5): error: bad token', gl.VERTEX_SHADER);
+    var proxy = gc.createProgramProxy();
+    assert.ok(!gc.createProgramResource(proxy, vss, FragmentSource));
+    assert.strictEqual(got.source, vss);
+    assert.strictEqual(got.log, 'common:2(5): error: bad token');
+    assert.strictEqual(got.diagnostics[0].file, 'common');
+    assert.strictEqual(got.diagnostics[0].line, 2);
+    var text = WebGL.formatDiagnostics(got.diagnostics).split('\n');
+    assert.strictEqual(text[0], 'common:2:5: error: bad token');
+    assert.ok(/^> +2 \| float y;$/.test(text[2]));
+    assert.ok(/^ +\|     \^$/.test(text[3]));
+});
+
+test('programs built from identical sources share one reference-counted program', function (gl, gc)
+{
+    var first  = createProgram(gc);
+    var second = createProgram(gc);
+    assert.strictEqual(first.programResource, second.programResource);
+    assert.strictEqual(gl.liveObjects('program').length, 1);
+    assert.strictEqual(gl.liveObjects('shader').length, 2);
+    gc.useProgram(first).setUniform('uScale', 2);
+    gc.useProgram(second).setUniform('uScale', 2);
+    assert.strictEqual(gl.getCalls('uniform1f').length, 1);
+    gc.deleteProgramResource(first);
+    assert.strictEqual(gl.liveObjects('program').length, 1);
+    gc.deleteProgramResource(second);
+    assert.strictEqual(gl.liveObjects('program').length, 0);
+    assert.strictEqual(gl.liveObjects('shader').length, 0);
+});
+
+test('reloading a program carries over uniforms and sampler textures', function (gl, gc)
+{
+    var fss     = [
+        'precision mediump float;',
+        'uniform sampler2D uTex;',
+        'void main() {',
+        '    gl_FragColor = texture2D(uTex, vec2(0.0));',
+        '}'
+    ].join('\n');
+    var program = createProgram(gc, null, fss);
+    var texture = gc.createTextureProxy();
+    assert.ok(gc.createTextureResource(texture, textureArgs()));
+    gc.setUniform('uScale', 3);
+    gc.setUniform('uTex',   texture);
+    var before  = program.programResource;
+
+    // a failed reload keeps the previous program.
+    gl.simulateCompileError('ERROR: 0:1: bad', gl.FRAGMENT_SHADER);
+    assert.ok(!gc.reloadProgramResource(program, VertexSource, fss + '\n// edited'));
+    assert.strictEqual(program.programResource, before);
+
+    gc.unbindAllTextures();
+    gl.clearCalls();
+    assert.ok(gc.reloadProgramResource(program, VertexSource, fss + '\n// edited again'));
+    assert.notStrictEqual(program.programResource, before);
+    assert.ok(before.deleted);
+    var scale   = gl.getCalls('uniform1f').map(function (call) { return call.args[1]; });
+    assert.deepStrictEqual(scale, [3]);
+    assert.strictEqual(gc.activeTextures[program.samplerUnits.uTex], texture);
+});
+
+test('instanced draws without vertex arrays validate the vertex range', function (gl, gc)
+{
+    var errors  = [];
+    var vss     = 'attribute vec2 aPOS;\nattribute vec2 aOFF;\nvoid main() {}';
+    var program = createProgram(gc, vss);
+    var buffer  = createBuffer(gc);
+    gc.on('debug:error', function (context, info) { errors.push(info.call); });
+    gc.enableAttributes([
+        WebGL.createAttribute('aPOS', 'FLOAT', 0, 2, false, 0),
+        WebGL.createAttribute('aOFF', 'FLOAT', 0, 2, false, 1)
+    ], [buffer, buffer]);
+    gc.drawPrimitivesInstanced(4, 2);
+    assert.deepStrictEqual(errors, []);
+    gc.drawPrimitivesInstanced(8, 2);
+    assert.deepStrictEqual(errors, ['drawPrimitivesInstanced']);
+}, { extensions : { ANGLE_instanced_arrays : true }, debug : true });
+
+/// Run each test against a new context and report the results.
+var failed = 0;
+tests.forEach(function (t)
+{
+    var gl = WebGLMock.createContext(t.options);
+    var gc = WebGL.createContext(gl, undefined, { debug : t.options.debug === true });
+    try
+    {
+        t.func(gl, gc);
+        console.log('ok   - ' + t.name);
+    }
+    catch (error)
+    {
+        failed++;
+        console.log('FAIL - ' + t.name);
+        console.log(error.stack);
+    }
+});
+console.log(tests.length - failed + '/' + tests.length + ' tests passed.');
+process.exitCode = failed > 0 ? 1 : 0;